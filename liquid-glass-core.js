@@ -0,0 +1,1421 @@
+/**
+ * Liquid Glass Library - Core
+ * DOM-free map generation: the optics behind the effect as plain functions
+ * returning typed arrays, plus a small PNG encoder. Runs in browsers,
+ * workers and Node alike.
+ *
+ * @version 1.0.0
+ * @author ZeroxyDev (https://github.com/ZeroxyDev)
+ */
+
+// Surface equations - define the height profile of the glass bezel
+const SurfaceEquations = {
+    convex_circle: (x) => Math.sqrt(1 - Math.pow(1 - x, 2)),
+    convex_squircle: (x) => Math.pow(1 - Math.pow(1 - x, 4), 1 / 4),
+    concave: (x) => 1 - Math.sqrt(1 - Math.pow(x, 2)),
+    lip: (x) => {
+        const convex = Math.pow(1 - Math.pow(1 - Math.min(x * 2, 1), 4), 1 / 4);
+        const concave = 1 - Math.sqrt(1 - Math.pow(1 - x, 2)) + 0.1;
+        const smootherstep =
+            6 * Math.pow(x, 5) - 15 * Math.pow(x, 4) + 10 * Math.pow(x, 3);
+        return convex * (1 - smootherstep) + concave * smootherstep;
+    },
+};
+
+/* ===== Custom Surfaces ===== */
+
+/**
+ * Monotone cubic spline (Fritsch-Carlson) through [x, y] control points.
+ * Monotone data stays monotone, so the profile never overshoots.
+ */
+function createSplineSurface(points) {
+    const sorted = points
+        .map(([x, y]) => [Number(x), Number(y)])
+        .sort((a, b) => a[0] - b[0]);
+    const n = sorted.length;
+    if (n < 2) return null;
+
+    const xs = sorted.map((p) => p[0]);
+    const ys = sorted.map((p) => p[1]);
+    const slopes = [];
+    for (let i = 0; i < n - 1; i++) {
+        const dx = xs[i + 1] - xs[i];
+        slopes.push(dx > 0 ? (ys[i + 1] - ys[i]) / dx : 0);
+    }
+
+    const tangents = [slopes[0]];
+    for (let i = 1; i < n - 1; i++) {
+        tangents.push(slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2);
+    }
+    tangents.push(slopes[n - 2]);
+
+    // Parabolic end conditions keep the slope smooth at the first and last point
+    if (n > 2) {
+        tangents[0] = (3 * slopes[0] - tangents[1]) / 2;
+        tangents[n - 1] = (3 * slopes[n - 2] - tangents[n - 2]) / 2;
+        if (tangents[0] * slopes[0] < 0) tangents[0] = 0;
+        if (tangents[n - 1] * slopes[n - 2] < 0) tangents[n - 1] = 0;
+    }
+
+    for (let i = 0; i < n - 1; i++) {
+        if (slopes[i] === 0) {
+            tangents[i] = 0;
+            tangents[i + 1] = 0;
+            continue;
+        }
+        const a = tangents[i] / slopes[i];
+        const b = tangents[i + 1] / slopes[i];
+        const length = Math.hypot(a, b);
+        if (length > 3) {
+            tangents[i] = (3 * a * slopes[i]) / length;
+            tangents[i + 1] = (3 * b * slopes[i]) / length;
+        }
+    }
+
+    return (x) => {
+        if (x <= xs[0]) return ys[0];
+        if (x >= xs[n - 1]) return ys[n - 1];
+
+        let i = 0;
+        while (i < n - 2 && x > xs[i + 1]) i++;
+
+        const h = xs[i + 1] - xs[i];
+        const t = (x - xs[i]) / h;
+        const t2 = t * t;
+        const t3 = t2 * t;
+        return (2 * t3 - 3 * t2 + 1) * ys[i] +
+            (t3 - 2 * t2 + t) * h * tangents[i] +
+            (-2 * t3 + 3 * t2) * ys[i + 1] +
+            (t3 - t2) * h * tangents[i + 1];
+    };
+}
+
+/**
+ * Height profile from a CSS-style cubic-bezier from (0, 0) to (1, 1)
+ */
+function createBezierSurface(x1, y1, x2, y2) {
+    if (![x1, y1, x2, y2].every(Number.isFinite)) return null;
+
+    // Keep x monotone so every x has exactly one height
+    x1 = Math.max(0, Math.min(1, x1));
+    x2 = Math.max(0, Math.min(1, x2));
+
+    const bezier = (t, p1, p2) => 3 * (1 - t) * (1 - t) * t * p1 + 3 * (1 - t) * t * t * p2 + t * t * t;
+
+    return (x) => {
+        // Bisection on t; the x curve is monotone
+        let low = 0;
+        let high = 1;
+        for (let i = 0; i < 32; i++) {
+            const mid = (low + high) / 2;
+            if (bezier(mid, x1, x2) < x) low = mid;
+            else high = mid;
+        }
+        return bezier((low + high) / 2, y1, y2);
+    };
+}
+
+/**
+ * Build a surface function from a description
+ * @param {string|Function|Object} description - Registered name, `'cubic-bezier(x1, y1, x2, y2)'`,
+ *   a function of x in [0, 1], `{ type: 'spline', points: [[x, y], ...] }` or
+ *   `{ type: 'cubic-bezier', points: [x1, y1, x2, y2] }`
+ * @param {Object} registry - Named surfaces, defaults to SurfaceEquations
+ * @returns {Function|null} Surface function, or null if the description is not understood
+ */
+function createSurface(description, registry = SurfaceEquations) {
+    if (typeof description === 'function') return description;
+
+    if (typeof description === 'string') {
+        if (Object.prototype.hasOwnProperty.call(registry, description)) return registry[description];
+
+        const match = /^cubic-bezier\(([^)]*)\)$/.exec(description.trim());
+        return match ? createBezierSurface(...match[1].split(',').map(Number)) : null;
+    }
+
+    if (description && Array.isArray(description.points)) {
+        if (description.type === 'spline') return createSplineSurface(description.points);
+        if (description.type === 'cubic-bezier') return createBezierSurface(...description.points.map(Number));
+    }
+
+    return null;
+}
+
+/**
+ * Sanity-check a surface function over its [0, 1] domain
+ * @returns {{errors: string[], warnings: string[]}} Errors make the surface unusable
+ */
+function validateSurface(fn, samples = 64) {
+    const errors = [];
+    const warnings = [];
+
+    if (typeof fn !== 'function') {
+        errors.push('surface must be a function of x in [0, 1]');
+        return { errors, warnings };
+    }
+
+    const values = [];
+    for (let i = 0; i <= samples; i++) {
+        const x = i / samples;
+        let y;
+        try {
+            y = fn(x);
+        } catch (error) {
+            errors.push(`throws at x=${x}: ${error.message}`);
+            break;
+        }
+        if (typeof y !== 'number' || !Number.isFinite(y)) {
+            errors.push(`returns ${y} at x=${x}, expected a finite number`);
+            break;
+        }
+        values.push(y);
+    }
+    if (errors.length > 0) return { errors, warnings };
+
+    // Slope reversals show up as folds in the refraction
+    const epsilon = 1e-4;
+    let direction = 0;
+    for (let i = 2; i < values.length; i++) {
+        const change = (values[i] - values[i - 1]) - (values[i - 1] - values[i - 2]);
+        if (Math.abs(change) < epsilon) continue;
+
+        const sign = Math.sign(change);
+        if (direction !== 0 && sign !== direction) {
+            warnings.push(`derivative is not monotonic near x=${((i - 1) / samples).toFixed(2)}`);
+            break;
+        }
+        direction = sign;
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Calculate 1D displacement map using Snell's Law
+ * @returns {Float32Array} Displacement in pixels for each sample across the bezel
+ */
+function calculateDisplacementMap1D(glassThickness, bezelWidth, surfaceFn, refractiveIndex, samples = 128) {
+    const eta = 1 / refractiveIndex;
+
+    function refract(normalX, normalY) {
+        const dot = normalY;
+        const k = 1 - eta * eta * (1 - dot * dot);
+        if (k < 0) return null;
+        const kSqrt = Math.sqrt(k);
+        return [
+            -(eta * dot + kSqrt) * normalX,
+            eta - (eta * dot + kSqrt) * normalY,
+        ];
+    }
+
+    const result = new Float32Array(samples);
+    for (let i = 0; i < samples; i++) {
+        const x = i / samples;
+        const y = surfaceFn(x);
+        const dx = x < 1 ? 0.0001 : -0.0001;
+        const y2 = surfaceFn(Math.max(0, Math.min(1, x + dx)));
+        const derivative = (y2 - y) / dx;
+        const magnitude = Math.sqrt(derivative * derivative + 1);
+        const normal = [-derivative / magnitude, -1 / magnitude];
+        const refracted = refract(normal[0], normal[1]);
+
+        if (refracted) {
+            const remainingHeightOnBezel = y * bezelWidth;
+            const remainingHeight = remainingHeightOnBezel + glassThickness;
+            result[i] = refracted[0] * (remainingHeight / refracted[1]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Fresnel reflectance across the bezel, from the outer edge (x = 0) to where it
+ * meets the flat top (x = 1), using Schlick's approximation for a viewer looking
+ * straight down: R = R0 + (1 - R0)(1 - cos θ)^falloff, R0 = ((n - 1) / (n + 1))²
+ * @param {Function} surfaceFn - Surface profile, as for calculateDisplacementMap1D
+ * @param {number} refractiveIndex
+ * @param {number} [falloff=5] - Schlick's exponent; lower values spread the reflection inward
+ * @returns {Float32Array} Reflectance between R0 and 1 for each sample
+ */
+function calculateFresnelProfile(surfaceFn, refractiveIndex, falloff = 5, samples = 128) {
+    const r0 = Math.pow((refractiveIndex - 1) / (refractiveIndex + 1), 2);
+    const result = new Float32Array(samples);
+
+    for (let i = 0; i < samples; i++) {
+        const x = i / samples;
+        const dx = x < 1 ? 0.0001 : -0.0001;
+        const derivative = (surfaceFn(Math.max(0, Math.min(1, x + dx))) - surfaceFn(x)) / dx;
+        const cosTheta = 1 / Math.sqrt(derivative * derivative + 1);
+        result[i] = r0 + (1 - r0) * Math.pow(1 - cosTheta, falloff);
+    }
+    return result;
+}
+
+/**
+ * Largest absolute displacement in a 1D map, used to normalise the 2D map
+ */
+function getMaximumDisplacement(precomputedMap) {
+    let maximum = 0;
+    for (let i = 0; i < precomputedMap.length; i++) {
+        maximum = Math.max(maximum, Math.abs(precomputedMap[i]));
+    }
+    return maximum;
+}
+
+/* ===== Dispersion ===== */
+
+// Fraunhofer C, d and F lines in micrometres, standing in for red, green and blue
+const WAVELENGTHS = { r: 0.6563, g: 0.5876, b: 0.4861 };
+
+/**
+ * Resolve a dispersion setting to one refractive index per colour channel
+ * @param {number} refractiveIndex - Index at the green (d) line
+ * @param {number|Object|number[]} dispersion - An Abbe number (lower spreads the colours further;
+ *                                              real glass sits around 30-60), or explicit
+ *                                              `{ r, g, b }` / `[r, g, b]` indices
+ * @returns {{r: number, g: number, b: number}|null} null when the channels would not separate
+ */
+function getChannelIndices(refractiveIndex, dispersion) {
+    let indices = null;
+
+    if (Array.isArray(dispersion)) {
+        dispersion = { r: dispersion[0], g: dispersion[1], b: dispersion[2] };
+    }
+
+    if (dispersion && typeof dispersion === 'object') {
+        const pick = (value) => (Number.isFinite(value) && value > 0 ? value : refractiveIndex);
+        indices = { r: pick(dispersion.r), g: pick(dispersion.g), b: pick(dispersion.b) };
+    } else if (Number.isFinite(dispersion) && dispersion > 0) {
+        // Cauchy's equation n = A + B / λ², fitted so n_d is the base index
+        // and n_F - n_C = (n_d - 1) / V
+        const b = (refractiveIndex - 1) / dispersion /
+            (1 / (WAVELENGTHS.b * WAVELENGTHS.b) - 1 / (WAVELENGTHS.r * WAVELENGTHS.r));
+        const a = refractiveIndex - b / (WAVELENGTHS.g * WAVELENGTHS.g);
+        indices = {
+            r: a + b / (WAVELENGTHS.r * WAVELENGTHS.r),
+            g: refractiveIndex,
+            b: a + b / (WAVELENGTHS.b * WAVELENGTHS.b),
+        };
+    }
+
+    if (!indices || (indices.r === indices.g && indices.g === indices.b)) return null;
+    return indices;
+}
+
+/* ===== Border Radius ===== */
+
+const CORNERS = ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'];
+
+/**
+ * Expand a radius to per-corner, per-axis form
+ * @param {number|Object} radius - One circular radius, or `{ topLeft: { x, y }, ... }`
+ * @returns {Object} `{ topLeft, topRight, bottomRight, bottomLeft }`, each `{ x, y }`
+ */
+function normalizeRadii(radius) {
+    if (typeof radius === 'number') {
+        const r = Math.max(0, radius) || 0;
+        return {
+            topLeft: { x: r, y: r },
+            topRight: { x: r, y: r },
+            bottomRight: { x: r, y: r },
+            bottomLeft: { x: r, y: r },
+        };
+    }
+    return radius;
+}
+
+function resolveLength(value, reference) {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) return 0;
+    return Math.max(0, String(value).trim().endsWith('%') ? (number / 100) * reference : number);
+}
+
+/**
+ * Parse CSS border-radius, including percentages and the `h / v` syntax
+ * @param {string|number} value - e.g. `16`, `'12px 40px'`, `'50% / 30%'`
+ * @param {number} width - Element width, for horizontal percentages
+ * @param {number} height - Element height, for vertical percentages
+ * @returns {Object} Per-corner radii, scaled down like CSS when adjacent corners overlap
+ */
+function parseBorderRadius(value, width, height) {
+    if (typeof value === 'number') return scaleRadii(normalizeRadii(value), width, height);
+
+    const [horizontalPart, verticalPart] = String(value || '0').split('/');
+    const expand = (part) => {
+        const values = part.trim().split(/\s+/).filter(Boolean);
+        if (values.length === 0) values.push('0');
+        // CSS shorthand order: top-left, top-right, bottom-right, bottom-left
+        return [
+            values[0],
+            values[1] ?? values[0],
+            values[2] ?? values[0],
+            values[3] ?? values[1] ?? values[0],
+        ];
+    };
+
+    const horizontal = expand(horizontalPart);
+    const vertical = verticalPart === undefined ? horizontal : expand(verticalPart);
+
+    const radii = {};
+    CORNERS.forEach((corner, i) => {
+        radii[corner] = {
+            x: resolveLength(horizontal[i], width),
+            y: resolveLength(vertical[i], height),
+        };
+    });
+    return scaleRadii(radii, width, height);
+}
+
+/**
+ * Shrink all radii by the same factor when adjacent corners would overlap
+ */
+function scaleRadii(radii, width, height) {
+    const { topLeft, topRight, bottomRight, bottomLeft } = radii;
+    const ratios = [
+        width / (topLeft.x + topRight.x),
+        width / (bottomLeft.x + bottomRight.x),
+        height / (topLeft.y + bottomLeft.y),
+        height / (topRight.y + bottomRight.y),
+    ].filter(Number.isFinite);
+    const factor = Math.min(1, ...ratios);
+
+    const scaled = {};
+    for (const corner of CORNERS) {
+        scaled[corner] = { x: radii[corner].x * factor, y: radii[corner].y * factor };
+    }
+    return scaled;
+}
+
+/**
+ * SVG path for a rectangle with per-corner elliptical radii
+ * @param {number} [x=0] - Left offset
+ * @param {number} [y=0] - Top offset
+ */
+function roundedRectPath(width, height, radius, x = 0, y = 0) {
+    const { topLeft, topRight, bottomRight, bottomLeft } = normalizeRadii(radius);
+    const right = x + width;
+    const bottom = y + height;
+
+    return [
+        `M ${x + topLeft.x} ${y}`,
+        `H ${right - topRight.x}`,
+        `A ${topRight.x} ${topRight.y} 0 0 1 ${right} ${y + topRight.y}`,
+        `V ${bottom - bottomRight.y}`,
+        `A ${bottomRight.x} ${bottomRight.y} 0 0 1 ${right - bottomRight.x} ${bottom}`,
+        `H ${x + bottomLeft.x}`,
+        `A ${bottomLeft.x} ${bottomLeft.y} 0 0 1 ${x} ${bottom - bottomLeft.y}`,
+        `V ${y + topLeft.y}`,
+        `A ${topLeft.x} ${topLeft.y} 0 0 1 ${x + topLeft.x} ${y}`,
+        'Z',
+    ].join(' ');
+}
+
+/**
+ * Locate a pixel relative to the rounded edge of its quadrant's corner.
+ * Distance and normal are exact for circular corners and a first-order
+ * approximation for elliptical ones.
+ * @returns {{distance: number, normalX: number, normalY: number}|null} null on the flat top
+ */
+function getEdgeGeometry(x1, y1, width, height, radii) {
+    const isLeft = x1 < width / 2;
+    const isTop = y1 < height / 2;
+    const corner = isTop
+        ? (isLeft ? radii.topLeft : radii.topRight)
+        : (isLeft ? radii.bottomLeft : radii.bottomRight);
+    const rx = corner.x;
+    const ry = corner.y;
+
+    const x = isLeft
+        ? (x1 < rx ? x1 - rx : 0)
+        : (x1 >= width - rx ? x1 - (width - rx) : 0);
+    const y = isTop
+        ? (y1 < ry ? y1 - ry : 0)
+        : (y1 >= height - ry ? y1 - (height - ry) : 0);
+
+    if (x === 0 && y === 0) return null;
+
+    // Gradient of the normalised ellipse radius gives the outward normal
+    const u = x !== 0 ? x / rx : 0;
+    const v = y !== 0 ? y / ry : 0;
+    const gradientX = x !== 0 ? x / (rx * rx) : 0;
+    const gradientY = y !== 0 ? y / (ry * ry) : 0;
+    const gradientLength = Math.sqrt(gradientX * gradientX + gradientY * gradientY);
+    const rho = Math.sqrt(u * u + v * v);
+
+    return {
+        distance: ((1 - rho) * rho) / gradientLength,
+        normalX: gradientX / gradientLength,
+        normalY: gradientY / gradientLength,
+    };
+}
+
+/* ===== Shapes ===== */
+
+const PATH_COMMAND = /[MmLlHhVvCcSsQqTtAaZz]/;
+const PATH_NUMBER = /[\s,]*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/y;
+const PATH_FLAG = /[\s,]*([01])/y;
+const PATH_ARITY = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+/**
+ * Tokenize SVG path data into `[command, ...numbers]` segments.
+ * Parsing stops at the first error, as browsers render the valid prefix.
+ */
+function parsePathData(d) {
+    const source = String(d ?? '');
+    const segments = [];
+    let index = 0;
+    let command = null;
+
+    const read = (pattern) => {
+        pattern.lastIndex = index;
+        const match = pattern.exec(source);
+        if (!match) return null;
+        index = pattern.lastIndex;
+        return parseFloat(match[1]);
+    };
+
+    while (index < source.length) {
+        while (index < source.length && /[\s,]/.test(source[index])) index++;
+        if (index >= source.length) break;
+
+        if (PATH_COMMAND.test(source[index])) {
+            command = source[index++];
+        } else if (!command || command === 'Z' || command === 'z') {
+            break;
+        }
+
+        const upper = command.toUpperCase();
+        if (upper === 'Z') {
+            segments.push([command]);
+            continue;
+        }
+
+        const args = [];
+        for (let i = 0; i < PATH_ARITY[upper]; i++) {
+            // Arc flags may be written without separators, e.g. `a1 1 0 00 1 1`
+            const value = upper === 'A' && (i === 3 || i === 4) ? read(PATH_FLAG) : read(PATH_NUMBER);
+            if (value === null) return segments;
+            args.push(value);
+        }
+        segments.push([command, ...args]);
+
+        // Extra coordinate pairs after a moveto are implicit linetos
+        if (command === 'M') command = 'L';
+        if (command === 'm') command = 'l';
+    }
+
+    return segments;
+}
+
+/**
+ * Map a `[minX, minY, width, height]` viewBox onto the element box, stretching like
+ * `preserveAspectRatio="none"` so the shape follows the element's size
+ * @returns {{scaleX: number, scaleY: number, translateX: number, translateY: number}}
+ */
+function getViewBoxTransform(viewBox, width, height) {
+    if (!viewBox || !(viewBox[2] > 0) || !(viewBox[3] > 0)) {
+        return { scaleX: 1, scaleY: 1, translateX: 0, translateY: 0 };
+    }
+    const scaleX = width / viewBox[2];
+    const scaleY = height / viewBox[3];
+    return { scaleX, scaleY, translateX: -viewBox[0] * scaleX, translateY: -viewBox[1] * scaleY };
+}
+
+function curveSegments(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+    }
+    return Math.max(2, Math.min(64, Math.ceil(length / 3)));
+}
+
+/**
+ * Endpoint to centre parameterisation of an SVG arc, sampled into points
+ * (SVG 1.1 implementation notes, F.6.5)
+ */
+function sampleArc(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2, transform) {
+    const phi = (rotation * Math.PI) / 180;
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cosPhi * dx + sinPhi * dy;
+    const y1p = -sinPhi * dx + cosPhi * dy;
+
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cxp = (factor * rx * y1p) / ry;
+    const cyp = (-factor * ry * x1p) / rx;
+    const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+    const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    const scale = Math.max(rx * Math.abs(transform.scaleX), ry * Math.abs(transform.scaleY));
+    const count = Math.max(2, Math.min(64, Math.ceil((Math.abs(delta) * scale) / 3)));
+    const points = [];
+    for (let i = 1; i <= count; i++) {
+        const t = theta + (delta * i) / count;
+        const ex = rx * Math.cos(t);
+        const ey = ry * Math.sin(t);
+        points.push([cosPhi * ex - sinPhi * ey + cx, sinPhi * ex + cosPhi * ey + cy]);
+    }
+    return points;
+}
+
+/**
+ * Flatten SVG path data into closed polygons in element pixels
+ * @param {string} d - Path data
+ * @param {Object} [transform] - From getViewBoxTransform
+ * @returns {Array<Array<number[]>>} One array of `[x, y]` points per subpath
+ */
+function flattenPath(d, transform = getViewBoxTransform(null)) {
+    const { scaleX, scaleY, translateX, translateY } = transform;
+    const toPixels = (x, y) => [x * scaleX + translateX, y * scaleY + translateY];
+    const polygons = [];
+    let polygon = null;
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    let controlX = 0;
+    let controlY = 0;
+    let previous = '';
+
+    const lineTo = (nx, ny) => {
+        polygon.push(toPixels(nx, ny));
+        x = nx;
+        y = ny;
+    };
+    const bezierTo = (controls, nx, ny) => {
+        // Affine maps keep Béziers intact, so subdivide in pixel space
+        const pixels = [[x, y], ...controls, [nx, ny]].map(([px, py]) => toPixels(px, py));
+        const count = curveSegments(pixels);
+        for (let i = 1; i <= count; i++) {
+            const t = i / count;
+            const mt = 1 - t;
+            polygon.push(
+                pixels.length === 3
+                    ? [0, 1].map((k) => mt * mt * pixels[0][k] + 2 * mt * t * pixels[1][k] + t * t * pixels[2][k])
+                    : [0, 1].map((k) => mt * mt * mt * pixels[0][k] + 3 * mt * mt * t * pixels[1][k]
+                        + 3 * mt * t * t * pixels[2][k] + t * t * t * pixels[3][k])
+            );
+        }
+        x = nx;
+        y = ny;
+    };
+
+    for (const [command, ...args] of parsePathData(d)) {
+        const upper = command.toUpperCase();
+        const relative = command !== upper;
+        const ox = relative ? x : 0;
+        const oy = relative ? y : 0;
+
+        if (upper === 'M') {
+            polygon = [];
+            polygons.push(polygon);
+            lineTo(ox + args[0], oy + args[1]);
+            startX = x;
+            startY = y;
+        } else if (!polygon) {
+            // Path data must begin with a moveto
+            break;
+        } else if (upper === 'Z') {
+            x = startX;
+            y = startY;
+            // Drawing after a closepath starts a new subpath at the same point
+            polygon = [toPixels(x, y)];
+            polygons.push(polygon);
+        } else if (upper === 'L') {
+            lineTo(ox + args[0], oy + args[1]);
+        } else if (upper === 'H') {
+            lineTo(ox + args[0], y);
+        } else if (upper === 'V') {
+            lineTo(x, oy + args[0]);
+        } else if (upper === 'C' || upper === 'S') {
+            const reflect = previous === 'C' || previous === 'S';
+            const c1 = upper === 'C'
+                ? [ox + args[0], oy + args[1]]
+                : [reflect ? 2 * x - controlX : x, reflect ? 2 * y - controlY : y];
+            const rest = upper === 'C' ? args.slice(2) : args;
+            const c2 = [ox + rest[0], oy + rest[1]];
+            controlX = c2[0];
+            controlY = c2[1];
+            bezierTo([c1, c2], ox + rest[2], oy + rest[3]);
+        } else if (upper === 'Q' || upper === 'T') {
+            const reflect = previous === 'Q' || previous === 'T';
+            const c = upper === 'Q'
+                ? [ox + args[0], oy + args[1]]
+                : [reflect ? 2 * x - controlX : x, reflect ? 2 * y - controlY : y];
+            const end = upper === 'Q' ? args.slice(2) : args;
+            controlX = c[0];
+            controlY = c[1];
+            bezierTo([c], ox + end[0], oy + end[1]);
+        } else if (upper === 'A') {
+            const [rx, ry, rotation, largeArc, sweep] = args;
+            const nx = ox + args[5];
+            const ny = oy + args[6];
+            if (rx === 0 || ry === 0) {
+                lineTo(nx, ny);
+            } else if (nx !== x || ny !== y) {
+                for (const [px, py] of sampleArc(x, y, rx, ry, rotation, largeArc, sweep, nx, ny, transform)) {
+                    polygon.push(toPixels(px, py));
+                }
+                x = nx;
+                y = ny;
+            }
+        }
+        previous = upper;
+    }
+
+    return polygons.filter((points) => points.length > 2);
+}
+
+function resolvePosition(tokens, width, height) {
+    const keywords = { left: '0%', top: '0%', center: '50%', right: '100%', bottom: '100%' };
+    let [first = 'center', second = 'center'] = tokens;
+    if (first === 'top' || first === 'bottom' || second === 'left' || second === 'right') {
+        [first, second] = [second, first];
+    }
+    return [
+        resolveLength(keywords[first] ?? first, width),
+        resolveLength(keywords[second] ?? second, height),
+    ];
+}
+
+function resolveShapeRadius(value, sides, reference) {
+    if (value === undefined || value === 'closest-side') return Math.min(...sides);
+    if (value === 'farthest-side') return Math.max(...sides);
+    return resolveLength(value, reference);
+}
+
+/**
+ * Convert a CSS clip-path basic shape to SVG path data in element pixels.
+ * Supports `path()`, `polygon()`, `circle()`, `ellipse()` and `inset()`.
+ * @returns {{path: string, fillRule: string}|null} null when the value is not a basic shape
+ */
+function parseClipPath(value, width, height) {
+    const match = /^\s*(path|polygon|circle|ellipse|inset)\(([\s\S]*)\)\s*$/i.exec(String(value ?? ''));
+    if (!match) return null;
+
+    const type = match[1].toLowerCase();
+    let args = match[2].trim();
+    let fillRule = 'nonzero';
+
+    const rule = /^(nonzero|evenodd)\s*,\s*/i.exec(args);
+    if (rule && (type === 'path' || type === 'polygon')) {
+        fillRule = rule[1].toLowerCase();
+        args = args.slice(rule[0].length);
+    }
+
+    if (type === 'path') {
+        const path = /^(["'])([\s\S]*)\1$/.exec(args);
+        return path ? { path: path[2], fillRule } : null;
+    }
+
+    if (type === 'polygon') {
+        const points = args.split(',').map((pair) => {
+            const [x, y] = pair.trim().split(/\s+/);
+            return `${resolveLength(x, width)} ${resolveLength(y, height)}`;
+        });
+        return { path: `M ${points.join(' L ')} Z`, fillRule };
+    }
+
+    if (type === 'inset') {
+        const [offsetPart, roundPart] = args.split(/\s+round\s+/i);
+        const offsets = offsetPart.trim().split(/\s+/);
+        const top = resolveLength(offsets[0], height);
+        const right = resolveLength(offsets[1] ?? offsets[0], width);
+        const bottom = resolveLength(offsets[2] ?? offsets[0], height);
+        const left = resolveLength(offsets[3] ?? offsets[1] ?? offsets[0], width);
+        const insetWidth = Math.max(0, width - left - right);
+        const insetHeight = Math.max(0, height - top - bottom);
+        const radii = parseBorderRadius(roundPart || 0, insetWidth, insetHeight);
+        return { path: roundedRectPath(insetWidth, insetHeight, radii, left, top), fillRule };
+    }
+
+    // circle() and ellipse()
+    const [sizePart, positionPart = ''] = args.split(/\s*\bat\b\s*/i);
+    const [cx, cy] = resolvePosition(positionPart.split(/\s+/).filter(Boolean), width, height);
+    const sizes = sizePart.split(/\s+/).filter(Boolean);
+    const sidesX = [cx, width - cx];
+    const sidesY = [cy, height - cy];
+
+    let rx;
+    let ry;
+    if (type === 'circle') {
+        rx = ry = resolveShapeRadius(sizes[0], [...sidesX, ...sidesY], Math.sqrt(width * width + height * height) / Math.SQRT2);
+    } else {
+        rx = resolveShapeRadius(sizes[0], sidesX, width);
+        ry = resolveShapeRadius(sizes[1], sidesY, height);
+    }
+
+    return {
+        path: `M ${cx - rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx + rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx - rx} ${cy} Z`,
+        fillRule,
+    };
+}
+
+/**
+ * Signed distance field of an arbitrary shape, positive inside.
+ * Only pixels within `maxDistance` of the outline get exact values.
+ * @param {string|Object} shape - Path data, or `{ path, viewBox?, fillRule? }`
+ * @param {number} width - Field width in pixels
+ * @param {number} height - Field height in pixels
+ * @param {number} maxDistance - Widest band the maps will sample, usually the bezel width
+ * @returns {{width: number, height: number, distance: Float32Array, normalX: Float32Array, normalY: Float32Array}}
+ */
+function createShapeField(shape, width, height, maxDistance) {
+    const { path, viewBox = null, fillRule = 'nonzero' } = typeof shape === 'string' ? { path: shape } : shape;
+    const polygons = flattenPath(path, getViewBoxTransform(viewBox, width, height));
+    const distance = new Float32Array(width * height);
+    const normalX = new Float32Array(width * height);
+    const normalY = new Float32Array(width * height);
+    const far = maxDistance + 2;
+    const evenOdd = fillRule === 'evenodd';
+
+    const edges = [];
+    for (const points of polygons) {
+        for (let i = 0; i < points.length; i++) {
+            const [x1, y1] = points[i];
+            const [x2, y2] = points[(i + 1) % points.length];
+            if (x1 !== x2 || y1 !== y2) edges.push([x1, y1, x2, y2]);
+        }
+    }
+
+    // Inside test: scanline crossings through pixel centres
+    for (let y = 0; y < height; y++) {
+        const cy = y + 0.5;
+        const crossings = [];
+        for (const [x1, y1, x2, y2] of edges) {
+            if ((y1 <= cy) !== (y2 <= cy)) {
+                crossings.push([x1 + ((cy - y1) * (x2 - x1)) / (y2 - y1), y2 > y1 ? 1 : -1]);
+            }
+        }
+        crossings.sort((a, b) => a[0] - b[0]);
+
+        let winding = 0;
+        let next = 0;
+        for (let x = 0; x < width; x++) {
+            while (next < crossings.length && crossings[next][0] <= x + 0.5) {
+                winding += evenOdd ? 1 : crossings[next][1];
+                next++;
+            }
+            const inside = evenOdd ? winding % 2 !== 0 : winding !== 0;
+            distance[y * width + x] = inside ? far : -far;
+        }
+    }
+
+    // Exact distances near the outline, one edge's neighbourhood at a time
+    for (const [x1, y1, x2, y2] of edges) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSquared = dx * dx + dy * dy;
+        const length = Math.sqrt(lengthSquared);
+        const minX = Math.max(0, Math.floor(Math.min(x1, x2) - far));
+        const maxX = Math.min(width - 1, Math.ceil(Math.max(x1, x2) + far));
+        const minY = Math.max(0, Math.floor(Math.min(y1, y2) - far));
+        const maxY = Math.min(height - 1, Math.ceil(Math.max(y1, y2) + far));
+
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                const px = x + 0.5;
+                const py = y + 0.5;
+                const t = Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSquared));
+                const ex = px - (x1 + t * dx);
+                const ey = py - (y1 + t * dy);
+                const d = Math.sqrt(ex * ex + ey * ey);
+                const i = y * width + x;
+                if (d >= Math.abs(distance[i])) continue;
+
+                const inside = distance[i] > 0;
+                distance[i] = inside ? d : -d;
+                if (d > 1e-6) {
+                    // Outward normal points from the pixel towards the outline when inside
+                    normalX[i] = inside ? -ex / d : ex / d;
+                    normalY[i] = inside ? -ey / d : ey / d;
+                } else {
+                    normalX[i] = dy / length;
+                    normalY[i] = -dx / length;
+                }
+            }
+        }
+    }
+
+    return { width, height, distance, normalX, normalY };
+}
+
+/**
+ * Edge lookup for the map generators: rounded-rect geometry, or a precomputed shape field
+ */
+function createEdgeSampler(edges, width, height) {
+    if (edges && edges.distance) {
+        return (x1, y1) => {
+            const i = y1 * edges.width + x1;
+            return { distance: edges.distance[i], normalX: edges.normalX[i], normalY: edges.normalY[i] };
+        };
+    }
+    const radii = normalizeRadii(edges);
+    return (x1, y1) => getEdgeGeometry(x1, y1, width, height, radii);
+}
+
+/**
+ * Calculate 2D displacement map
+ * @param {number|Object} radius - Circular radius, per-corner radii from parseBorderRadius,
+ *                                 or an object-sized field from createShapeField
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA pixels, ImageData-compatible
+ */
+function calculateDisplacementMap2D(canvasWidth, canvasHeight, objectWidth, objectHeight, radius, bezelWidth, maximumDisplacement, precomputedMap) {
+    const data = new Uint8ClampedArray(canvasWidth * canvasHeight * 4);
+
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = 128;
+        data[i + 1] = 128;
+        data[i + 2] = 0;
+        data[i + 3] = 255;
+    }
+
+    const getEdge = createEdgeSampler(radius, objectWidth, objectHeight);
+    const objectX = (canvasWidth - objectWidth) / 2;
+    const objectY = (canvasHeight - objectHeight) / 2;
+
+    for (let y1 = 0; y1 < objectHeight; y1++) {
+        for (let x1 = 0; x1 < objectWidth; x1++) {
+            const idx = ((objectY + y1) * canvasWidth + objectX + x1) * 4;
+            const edge = getEdge(x1, y1);
+            if (!edge) continue;
+
+            const distanceFromSide = edge.distance;
+            const isInBezel = distanceFromSide >= -1 && distanceFromSide <= bezelWidth;
+
+            if (isInBezel) {
+                const opacity = distanceFromSide >= 0 ? 1 : 1 + distanceFromSide;
+                const bezelRatio = Math.max(0, Math.min(1, distanceFromSide / bezelWidth));
+                const bezelIndex = Math.floor(bezelRatio * precomputedMap.length);
+                const distance = precomputedMap[Math.max(0, Math.min(bezelIndex, precomputedMap.length - 1))] || 0;
+                const dX = maximumDisplacement > 0 ? (-edge.normalX * distance) / maximumDisplacement : 0;
+                const dY = maximumDisplacement > 0 ? (-edge.normalY * distance) / maximumDisplacement : 0;
+
+                data[idx] = Math.max(0, Math.min(255, 128 + dX * 127 * opacity));
+                data[idx + 1] = Math.max(0, Math.min(255, 128 + dY * 127 * opacity));
+                data[idx + 2] = 0;
+                data[idx + 3] = 255;
+            }
+        }
+    }
+    return { width: canvasWidth, height: canvasHeight, data };
+}
+
+/**
+ * Calculate specular highlight
+ * @param {number|Object} radius - Circular radius, per-corner radii from parseBorderRadius,
+ *                                 or a field from createShapeField
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA pixels, ImageData-compatible
+ */
+function calculateSpecularHighlight(objectWidth, objectHeight, radius, bezelWidth, specularAngle = Math.PI / 3) {
+    const data = new Uint8ClampedArray(objectWidth * objectHeight * 4);
+    const specularVector = [Math.cos(specularAngle), Math.sin(specularAngle)];
+    const specularThickness = 1.5;
+    const getEdge = createEdgeSampler(radius, objectWidth, objectHeight);
+
+    for (let y1 = 0; y1 < objectHeight; y1++) {
+        for (let x1 = 0; x1 < objectWidth; x1++) {
+            const idx = (y1 * objectWidth + x1) * 4;
+            const edge = getEdge(x1, y1);
+            if (!edge) continue;
+
+            const distanceFromSide = edge.distance;
+            const isNearEdge = distanceFromSide >= -1 && distanceFromSide <= specularThickness;
+
+            if (isNearEdge) {
+                const opacity = distanceFromSide >= 0 ? 1 : 1 + distanceFromSide;
+                const cos = edge.normalX;
+                const sin = -edge.normalY;
+                const dotProduct = Math.abs(cos * specularVector[0] + sin * specularVector[1]);
+                const edgeRatio = Math.max(0, Math.min(1, distanceFromSide / specularThickness));
+                const sharpFalloff = Math.sqrt(1 - (1 - edgeRatio) * (1 - edgeRatio));
+                const coefficient = dotProduct * sharpFalloff;
+                const color = Math.min(255, 255 * coefficient);
+                const finalOpacity = Math.min(255, color * coefficient * opacity);
+
+                data[idx] = color;
+                data[idx + 1] = color;
+                data[idx + 2] = color;
+                data[idx + 3] = finalOpacity;
+            }
+        }
+    }
+    return { width: objectWidth, height: objectHeight, data };
+}
+
+/**
+ * Angle-independent specular map, lit later by a colour matrix so the light can move
+ * without regenerating anything. Per pixel, with (cos, sin) the outward normal (y up)
+ * and w the edge weight: R = cos² w, G = sin² w, B = 0.5 + cos sin w.
+ * Applying getSpecularMatrix gives (cos·Lx + sin·Ly)² w, the square of the baked
+ * highlight's coefficient; a gamma of 0.5 on the colour channels restores it exactly.
+ * @param {number|Object} radius - Circular radius, per-corner radii from parseBorderRadius,
+ *                                 or a field from createShapeField
+ * @param {Object} [options]
+ * @param {number} [options.thickness=1.5] - Width of the rim in pixels
+ * @param {Object} [options.fresnel] - Replaces the rim with reflectance: `{ profile, thickness, innerRim }`,
+ *                                     a calculateFresnelProfile result stretched over `thickness` pixels
+ *                                     and an optional rim of that strength where the layer ends
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA pixels, ImageData-compatible
+ */
+function calculateSpecularBasis(objectWidth, objectHeight, radius, bezelWidth, options = {}) {
+    const data = new Uint8ClampedArray(objectWidth * objectHeight * 4);
+    const specularThickness = options.thickness ?? 1.5;
+    const fresnel = options.fresnel || null;
+    const getEdge = createEdgeSampler(radius, objectWidth, objectHeight);
+    const getWeight = fresnel ? createFresnelWeight(fresnel, specularThickness) : null;
+    const reach = fresnel ? fresnel.thickness + specularThickness : specularThickness;
+
+    for (let i = 0; i < data.length; i += 4) {
+        data[i + 2] = 128;
+        data[i + 3] = 255;
+    }
+
+    for (let y1 = 0; y1 < objectHeight; y1++) {
+        for (let x1 = 0; x1 < objectWidth; x1++) {
+            const idx = (y1 * objectWidth + x1) * 4;
+            const edge = getEdge(x1, y1);
+            if (!edge) continue;
+
+            const distanceFromSide = edge.distance;
+            const isNearEdge = distanceFromSide >= -1 && distanceFromSide <= reach;
+
+            if (isNearEdge) {
+                const opacity = distanceFromSide >= 0 ? 1 : 1 + distanceFromSide;
+                const cos = edge.normalX;
+                const sin = -edge.normalY;
+                let weight;
+                if (getWeight) {
+                    weight = getWeight(distanceFromSide) * opacity;
+                } else {
+                    if (distanceFromSide > specularThickness) continue;
+                    const edgeRatio = Math.max(0, Math.min(1, distanceFromSide / specularThickness));
+                    weight = (1 - (1 - edgeRatio) * (1 - edgeRatio)) * opacity;
+                }
+
+                data[idx] = 255 * cos * cos * weight;
+                data[idx + 1] = 255 * sin * sin * weight;
+                data[idx + 2] = 255 * (0.5 + cos * sin * weight);
+            }
+        }
+    }
+    return { width: objectWidth, height: objectHeight, data };
+}
+
+/**
+ * Edge weight for the Fresnel layer at a distance from the outline
+ */
+function createFresnelWeight({ profile, thickness, innerRim = 0 }, rimThickness) {
+    return (distance) => {
+        const ratio = Math.max(0, distance / thickness);
+        let weight = 0;
+        if (ratio < 1) {
+            // Fade the last pixel so the layer does not end on a step
+            const fade = Math.min(1, thickness - distance);
+            weight = profile[Math.min(profile.length - 1, Math.floor(ratio * profile.length))] * fade;
+        }
+        if (innerRim > 0) {
+            const rim = 1 - Math.abs(distance - thickness) / rimThickness;
+            if (rim > 0) weight = Math.max(weight, innerRim * rim);
+        }
+        return weight;
+    };
+}
+
+/**
+ * feColorMatrix values that light a map from calculateSpecularBasis
+ * @param {number} angle - Light direction in radians, counter-clockwise from +x
+ * @param {number} [intensity=1] - Alpha multiplier
+ * @returns {string}
+ */
+function getSpecularMatrix(angle, intensity = 1) {
+    const lx = Math.cos(angle);
+    const ly = Math.sin(angle);
+    const row = [lx * lx, ly * ly, 2 * lx * ly, 0, -lx * ly];
+    const alpha = row.map((value) => value * intensity);
+
+    return [...row, ...row, ...row, ...alpha]
+        .map((value) => Number(value.toFixed(6)))
+        .join(' ');
+}
+
+/**
+ * Generate both maps for one glass element
+ * @param {Object} params - width, height, borderRadius (number or per-corner radii) or shape (path data or
+ *                          `{ path, viewBox, fillRule }`), bezelWidth, optional specularAngle or
+ *                          specularBasis (see calculateSpecularBasis) with optional specularThickness
+ *                          and fresnel `{ thickness, falloff, innerRim, profile }`, and either precomputedMap or
+ *                          glassThickness, refractiveIndex and surfaceFn. With an optional
+ *                          dispersion (see getChannelIndices), or precomputedChannels `{ r, b }`,
+ *                          red and blue get their own displacement maps.
+ * @returns {{displacement: Object, specular: Object, maximumDisplacement: number, channels: Object|null}}
+ *          `displacement` drives green when `channels` holds the red and blue maps
+ */
+function generateMaps(params) {
+    const { borderRadius, shape, bezelWidth, glassThickness, refractiveIndex, surfaceFn, specularAngle, specularBasis } = params;
+    const width = Math.max(1, Math.floor(params.width));
+    const height = Math.max(1, Math.floor(params.height));
+
+    // Functions cannot cross a worker boundary, so callers may send the 1D maps instead
+    const indices = params.precomputedMap ? null : getChannelIndices(refractiveIndex, params.dispersion);
+    const profile = (index) => calculateDisplacementMap1D(glassThickness, bezelWidth, surfaceFn, index);
+    const precomputed = params.precomputedMap || profile(indices ? indices.g : refractiveIndex);
+    const channelProfiles = params.precomputedChannels ||
+        (indices ? { r: profile(indices.r), b: profile(indices.b) } : null);
+
+    // All channels share one scale so a single refraction strength applies to each
+    let maximumDisplacement = getMaximumDisplacement(precomputed);
+    if (channelProfiles) {
+        maximumDisplacement = Math.max(
+            maximumDisplacement,
+            getMaximumDisplacement(channelProfiles.r),
+            getMaximumDisplacement(channelProfiles.b)
+        );
+    }
+
+    // The Fresnel layer defaults to the bezel and needs the surface unless its profile is sent
+    const specularThickness = params.specularThickness ?? 1.5;
+    const fresnel = params.fresnel
+        ? {
+            thickness: params.fresnel.thickness ?? bezelWidth,
+            innerRim: params.fresnel.innerRim ?? 0,
+            profile: params.fresnel.profile ||
+                calculateFresnelProfile(surfaceFn, indices ? indices.g : refractiveIndex, params.fresnel.falloff),
+        }
+        : null;
+    const specularReach = fresnel ? fresnel.thickness + specularThickness : specularThickness;
+
+    // Every map samples the same shape field
+    const edges = shape
+        ? createShapeField(shape, width, height, Math.max(bezelWidth, specularReach))
+        : borderRadius;
+
+    const displace = (map) => calculateDisplacementMap2D(
+        width,
+        height,
+        width,
+        height,
+        edges,
+        bezelWidth,
+        maximumDisplacement || 1,
+        map
+    );
+    const displacement = displace(precomputed);
+    const channels = channelProfiles
+        ? { r: displace(channelProfiles.r), b: displace(channelProfiles.b) }
+        : null;
+    const specular = specularBasis
+        ? calculateSpecularBasis(width, height, edges, bezelWidth, { thickness: specularThickness, fresnel })
+        : calculateSpecularHighlight(width, height, edges, bezelWidth, specularAngle);
+
+    return { displacement, specular, maximumDisplacement, channels };
+}
+
+/* ===== PNG Encoder ===== */
+
+let crcTable = null;
+
+function crc32(bytes, start, end) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = start; i < end; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function adler32(bytes) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+// Deflate length codes 257-285: base lengths and extra bits
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+
+/**
+ * Deflate with the fixed Huffman table, encoding byte runs as distance-1
+ * matches. Maps are mostly flat, so after PNG's Sub filter this is enough.
+ */
+function deflate(bytes) {
+    const out = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const writeBits = (value, length) => {
+        bitBuffer |= value << bitCount;
+        bitCount += length;
+        while (bitCount >= 8) {
+            out.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    // Huffman codes are stored most significant bit first
+    const writeCode = (code, length) => {
+        let reversed = 0;
+        for (let i = 0; i < length; i++) {
+            reversed = (reversed << 1) | ((code >> i) & 1);
+        }
+        writeBits(reversed, length);
+    };
+
+    const writeSymbol = (symbol) => {
+        if (symbol < 144) writeCode(0x30 + symbol, 8);
+        else if (symbol < 256) writeCode(0x190 + symbol - 144, 9);
+        else if (symbol < 280) writeCode(symbol - 256, 7);
+        else writeCode(0xc0 + symbol - 280, 8);
+    };
+
+    // BFINAL = 1, BTYPE = 01 (fixed Huffman)
+    writeBits(1, 1);
+    writeBits(1, 2);
+
+    let i = 0;
+    while (i < bytes.length) {
+        let run = 0;
+        if (i > 0) {
+            const previous = bytes[i - 1];
+            while (run < 258 && i + run < bytes.length && bytes[i + run] === previous) run++;
+        }
+
+        if (run >= 3) {
+            let code = LENGTH_BASE.length - 1;
+            while (LENGTH_BASE[code] > run) code--;
+            writeSymbol(257 + code);
+            writeBits(run - LENGTH_BASE[code], LENGTH_EXTRA[code]);
+            writeCode(0, 5); // distance 1
+            i += run;
+        } else {
+            writeSymbol(bytes[i]);
+            i++;
+        }
+    }
+
+    writeSymbol(256);
+    if (bitCount > 0) out.push(bitBuffer & 0xff);
+
+    return Uint8Array.from(out);
+}
+
+/**
+ * Encode RGBA pixels as a PNG file
+ * @param {{width: number, height: number, data: ArrayLike<number>}} image - ImageData-compatible pixels
+ * @returns {Uint8Array} PNG bytes
+ */
+function encodePNG(image) {
+    const { width, height, data } = image;
+    const stride = width * 4;
+
+    // Every row uses the Sub filter, which turns flat areas into zero runs
+    const filtered = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * (stride + 1);
+        filtered[rowStart] = 1;
+        for (let x = 0; x < stride; x++) {
+            const value = data[y * stride + x];
+            const left = x >= 4 ? data[y * stride + x - 4] : 0;
+            filtered[rowStart + 1 + x] = (value - left) & 0xff;
+        }
+    }
+
+    const compressed = deflate(filtered);
+    const checksum = adler32(filtered);
+    const idat = new Uint8Array(compressed.length + 6);
+    idat[0] = 0x78;
+    idat[1] = 0x01;
+    idat.set(compressed, 2);
+    idat[idat.length - 4] = checksum >>> 24;
+    idat[idat.length - 3] = (checksum >>> 16) & 0xff;
+    idat[idat.length - 2] = (checksum >>> 8) & 0xff;
+    idat[idat.length - 1] = checksum & 0xff;
+
+    const ihdr = new Uint8Array(13);
+    const ihdrView = new DataView(ihdr.buffer);
+    ihdrView.setUint32(0, width);
+    ihdrView.setUint32(4, height);
+    ihdr[8] = 8; // bit depth
+    ihdr[9] = 6; // RGBA
+
+    const chunks = [['IHDR', ihdr], ['IDAT', idat], ['IEND', new Uint8Array(0)]];
+    const size = 8 + chunks.reduce((total, [, body]) => total + body.length + 12, 0);
+    const png = new Uint8Array(size);
+    const view = new DataView(png.buffer);
+    png.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+    let offset = 8;
+    for (const [type, body] of chunks) {
+        view.setUint32(offset, body.length);
+        for (let i = 0; i < 4; i++) png[offset + 4 + i] = type.charCodeAt(i);
+        png.set(body, offset + 8);
+        view.setUint32(offset + 8 + body.length, crc32(png, offset + 4, offset + 8 + body.length));
+        offset += body.length + 12;
+    }
+
+    return png;
+}
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function toBase64(bytes) {
+    let result = '';
+    for (let i = 0; i < bytes.length; i += 3) {
+        const a = bytes[i];
+        const b = i + 1 < bytes.length ? bytes[i + 1] : 0;
+        const c = i + 2 < bytes.length ? bytes[i + 2] : 0;
+        const triplet = (a << 16) | (b << 8) | c;
+
+        result += BASE64_ALPHABET[(triplet >> 18) & 63] + BASE64_ALPHABET[(triplet >> 12) & 63];
+        result += i + 1 < bytes.length ? BASE64_ALPHABET[(triplet >> 6) & 63] : '=';
+        result += i + 2 < bytes.length ? BASE64_ALPHABET[triplet & 63] : '=';
+    }
+    return result;
+}
+
+/**
+ * Encode RGBA pixels as a PNG data URL
+ * @param {{width: number, height: number, data: ArrayLike<number>}} image - ImageData-compatible pixels
+ * @returns {string} data:image/png;base64 URL
+ */
+function encodePNGDataURL(image) {
+    return `data:image/png;base64,${toBase64(encodePNG(image))}`;
+}
+
+/**
+ * Encode pixels as a data URL, using OffscreenCanvas when running in a worker
+ * @returns {Promise<string>} data:image/png URL
+ */
+async function encodeDataURL(image) {
+    if (typeof OffscreenCanvas !== 'undefined' && typeof FileReaderSync !== 'undefined') {
+        const canvas = new OffscreenCanvas(image.width, image.height);
+        canvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+        const blob = await canvas.convertToBlob();
+        return new FileReaderSync().readAsDataURL(blob);
+    }
+    return encodePNGDataURL(image);
+}
+
+/* ===== Worker Protocol ===== */
+
+/**
+ * Serve map generation requests inside a worker. Jobs are queued per key
+ * (one per glass instance), so a newer request replaces one still waiting.
+ * @param {DedicatedWorkerGlobalScope} scope - Usually `self`
+ */
+function installMapWorker(scope) {
+    const queue = new Map();
+    let running = false;
+
+    const reply = (id, payload) => {
+        scope.postMessage({ type: 'liquid-glass:result', id, ...payload });
+    };
+
+    const drain = async () => {
+        if (running) return;
+        running = true;
+
+        while (queue.size > 0) {
+            const [key, job] = queue.entries().next().value;
+            queue.delete(key);
+
+            try {
+                const maps = generateMaps(job.params);
+                const [displacementUrl, specularUrl, redUrl, blueUrl] = await Promise.all([
+                    encodeDataURL(maps.displacement),
+                    encodeDataURL(maps.specular),
+                    maps.channels && encodeDataURL(maps.channels.r),
+                    maps.channels && encodeDataURL(maps.channels.b),
+                ]);
+                const channelUrls = maps.channels ? { r: redUrl, b: blueUrl } : null;
+                reply(job.id, {
+                    result: { displacementUrl, specularUrl, channelUrls, maximumDisplacement: maps.maximumDisplacement },
+                });
+            } catch (error) {
+                reply(job.id, { error: error.message });
+            }
+
+            // Let newer messages replace queued jobs before the next one starts
+            await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+
+        running = false;
+    };
+
+    scope.addEventListener('message', (event) => {
+        const message = event.data;
+        if (!message || (message.type !== 'liquid-glass:generate' && message.type !== 'liquid-glass:cancel')) return;
+
+        // Stale jobs resolve with no result
+        const stale = queue.get(message.key);
+        if (stale) {
+            queue.delete(message.key);
+            reply(stale.id, { result: null });
+        }
+
+        if (message.type === 'liquid-glass:generate') {
+            queue.set(message.key, message);
+            drain();
+        }
+    });
+}
+
+export {
+    SurfaceEquations,
+    createSurface,
+    validateSurface,
+    normalizeRadii,
+    parseBorderRadius,
+    roundedRectPath,
+    parsePathData,
+    flattenPath,
+    parseClipPath,
+    getViewBoxTransform,
+    createShapeField,
+    calculateDisplacementMap1D,
+    calculateDisplacementMap2D,
+    getChannelIndices,
+    calculateFresnelProfile,
+    calculateSpecularHighlight,
+    calculateSpecularBasis,
+    getSpecularMatrix,
+    getMaximumDisplacement,
+    generateMaps,
+    encodePNG,
+    encodePNGDataURL,
+    encodeDataURL,
+    installMapWorker,
+};
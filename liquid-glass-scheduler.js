@@ -0,0 +1,155 @@
+/**
+ * Liquid Glass Library - Scheduler
+ * The animation loop shared by every instance. Internal to liquid-glass.js,
+ * kept apart so it can be tested without a DOM.
+ *
+ * @version 1.0.0
+ * @author ZeroxyDev (https://github.com/ZeroxyDev)
+ */
+
+/**
+ * Shared animation scheduler - one requestAnimationFrame for every animating
+ * instance. Each frame steps all of them first and applies their style writes
+ * together afterwards, so layout reads never interleave with writes. Events
+ * raised during a frame are delivered once the writes have landed.
+ */
+class Scheduler {
+    constructor() {
+        this.instances = new Set();
+        this.frameId = null;
+        this.lastTime = null;
+        this.paused = false;
+        this.clock = null;
+        this.writes = null;
+        this.deferred = null;
+    }
+
+    observe(instance) {
+        this.instances.add(instance);
+        this._request();
+    }
+
+    unobserve(instance) {
+        this.instances.delete(instance);
+        if (this.instances.size === 0) this._cancel();
+    }
+
+    has(instance) {
+        return this.instances.has(instance);
+    }
+
+    now() {
+        return this.clock?.now ? this.clock.now() : performance.now();
+    }
+
+    /**
+     * @param {Object|null} clock - `{ now, requestFrame, cancelFrame }`, each optional;
+     *   null goes back to performance.now() and requestAnimationFrame
+     */
+    setClock(clock) {
+        this._cancel();
+        this.clock = clock;
+        this.lastTime = null;
+        this._request();
+    }
+
+    pause() {
+        this.paused = true;
+        this._cancel();
+    }
+
+    resume() {
+        this.paused = false;
+        // Carry on from where it stopped rather than jumping over the pause
+        this.lastTime = null;
+        this._request();
+    }
+
+    /**
+     * Step every animating instance by the time since the last frame. A long
+     * gap counts as one slow frame, so a throttled tab does not jump.
+     */
+    frame() {
+        this._cancel();
+        const now = this.now();
+        const dt = this.lastTime === null ? 1 / 60 : Math.max(0, Math.min(0.1, (now - this.lastTime) / 1000));
+        this.lastTime = now;
+
+        try {
+            this._step(dt);
+        } finally {
+            if (this.instances.size === 0) this.lastTime = null;
+            this._request();
+        }
+    }
+
+    /**
+     * Step each instance, then apply the batched writes and deferred callbacks.
+     * An instance that throws is dropped until it is observed again, and a
+     * throwing callback is skipped, so neither stalls the others.
+     */
+    _step(dt) {
+        this.writes = new Map();
+        this.deferred = [];
+
+        for (const instance of [...this.instances]) {
+            try {
+                if (!instance._stepFrame(dt)) this.instances.delete(instance);
+            } catch (error) {
+                this.instances.delete(instance);
+                console.error('LiquidGlass: Error in animation frame', error);
+            }
+        }
+
+        const { writes, deferred } = this;
+        this.writes = null;
+        this.deferred = null;
+        for (const [element, styles] of writes) Object.assign(element.style, styles);
+        for (const callback of deferred) {
+            try {
+                callback();
+            } catch (error) {
+                console.error('LiquidGlass: Error in animation frame', error);
+            }
+        }
+    }
+
+    /**
+     * Set a style property, batched with the rest of the frame while one runs
+     */
+    write(element, property, value) {
+        if (!this.writes) {
+            element.style[property] = value;
+            return;
+        }
+        const styles = this.writes.get(element) ?? {};
+        styles[property] = value;
+        this.writes.set(element, styles);
+    }
+
+    /**
+     * Run a callback after the current frame's writes, or now between frames
+     */
+    defer(callback) {
+        if (this.deferred) this.deferred.push(callback);
+        else callback();
+    }
+
+    _request() {
+        if (this.frameId !== null || this.paused || this.instances.size === 0) return;
+        const onFrame = () => {
+            this.frameId = null;
+            this.frame();
+        };
+        this.frameId = this.clock?.requestFrame ? this.clock.requestFrame(onFrame) : requestAnimationFrame(onFrame);
+    }
+
+    _cancel() {
+        if (this.frameId === null) return;
+        if (this.clock?.cancelFrame) this.clock.cancelFrame(this.frameId);
+        else if (!this.clock?.requestFrame) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+}
+
+export { Scheduler };
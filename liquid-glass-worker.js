@@ -0,0 +1,12 @@
+/**
+ * Liquid Glass Library - Map Worker
+ * Module worker that generates displacement and specular maps off the main
+ * thread. Started by LiquidGlass when `useWorker` is enabled.
+ *
+ * @version 1.0.0
+ * @author ZeroxyDev (https://github.com/ZeroxyDev)
+ */
+
+import { installMapWorker } from './liquid-glass-core.js';
+
+installMapWorker(self);
@@ -8,41 +8,102 @@
  * @author ZeroxyDev (https://github.com/ZeroxyDev)
  */
 
-// Surface equations - define the height profile of the glass bezel
-const SurfaceEquations = {
-    convex_circle: (x) => Math.sqrt(1 - Math.pow(1 - x, 2)),
-    convex_squircle: (x) => Math.pow(1 - Math.pow(1 - x, 4), 1 / 4),
-    concave: (x) => 1 - Math.sqrt(1 - Math.pow(x, 2)),
-    lip: (x) => {
-        const convex = Math.pow(1 - Math.pow(1 - Math.min(x * 2, 1), 4), 1 / 4);
-        const concave = 1 - Math.sqrt(1 - Math.pow(1 - x, 2)) + 0.1;
-        const smootherstep =
-            6 * Math.pow(x, 5) - 15 * Math.pow(x, 4) + 10 * Math.pow(x, 3);
-        return convex * (1 - smootherstep) + concave * smootherstep;
-    },
-};
+import {
+    SurfaceEquations,
+    createSurface,
+    validateSurface,
+    calculateDisplacementMap1D,
+    getChannelIndices,
+    calculateFresnelProfile,
+    generateMaps,
+    parseBorderRadius,
+    roundedRectPath,
+    parseClipPath,
+    getViewBoxTransform,
+    getSpecularMatrix,
+} from './liquid-glass-core.js';
+import { Scheduler } from './liquid-glass-scheduler.js';
+
+// Longest step the springs integrate at once; longer frames are split up
+const maxSubstep = 1 / 240;
+
+/**
+ * Run `step` over `dt` seconds in equal substeps no longer than maxSubstep,
+ * so a spring moves the same at 30, 60 or 120 frames per second
+ */
+function substep(dt, step) {
+    const count = Math.max(1, Math.ceil(dt / maxSubstep));
+    for (let i = 0; i < count; i++) step(dt / count);
+}
+
+/**
+ * Resolve a preset name or `{ stiffness, damping, mass }` over a base config
+ */
+function resolveSpringConfig(config, base = defaultOptions.springConfig) {
+    if (typeof config === 'string') {
+        if (Object.prototype.hasOwnProperty.call(Spring.presets, config)) return { mass: 1, ...Spring.presets[config] };
+        console.warn(`LiquidGlass: Unknown spring preset "${config}"`);
+        config = null;
+    }
+    const { stiffness, damping, mass = 1 } = { ...base, ...config };
+    return { stiffness, damping, mass };
+}
 
 /**
  * Simple spring physics class for animations
  */
 class Spring {
-    constructor(value, stiffness = 300, damping = 20) {
+    constructor(value, stiffness = 300, damping = 20, mass = 1) {
         this.value = value;
         this.target = value;
         this.velocity = 0;
         this.stiffness = stiffness;
         this.damping = damping;
+        this.mass = mass;
+        this.settled = true;
+
+        // Called with (value, velocity) after every update, and with the value once it comes to rest
+        this.onUpdate = null;
+        this.onSettle = null;
     }
 
     setTarget(target) {
+        if (target !== this.target) this.settled = false;
         this.target = target;
     }
 
+    /**
+     * Change the stiffness, damping and mass
+     * @param {string|Object} config - Preset name or `{ stiffness, damping, mass }`
+     */
+    configure(config) {
+        const { stiffness, damping, mass } = resolveSpringConfig(config, this);
+        this.stiffness = stiffness;
+        this.damping = damping;
+        this.mass = mass;
+        return this;
+    }
+
+    /**
+     * Advance by `dt` seconds of elapsed time
+     */
     update(dt) {
-        const force = (this.target - this.value) * this.stiffness;
-        const dampingForce = this.velocity * this.damping;
-        this.velocity += (force - dampingForce) * dt;
-        this.value += this.velocity * dt;
+        substep(dt, (h) => {
+            const force = (this.target - this.value) * this.stiffness - this.velocity * this.damping;
+            this.velocity += (force / this.mass) * h;
+            this.value += this.velocity * h;
+        });
+        this._notify();
+        return this.value;
+    }
+
+    /**
+     * Skip straight to the target, for reduced motion
+     */
+    jump() {
+        this.value = this.target;
+        this.velocity = 0;
+        this._notify();
         return this.value;
     }
 
@@ -52,222 +113,1260 @@ class Spring {
             Math.abs(this.velocity) < 0.001
         );
     }
+
+    _notify() {
+        this.onUpdate?.(this.value, this.velocity);
+
+        // Once per target, even if the spring hovers around the threshold
+        if (!this.settled && this.isSettled()) {
+            this.settled = true;
+            this.onSettle?.(this.value);
+        }
+    }
+}
+
+// Named spring configurations, accepted wherever a spring config is
+Spring.presets = {
+    gentle: { stiffness: 120, damping: 14 },
+    snappy: { stiffness: 500, damping: 35 },
+    bouncy: { stiffness: 300, damping: 10 },
+    critical: { stiffness: 300, damping: 2 * Math.sqrt(300) },
+};
+
+/**
+ * Spring for a point. It pulls straight at the target and settles on the
+ * distance, so a diagonal move does not finish one axis before the other.
+ */
+class Spring2D {
+    constructor(x = 0, y = 0, stiffness = 300, damping = 20, mass = 1) {
+        this.x = x;
+        this.y = y;
+        this.targetX = x;
+        this.targetY = y;
+        this.velocityX = 0;
+        this.velocityY = 0;
+        this.stiffness = stiffness;
+        this.damping = damping;
+        this.mass = mass;
+        this.settled = true;
+
+        // Called with ({ x, y }, { x, y } velocity) after every update, and with the point once it comes to rest
+        this.onUpdate = null;
+        this.onSettle = null;
+    }
+
+    setTarget(x, y) {
+        if (x !== this.targetX || y !== this.targetY) this.settled = false;
+        this.targetX = x;
+        this.targetY = y;
+    }
+
+    /**
+     * Place the spring at rest, or moving with a velocity
+     */
+    reset(x, y, velocityX = 0, velocityY = 0) {
+        this.x = x;
+        this.y = y;
+        this.velocityX = velocityX;
+        this.velocityY = velocityY;
+        this.settled = this.isSettled();
+    }
+
+    configure(config) {
+        const { stiffness, damping, mass } = resolveSpringConfig(config, this);
+        this.stiffness = stiffness;
+        this.damping = damping;
+        this.mass = mass;
+        return this;
+    }
+
+    /**
+     * Advance by `dt` seconds of elapsed time
+     * @returns {{x: number, y: number}}
+     */
+    update(dt) {
+        substep(dt, (h) => {
+            const forceX = (this.targetX - this.x) * this.stiffness - this.velocityX * this.damping;
+            const forceY = (this.targetY - this.y) * this.stiffness - this.velocityY * this.damping;
+            this.velocityX += (forceX / this.mass) * h;
+            this.velocityY += (forceY / this.mass) * h;
+            this.x += this.velocityX * h;
+            this.y += this.velocityY * h;
+        });
+        this._notify();
+        return { x: this.x, y: this.y };
+    }
+
+    jump() {
+        this.reset(this.targetX, this.targetY);
+        this._notify();
+        return { x: this.x, y: this.y };
+    }
+
+    isSettled() {
+        return (
+            Math.hypot(this.targetX - this.x, this.targetY - this.y) < 0.001 &&
+            Math.hypot(this.velocityX, this.velocityY) < 0.001
+        );
+    }
+
+    _notify() {
+        this.onUpdate?.({ x: this.x, y: this.y }, { x: this.velocityX, y: this.velocityY });
+
+        if (!this.settled && this.isSettled()) {
+            this.settled = true;
+            this.onSettle?.({ x: this.x, y: this.y });
+        }
+    }
 }
 
 // Unique ID counter for filter elements
 let instanceCounter = 0;
 
+// Surfaces built from inline functions and descriptions, resolved once
+const resolvedSurfaces = new WeakMap();
+const resolvedSurfaceStrings = new Map();
+let surfaceCounter = 0;
+
 /**
- * Default configuration options
+ * Validate a surface function, logging problems
+ * @returns {boolean} Whether the surface is usable
  */
-const defaultOptions = {
-    surfaceType: 'convex_squircle',
-    bezelWidth: 30,
-    glassThickness: 150,
-    refractiveIndex: 1.5,
-    refractionScale: 1.5,
-    specularOpacity: 1,
-    blur: 0.5,
-    borderRadius: 'auto',
-    applyToChildren: true,
-    draggable: false,
-    springAnimation: true,
-    useBackdropFilter: 'auto',
-    springConfig: { stiffness: 400, damping: 25 },
-    width: 'auto',
-    height: 'auto',
-    onDragStart: null,
-    onDrag: null,
-    onDragEnd: null,
-};
+function checkSurface(fn, label) {
+    const { errors, warnings } = validateSurface(fn);
+
+    if (errors.length > 0) {
+        console.error(`LiquidGlass: Invalid surface ${label}: ${errors.join('; ')}`);
+        return false;
+    }
+    if (warnings.length > 0) {
+        console.warn(`LiquidGlass: Surface ${label}: ${warnings.join('; ')}`);
+    }
+    return true;
+}
 
 /**
- * LiquidGlass class - Apply liquid glass effect to any element
+ * Resolve a `surfaceType` option to a surface function and a stable cache key
+ * @returns {{fn: Function, key: string}|null} null for unknown or invalid surfaces
  */
-class LiquidGlass {
-    /**
-     * Create a LiquidGlass instance
-     * @param {string|HTMLElement} element - Selector or element to apply effect to
-     * @param {Object} options - Configuration options
-     */
-    constructor(element, options = {}) {
-        // Get element
-        this.element = typeof element === 'string'
-            ? document.querySelector(element)
-            : element;
+function resolveSurface(surfaceType) {
+    if (typeof surfaceType === 'string' && Object.prototype.hasOwnProperty.call(SurfaceEquations, surfaceType)) {
+        return { fn: SurfaceEquations[surfaceType], key: surfaceType };
+    }
 
-        if (!this.element) {
-            console.error('LiquidGlass: Element not found');
-            return;
+    const isObject = surfaceType !== null && (typeof surfaceType === 'object' || typeof surfaceType === 'function');
+    if (!isObject && typeof surfaceType !== 'string') return null;
+
+    const memo = isObject ? resolvedSurfaces : resolvedSurfaceStrings;
+    if (memo.has(surfaceType)) return memo.get(surfaceType);
+
+    const fn = createSurface(surfaceType);
+    if (!fn) return null;
+
+    let key = surfaceType;
+    if (typeof surfaceType === 'function') key = `fn#${++surfaceCounter}`;
+    else if (isObject) key = JSON.stringify(surfaceType);
+
+    const resolved = checkSurface(fn, 'surfaceType') ? { fn, key } : null;
+    memo.set(surfaceType, resolved);
+    return resolved;
+}
+
+/**
+ * Shared ResizeObserver - one observer for every instance, so a layout
+ * change that resizes many glass elements is delivered in a single batch
+ */
+class ResizeWatcher {
+    constructor() {
+        this.observer = null;
+        this.instances = new Map();
+    }
+
+    observe(instance) {
+        if (typeof ResizeObserver === 'undefined') return false;
+
+        if (!this.observer) {
+            this.observer = new ResizeObserver((entries) => this._onResize(entries));
         }
 
-        // Merge options with defaults
-        this.options = { ...defaultOptions, ...options };
+        this.instances.set(instance.element, instance);
+        this.observer.observe(instance.element);
+        return true;
+    }
 
-        // Generate unique ID for this instance
-        this.id = `lg-${++instanceCounter}`;
+    unobserve(instance) {
+        if (!this.observer || !this.instances.has(instance.element)) return;
 
-        // State
-        this.state = {
-            isDragging: false,
-            dragOffset: { x: 0, y: 0 },
-            velocityX: 0,
-            velocityY: 0,
-            lastX: 0,
-            lastY: 0,
-            lastTime: 0,
-            maximumDisplacement: 0,
-        };
+        this.observer.unobserve(instance.element);
+        this.instances.delete(instance.element);
 
-        // Springs for animation
-        this.springs = {
-            scale: new Spring(0.85, this.options.springConfig.stiffness, this.options.springConfig.damping),
-            scaleX: new Spring(1, this.options.springConfig.stiffness, this.options.springConfig.damping + 5),
-            scaleY: new Spring(1, this.options.springConfig.stiffness, this.options.springConfig.damping + 5),
-            shadowOffsetX: new Spring(0, this.options.springConfig.stiffness, this.options.springConfig.damping + 5),
-            shadowOffsetY: new Spring(4, this.options.springConfig.stiffness, this.options.springConfig.damping + 5),
-            shadowBlur: new Spring(12, this.options.springConfig.stiffness, this.options.springConfig.damping + 5),
-            shadowAlpha: new Spring(0.15, this.options.springConfig.stiffness - 100, this.options.springConfig.damping),
-            refractionBoost: new Spring(0.8, this.options.springConfig.stiffness - 100, this.options.springConfig.damping - 7),
-        };
+        if (this.instances.size === 0) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+    }
 
-        this.animationFrameId = null;
-        this.useBackdropFilter = false;
-        this.backdropFilterSupported = false;
+    _onResize(entries) {
+        for (const entry of entries) {
+            const instance = this.instances.get(entry.target);
+            if (!instance) continue;
 
-        // Bound event handlers
-        this._onMouseDown = this._onMouseDown.bind(this);
-        this._onMouseMove = this._onMouseMove.bind(this);
-        this._onMouseUp = this._onMouseUp.bind(this);
-        this._onTouchStart = this._onTouchStart.bind(this);
-        this._onTouchMove = this._onTouchMove.bind(this);
-        this._onTouchEnd = this._onTouchEnd.bind(this);
-        this._onResize = this._onResize.bind(this);
+            // borderBoxSize ignores the spring scale transform
+            const box = entry.borderBoxSize?.[0];
+            const width = box ? box.inlineSize : entry.target.offsetWidth;
+            const height = box ? box.blockSize : entry.target.offsetHeight;
 
-        // Initialize
-        this._init();
+            instance._queueResize(width, height);
+        }
     }
+}
 
-    /**
-     * Initialize the liquid glass effect
-     */
-    _init() {
-        this._detectBackdropFilterSupport();
-        this._setupDOM();
-        this._updateFilter();
-        this._setupEventListeners();
+const resizeWatcher = new ResizeWatcher();
 
-        if (this.options.springAnimation) {
-            this.springs.scale.value = 0.85;
-            this.springs.scale.target = 0.85;
-            this._startAnimationLoop();
+/**
+ * Shared pointer tracking - one document listener for every instance
+ * whose light follows the pointer
+ */
+class PointerWatcher {
+    constructor() {
+        this.instances = new Set();
+        this._onPointerMove = this._onPointerMove.bind(this);
+    }
+
+    observe(instance) {
+        if (this.instances.size === 0) {
+            document.addEventListener('pointermove', this._onPointerMove, { passive: true });
         }
+        this.instances.add(instance);
     }
 
-    /**
-     * Detect if browser supports backdrop-filter with SVG url()
-     */
-    _detectBackdropFilterSupport() {
-        const isChromium = !!window.chrome;
-        const testEl = document.createElement('div');
-        testEl.style.backdropFilter = 'url(#test)';
-        const supportsBackdropFilterUrl = testEl.style.backdropFilter.includes('url');
+    unobserve(instance) {
+        if (!this.instances.delete(instance)) return;
 
-        this.backdropFilterSupported = isChromium && supportsBackdropFilterUrl;
+        if (this.instances.size === 0) {
+            document.removeEventListener('pointermove', this._onPointerMove);
+        }
+    }
 
-        if (this.options.useBackdropFilter === 'auto') {
-            this.useBackdropFilter = this.backdropFilterSupported;
-        } else {
-            this.useBackdropFilter = this.options.useBackdropFilter;
+    _onPointerMove(e) {
+        for (const instance of this.instances) {
+            instance._aimLight(e.clientX, e.clientY);
         }
     }
+}
 
-    /**
-     * Setup DOM elements for the effect
-     */
-    _setupDOM() {
-        const el = this.element;
+const pointerWatcher = new PointerWatcher();
 
-        // Add base class
-        el.classList.add('lg-element');
+/**
+ * Shared device orientation - one `deviceorientation` listener for every
+ * instance with `motion` enabled. Tilt is reported in screen coordinates,
+ * in degrees away from a neutral pose that slowly follows the user's grip.
+ */
+class MotionWatcher {
+    constructor() {
+        this.instances = new Set();
+        this.listening = false;
+        this.permission = 'unknown';
+        this.neutral = null;
+        this._onOrientation = this._onOrientation.bind(this);
+        this._onGesture = this._onGesture.bind(this);
+    }
 
-        // Get dimensions
-        const rect = el.getBoundingClientRect();
-        const width = this.options.width === 'auto' ? rect.width : this.options.width;
-        const height = this.options.height === 'auto' ? rect.height : this.options.height;
+    observe(instance) {
+        this.instances.add(instance);
+        this._listen();
+    }
 
-        // Get border radius
-        let borderRadius = this.options.borderRadius;
-        if (borderRadius === 'auto') {
-            borderRadius = getComputedStyle(el).borderRadius || '0';
+    unobserve(instance) {
+        if (!this.instances.delete(instance)) return;
+        if (this.instances.size === 0) this._stop();
+    }
+
+    /**
+     * iOS 13+ only reports orientation after a permission prompt, which
+     * must be triggered from a user gesture
+     * @returns {Promise<boolean>} Whether orientation events are allowed
+     */
+    requestPermission() {
+        if (!this._needsPermission()) {
+            this.permission = 'granted';
+            this._listen();
+            return Promise.resolve(true);
         }
-        const radiusValue = parseInt(borderRadius) || 0;
 
-        // Store dimensions
-        this.dimensions = { width, height, borderRadius: radiusValue };
+        return DeviceOrientationEvent.requestPermission().then(
+            (state) => {
+                this.permission = state === 'granted' ? 'granted' : 'denied';
+                this._listen();
+                return this.permission === 'granted';
+            },
+            // Rejected outside a user gesture; try again on the next one
+            () => {
+                this._listen();
+                return false;
+            }
+        );
+    }
 
-        // Create content clone for fallback mode
-        this.contentClone = document.createElement('div');
-        this.contentClone.className = 'lg-content-clone';
-        this.contentClone.id = `${this.id}-clone`;
+    _needsPermission() {
+        return (
+            this.permission !== 'granted' &&
+            typeof DeviceOrientationEvent !== 'undefined' &&
+            typeof DeviceOrientationEvent.requestPermission === 'function'
+        );
+    }
 
-        this.contentCloneInner = document.createElement('div');
-        this.contentCloneInner.className = 'lg-content-clone-inner';
-        this.contentCloneInner.id = `${this.id}-clone-inner`;
+    _listen() {
+        if (this.listening || this.instances.size === 0 || this.permission === 'denied') return;
 
-        // Clone content if applyToChildren is true
-        if (this.options.applyToChildren) {
-            this.contentCloneInner.innerHTML = el.innerHTML;
+        if (this._needsPermission()) {
+            document.addEventListener('click', this._onGesture);
+            document.addEventListener('touchend', this._onGesture);
+            return;
         }
 
-        this.contentClone.appendChild(this.contentCloneInner);
+        window.addEventListener('deviceorientation', this._onOrientation);
+        this.listening = true;
+    }
 
-        // Create SVG filter
-        this._createSVGFilter(width, height, radiusValue);
+    _stop() {
+        document.removeEventListener('click', this._onGesture);
+        document.removeEventListener('touchend', this._onGesture);
+        window.removeEventListener('deviceorientation', this._onOrientation);
+        this.listening = false;
+        this.neutral = null;
+    }
 
-        // Create inner element for shadows
-        this.innerElement = document.createElement('div');
-        this.innerElement.className = 'lg-inner';
-        this.innerElement.id = `${this.id}-inner`;
+    _onGesture() {
+        document.removeEventListener('click', this._onGesture);
+        document.removeEventListener('touchend', this._onGesture);
+        this.requestPermission();
+    }
 
-        // Insert elements
-        el.insertBefore(this.contentClone, el.firstChild);
-        el.insertBefore(this.filterSvg, el.firstChild);
-        el.appendChild(this.innerElement);
+    _onOrientation(e) {
+        if (typeof e.beta !== 'number' || typeof e.gamma !== 'number') return;
 
-        // Apply filter
-        if (this.useBackdropFilter) {
-            el.classList.add('lg-use-backdrop-filter');
-            this.innerElement.style.backdropFilter = `url(#${this.id}-filter)`;
-            this.innerElement.style.webkitBackdropFilter = `url(#${this.id}-filter)`;
-        } else {
-            this.contentClone.style.filter = `url(#${this.id}-filter)`;
+        if (!this.neutral) {
+            this.neutral = { beta: e.beta, gamma: e.gamma };
         }
 
-        // Apply styles
-        if (this.options.width !== 'auto') {
-            el.style.width = `${width}px`;
-        }
-        if (this.options.height !== 'auto') {
-            el.style.height = `${height}px`;
-        }
-        if (borderRadius) {
-            el.style.borderRadius = typeof borderRadius === 'number' ? `${borderRadius}px` : borderRadius;
+        // beta wraps at +-180 when the device is turned over
+        const wrap = (degrees) => ((((degrees + 180) % 360) + 360) % 360) - 180;
+        const deviceX = wrap(e.gamma - this.neutral.gamma);
+        const deviceY = wrap(e.beta - this.neutral.beta);
+
+        // Drift the neutral pose toward the current one so a new grip recentres
+        this.neutral.gamma += deviceX * 0.01;
+        this.neutral.beta += deviceY * 0.01;
+
+        // Rotate device axes into screen axes for landscape
+        const screenAngle = ((window.screen?.orientation?.angle ?? window.orientation ?? 0) * Math.PI) / 180;
+        const x = deviceX * Math.cos(screenAngle) + deviceY * Math.sin(screenAngle);
+        const y = -deviceX * Math.sin(screenAngle) + deviceY * Math.cos(screenAngle);
+
+        for (const instance of this.instances) {
+            instance._tilt(x, y);
         }
+    }
+}
 
-        // Initial position update
-        this._updateContentClonePosition(true);
+const motionWatcher = new MotionWatcher();
+
+// Media queries behind the `reducedMotion`, `reducedTransparency` and `forcedColors` options
+const preferenceQueries = {
+    reducedMotion: '(prefers-reduced-motion: reduce)',
+    reducedTransparency: '(prefers-reduced-transparency: reduce)',
+    forcedColors: '(forced-colors: active)',
+};
+
+/**
+ * Shared accessibility preferences - one listener per media query for
+ * every instance, so changing an OS setting updates all glass live
+ */
+class PreferenceWatcher {
+    constructor() {
+        this.instances = new Set();
+        this.queries = {};
+        this.listening = false;
+        this._onChange = this._onChange.bind(this);
+    }
+
+    observe(instance) {
+        this.instances.add(instance);
+        this._listen();
+    }
+
+    unobserve(instance) {
+        if (!this.instances.delete(instance)) return;
+        if (this.instances.size === 0) this._stop();
+    }
+
+    /**
+     * @param {string} name - A key of `preferenceQueries`
+     * @returns {boolean} Whether the user currently has the preference set
+     */
+    matches(name) {
+        return this._getQuery(name)?.matches ?? false;
+    }
+
+    _getQuery(name) {
+        if (typeof window.matchMedia !== 'function') return null;
+        if (!this.queries[name]) {
+            this.queries[name] = window.matchMedia(preferenceQueries[name]);
+        }
+        return this.queries[name];
+    }
+
+    _listen() {
+        if (this.listening || this.instances.size === 0) return;
+
+        for (const name of Object.keys(preferenceQueries)) {
+            const query = this._getQuery(name);
+            if (!query) return;
+
+            // Safari before 14 only has the older listener API
+            if (query.addEventListener) query.addEventListener('change', this._onChange);
+            else query.addListener(this._onChange);
+        }
+        this.listening = true;
+    }
+
+    _stop() {
+        for (const query of Object.values(this.queries)) {
+            if (query.removeEventListener) query.removeEventListener('change', this._onChange);
+            else query.removeListener(this._onChange);
+        }
+        this.listening = false;
+    }
+
+    _onChange() {
+        for (const instance of this.instances) {
+            instance._updatePreferences();
+        }
+    }
+}
+
+const preferenceWatcher = new PreferenceWatcher();
+
+/**
+ * Shared visibility tracking - one IntersectionObserver and one
+ * `visibilitychange` listener for every instance that suspends while unseen
+ */
+class VisibilityWatcher {
+    constructor() {
+        this.observer = null;
+        this.instances = new Map();
+        this.offscreen = new Set();
+        this._onVisibilityChange = this._onVisibilityChange.bind(this);
+    }
+
+    observe(instance) {
+        if (this.instances.size === 0) {
+            document.addEventListener('visibilitychange', this._onVisibilityChange);
+        }
+
+        // A margin resumes the glass just before it scrolls into view
+        if (!this.observer && typeof IntersectionObserver !== 'undefined') {
+            this.observer = new IntersectionObserver((entries) => this._onIntersect(entries), { rootMargin: '100px' });
+        }
+
+        this.instances.set(instance.element, instance);
+        this.observer?.observe(instance.element);
+    }
+
+    unobserve(instance) {
+        if (!this.instances.has(instance.element)) return;
+
+        this.observer?.unobserve(instance.element);
+        this.instances.delete(instance.element);
+        this.offscreen.delete(instance);
+
+        if (this.instances.size === 0) {
+            document.removeEventListener('visibilitychange', this._onVisibilityChange);
+            this.observer?.disconnect();
+            this.observer = null;
+        }
+    }
+
+    /**
+     * @returns {string|null} 'hidden' in a background tab, 'offscreen' when
+     *   scrolled out of view, or null when the instance can be seen
+     */
+    reason(instance) {
+        if (document.hidden) return 'hidden';
+        return this.offscreen.has(instance) ? 'offscreen' : null;
+    }
+
+    _onIntersect(entries) {
+        for (const entry of entries) {
+            const instance = this.instances.get(entry.target);
+            if (!instance) continue;
+
+            if (entry.isIntersecting) this.offscreen.delete(instance);
+            else this.offscreen.add(instance);
+            instance._updateSuspended();
+        }
+    }
+
+    _onVisibilityChange() {
+        for (const instance of this.instances.values()) {
+            instance._updateSuspended();
+        }
+    }
+}
+
+const visibilityWatcher = new VisibilityWatcher();
+
+/**
+ * Shared live region - one visually hidden status element that reads out
+ * keyboard moves for every instance. It lives on the body rather than in
+ * the glass so the fallback clone never copies it.
+ */
+class Announcer {
+    constructor() {
+        this.region = null;
+    }
+
+    announce(message) {
+        if (!message) return;
+
+        if (!this.region?.isConnected) {
+            this.region = document.createElement('div');
+            this.region.className = 'lg-live-region';
+            this.region.setAttribute('role', 'status');
+            this.region.setAttribute('aria-live', 'polite');
+            this.region.setAttribute('aria-atomic', 'true');
+            this.region.style.cssText =
+                'position: absolute; width: 1px; height: 1px; margin: -1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;';
+            document.body.appendChild(this.region);
+        }
+
+        this.region.textContent = message;
+    }
+}
+
+const announcer = new Announcer();
+
+/**
+ * Shared map worker - one Web Worker generates maps for every instance
+ * that opts in with `useWorker`
+ */
+class MapWorker {
+    constructor() {
+        this.worker = null;
+        this.failed = false;
+        this.jobs = new Map();
+        this.nextJobId = 0;
+    }
+
+    isSupported() {
+        return !this.failed && typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Request maps for an instance
+     * @returns {Promise<Object|null>} Encoded maps, or null if a newer request replaced this one
+     */
+    generate(key, params) {
+        return new Promise((resolve, reject) => {
+            const id = ++this.nextJobId;
+            this.jobs.set(id, { resolve, reject });
+
+            try {
+                this._getWorker().postMessage({ type: 'liquid-glass:generate', id, key, params });
+            } catch (error) {
+                this._fail(error);
+            }
+        });
+    }
+
+    cancel(key) {
+        this.worker?.postMessage({ type: 'liquid-glass:cancel', key });
+    }
+
+    _getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./liquid-glass-worker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', (e) => this._onMessage(e.data));
+            this.worker.addEventListener('error', (e) => this._fail(e));
+        }
+        return this.worker;
+    }
+
+    _onMessage(data) {
+        const job = this.jobs.get(data?.id);
+        if (!job) return;
+
+        this.jobs.delete(data.id);
+        if (data.error) {
+            job.reject(new Error(data.error));
+        } else {
+            job.resolve(data.result);
+        }
+    }
+
+    _fail(error) {
+        if (!this.failed) {
+            console.warn('LiquidGlass: Map worker unavailable, generating maps on the main thread', error);
+        }
+
+        this.failed = true;
+        this.worker?.terminate();
+        this.worker = null;
+
+        for (const job of this.jobs.values()) job.reject(error);
+        this.jobs.clear();
+    }
+}
+
+const mapWorker = new MapWorker();
+
+/**
+ * Shared LRU cache of encoded maps, keyed on geometry and optics, so
+ * elements with the same shape reuse one set of data URLs
+ */
+class MapCache {
+    constructor(maxBytes = 16 * 1024 * 1024) {
+        this.entries = new Map();
+        this.pending = new Map();
+        this.maxBytes = maxBytes;
+        this.bytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.misses++;
+            return null;
+        }
+
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+        return entry.maps;
+    }
+
+    set(key, maps) {
+        // Strings are UTF-16, two bytes per character
+        let length = maps.displacementUrl.length + maps.specularUrl.length;
+        if (maps.channelUrls) length += maps.channelUrls.r.length + maps.channelUrls.b.length;
+        const size = length * 2;
+
+        this.delete(key);
+        if (size > this.maxBytes) return;
+
+        this.entries.set(key, { maps, size });
+        this.bytes += size;
+        this._evict();
+    }
+
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+
+        this.entries.delete(key);
+        this.bytes -= entry.size;
+    }
+
+    getPending(key) {
+        return this.pending.get(key) || null;
+    }
+
+    /**
+     * Remember an in-flight request so identical shapes can join it
+     */
+    track(key, request) {
+        if (this.pending.get(key) === request) return;
+        this.pending.set(key, request);
+
+        const settle = (maps) => {
+            if (this.pending.get(key) === request) this.pending.delete(key);
+            if (maps) this.set(key, maps);
+        };
+        request.then(settle, () => settle(null));
+    }
+
+    setBudget(maxBytes) {
+        this.maxBytes = maxBytes;
+        this._evict();
+    }
+
+    clear() {
+        this.entries.clear();
+        this.pending.clear();
+        this.bytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    getStats() {
+        const lookups = this.hits + this.misses;
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: lookups > 0 ? this.hits / lookups : 0,
+            entries: this.entries.size,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes,
+        };
+    }
+
+    _evict() {
+        while (this.bytes > this.maxBytes && this.entries.size > 0) {
+            this.delete(this.entries.keys().next().value);
+        }
+    }
+}
+
+const mapCache = new MapCache();
+
+const scheduler = new Scheduler();
+
+/**
+ * Default configuration options
+ */
+const defaultOptions = {
+    surfaceType: 'convex_squircle',
+    bezelWidth: 30,
+    glassThickness: 150,
+    refractiveIndex: 1.5,
+    dispersion: 0,
+    refractionScale: 1.5,
+    specularOpacity: 1,
+    specularThickness: 1.5,
+    fresnel: false,
+    lightAngle: 60,
+    lightIntensity: 1,
+    motion: false,
+    motionConfig: { maxTilt: 25, lightRange: 45, parallax: 3 },
+    blur: 0.5,
+    tint: null,
+    saturation: 1.3,
+    brightness: 1,
+    contrast: 1,
+    frost: 0,
+    borderRadius: 'auto',
+    shape: null,
+    applyToChildren: true,
+    draggable: false,
+    axis: null,
+    bounds: 'parent',
+    elasticity: 0.3,
+    step: null,
+    pointerTypes: ['mouse', 'pen', 'touch'],
+    keyboard: true,
+    keyboardConfig: { step: 10, largeStep: 50, announce: null },
+    momentum: false,
+    momentumConfig: { friction: 4, bounce: 0.5 },
+    snap: null,
+    snapConfig: { radius: Infinity, margin: 0 },
+    springAnimation: true,
+    useBackdropFilter: 'auto',
+    reducedMotion: 'auto',
+    reducedTransparency: 'auto',
+    forcedColors: 'auto',
+    springConfig: { stiffness: 400, damping: 25 },
+    width: 'auto',
+    height: 'auto',
+    autoResize: true,
+    resizeThrottle: 100,
+    syncContent: 'auto',
+    suspendOffscreen: true,
+    useWorker: false,
+    cache: true,
+    onDragStart: null,
+    onDrag: null,
+    onDragEnd: null,
+    onSettle: null,
+    onSnap: null,
+};
+
+// Option callbacks called for each event, before `on` handlers and the DOM event
+const eventCallbacks = {
+    dragstart: 'onDragStart',
+    drag: 'onDrag',
+    dragend: 'onDragEnd',
+    snap: 'onSnap',
+    settle: 'onSettle',
+};
+
+// Springs that lift the glass while it is held
+const liftSprings = ['scale', 'shadowOffsetX', 'shadowOffsetY', 'shadowBlur', 'shadowAlpha', 'refractionBoost'];
+
+// Rejection for a motion cut short by a newer motion, a drag or destroy()
+const createAbortError = () => new DOMException('LiquidGlass: Motion interrupted', 'AbortError');
+
+// Colour and texture stages that sit between the displacement and the highlight
+const appearanceOptions = new Set(['blur', 'tint', 'saturation', 'brightness', 'contrast', 'frost']);
+
+// Numeric options animateOptions() writes into the filter every frame
+const tweenedOptions = new Set(['refractionScale', 'specularOpacity', 'lightIntensity', ...appearanceOptions]);
+
+// Numeric options that shape the maps; a transition steps through a few of them
+const tweenedMapOptions = new Set(['bezelWidth', 'glassThickness', 'refractiveIndex', 'specularThickness', 'dispersion']);
+
+// Intermediate map sets per transition, kept small so the map cache holds them
+const mapTweenSteps = 6;
+
+// Valid range of tweened options, [0, Infinity] unless listed; a spring's overshoot stops at the edge
+const tweenedRanges = {
+    specularOpacity: [0, 1],
+    frost: [0, 1],
+    refractiveIndex: [1, Infinity],
+};
+
+const clampTweened = (key, value) => {
+    const [min, max] = tweenedRanges[key] ?? [0, Infinity];
+    return Math.max(min, Math.min(max, value));
+};
+
+// CSS timing keywords for `{ duration, easing }` transitions, read like named surfaces
+const easings = {
+    linear: (t) => t,
+    ease: createSurface('cubic-bezier(0.25, 0.1, 0.25, 1)'),
+    'ease-in': createSurface('cubic-bezier(0.42, 0, 1, 1)'),
+    'ease-out': createSurface('cubic-bezier(0, 0, 0.58, 1)'),
+    'ease-in-out': createSurface('cubic-bezier(0.42, 0, 0.58, 1)'),
+};
+
+// Options applied inside the filter; changing only these skips map generation
+const filterOnlyOptions = new Set([
+    'lightAngle',
+    'lightIntensity',
+    'motion',
+    'motionConfig',
+    'reducedMotion',
+    'reducedTransparency',
+    'forcedColors',
+    ...appearanceOptions,
+]);
+
+/**
+ * LiquidGlass class - Apply liquid glass effect to any element
+ */
+class LiquidGlass {
+    /**
+     * Create a LiquidGlass instance
+     * @param {string|HTMLElement} element - Selector or element to apply effect to
+     * @param {Object} options - Configuration options
+     */
+    constructor(element, options = {}) {
+        // Get element
+        this.element = typeof element === 'string'
+            ? document.querySelector(element)
+            : element;
+
+        if (!this.element) {
+            console.error('LiquidGlass: Element not found');
+            return;
+        }
+
+        // Merge options with defaults
+        this.options = { ...defaultOptions, ...options };
+
+        // Generate unique ID for this instance
+        this.id = `lg-${++instanceCounter}`;
+
+        // State
+        this.state = {
+            isDragging: false,
+            pointerId: null,
+            keyboardMove: false,
+            dragStart: { x: 0, y: 0 },
+            dragOffset: { x: 0, y: 0 },
+            velocityX: 0,
+            velocityY: 0,
+            lastX: 0,
+            lastY: 0,
+            lastTime: 0,
+            glide: null,
+            snap: null,
+            move: false,
+            pressed: false,
+            scaleTarget: null,
+            tween: null,
+            settlePending: false,
+            maximumDisplacement: 0,
+        };
+
+        // Springs for animation. The secondary effects are softer than the
+        // glass itself, in proportion so presets keep them stable.
+        const { stiffness, damping, mass } = this._getSpringConfig();
+        this.springs = {
+            scale: new Spring(0.85, stiffness, damping, mass),
+            scaleX: new Spring(1, stiffness, damping * 1.2, mass),
+            scaleY: new Spring(1, stiffness, damping * 1.2, mass),
+            shadowOffsetX: new Spring(0, stiffness, damping * 1.2, mass),
+            shadowOffsetY: new Spring(4, stiffness, damping * 1.2, mass),
+            shadowBlur: new Spring(12, stiffness, damping * 1.2, mass),
+            shadowAlpha: new Spring(0.15, stiffness * 0.75, damping, mass),
+            refractionBoost: new Spring(0.8, stiffness * 0.75, damping * 0.72, mass),
+            lightAngle: new Spring(
+                typeof this.options.lightAngle === 'number' ? this.options.lightAngle : defaultOptions.lightAngle,
+                stiffness * 0.5,
+                damping,
+                mass
+            ),
+            tiltX: new Spring(0, stiffness * 0.375, damping * 0.8, mass),
+            tiltY: new Spring(0, stiffness * 0.375, damping * 0.8, mass),
+            position: new Spring2D(0, 0, stiffness, damping, mass),
+        };
+
+        // Filter primitives by id suffix, looked up again once replaced
+        this.nodes = new Map();
+        this.useBackdropFilter = false;
+        this.backdropFilterSupported = false;
+
+        // Resolved accessibility preferences, see _updatePreferences
+        this.preferences = { reducedMotion: false, reducedTransparency: false, forcedColors: false };
+
+        // Set while off-screen or in a background tab, see _updateSuspended
+        this.suspended = false;
+        this.suspendedAt = 0;
+
+        // Pending size from the ResizeObserver, applied once per throttle window
+        this.resizeState = {
+            pending: null,
+            timerId: null,
+            lastRun: 0,
+        };
+
+        this.contentObserver = null;
+        this.contentSyncFrameId = null;
+
+        // Accessibility attributes added for keyboard dragging
+        this.keyboardAttributes = [];
+
+        // Latest map request; older results are dropped when they arrive
+        this.mapJobId = 0;
+
+        // Handlers added with on() and once(), by event type
+        this.listeners = new Map();
+
+        // Pending animate() promises and the springs each one waits for
+        this.motions = new Set();
+
+        // Bound event handlers
+        this._onPointerDown = this._onPointerDown.bind(this);
+        this._onPointerMove = this._onPointerMove.bind(this);
+        this._onPointerUp = this._onPointerUp.bind(this);
+        this._onPointerCancel = this._onPointerCancel.bind(this);
+        this._onKeyDown = this._onKeyDown.bind(this);
+        this._onBlur = this._onBlur.bind(this);
+        this._onResize = this._onResize.bind(this);
+        this._onContentInput = this._onContentInput.bind(this);
+
+        // Initialize
+        this._init();
+    }
+
+    /**
+     * Initialize the liquid glass effect
+     */
+    _init() {
+        this._detectBackdropFilterSupport();
+        preferenceWatcher.observe(this);
+        this.preferences = this._resolvePreferences();
+        this._setupDOM();
+        this._updateFilter();
+        this._updateLight(true);
+        this._updateMotion();
+        this._setupEventListeners();
+        this._setupContentSync();
+
+        if (this.options.autoResize) {
+            resizeWatcher.observe(this);
+        }
+
+        if (this.options.springAnimation) {
+            this.springs.scale.value = 0.85;
+            this.springs.scale.target = 0.85;
+            this._startAnimationLoop();
+        }
+
+        this._emit('init');
+
+        // A page opened in a background tab sends no visibilitychange until shown,
+        // so check now that init has been announced
+        if (this.options.suspendOffscreen) {
+            visibilityWatcher.observe(this);
+            this._updateSuspended();
+        }
+    }
+
+    /**
+     * Detect if browser supports backdrop-filter with SVG url()
+     */
+    _detectBackdropFilterSupport() {
+        const isChromium = !!window.chrome;
+        const testEl = document.createElement('div');
+        testEl.style.backdropFilter = 'url(#test)';
+        const supportsBackdropFilterUrl = testEl.style.backdropFilter.includes('url');
+
+        this.backdropFilterSupported = isChromium && supportsBackdropFilterUrl;
+
+        if (this.options.useBackdropFilter === 'auto') {
+            this.useBackdropFilter = this.backdropFilterSupported;
+        } else {
+            this.useBackdropFilter = this.options.useBackdropFilter;
+        }
+    }
+
+    /**
+     * Setup DOM elements for the effect
+     */
+    _setupDOM() {
+        const el = this.element;
+
+        // Add base class
+        el.classList.add('lg-element');
+
+        // Get dimensions
+        const rect = el.getBoundingClientRect();
+        const width = this.options.width === 'auto' ? rect.width : this.options.width;
+        const height = this.options.height === 'auto' ? rect.height : this.options.height;
+
+        // Get per-corner border radii and the optional custom shape
+        const borderRadius = this.options.borderRadius;
+        const radii = this._measureBorderRadius(width, height);
+        const shape = this._resolveShape(width, height);
+
+        // Store dimensions
+        this.dimensions = { width, height, borderRadius: radii, shape };
+
+        // Create content clone for fallback mode
+        this.contentClone = document.createElement('div');
+        this.contentClone.className = 'lg-content-clone';
+        this.contentClone.id = `${this.id}-clone`;
+        this.contentClone.setAttribute('aria-hidden', 'true');
+        this.contentClone.inert = true;
+
+        this.contentCloneInner = document.createElement('div');
+        this.contentCloneInner.className = 'lg-content-clone-inner';
+        this.contentCloneInner.id = `${this.id}-clone-inner`;
+
+        if (this._clonesContent()) {
+            this._cloneContent();
+        }
+
+        this.contentClone.appendChild(this.contentCloneInner);
+
+        // Create SVG filter
+        this._createSVGFilter(width, height, radii);
+        this._updateClipPath();
+
+        // Create inner element for shadows
+        this.innerElement = document.createElement('div');
+        this.innerElement.className = 'lg-inner';
+        this.innerElement.id = `${this.id}-inner`;
+
+        // Insert elements
+        el.insertBefore(this.contentClone, el.firstChild);
+        el.insertBefore(this.filterSvg, el.firstChild);
+        el.appendChild(this.innerElement);
+
+        // Apply filter
+        if (this.useBackdropFilter) {
+            el.classList.add('lg-use-backdrop-filter');
+        }
+        this._applyFilterStyle();
+
+        // Apply styles
+        if (this.options.width !== 'auto') {
+            el.style.width = `${width}px`;
+        }
+        if (this.options.height !== 'auto') {
+            el.style.height = `${height}px`;
+        }
+        if (borderRadius !== 'auto' && borderRadius) {
+            el.style.borderRadius = typeof borderRadius === 'number' ? `${borderRadius}px` : borderRadius;
+        }
+
+        // Initial position update
+        this._updateContentClonePosition();
+    }
+
+    /**
+     * Resolve the border radius to per-corner, per-axis radii in pixels
+     */
+    _measureBorderRadius(width, height) {
+        let borderRadius = this.options.borderRadius;
+
+        if (borderRadius === 'auto') {
+            // Longhands keep each corner's horizontal and vertical radius
+            const style = getComputedStyle(this.element);
+            const longhands = [
+                style.borderTopLeftRadius,
+                style.borderTopRightRadius,
+                style.borderBottomRightRadius,
+                style.borderBottomLeftRadius,
+            ];
+
+            if (longhands.some(Boolean)) {
+                const corners = longhands.map((value) => (value || '0').trim().split(/\s+/));
+                borderRadius = `${corners.map((c) => c[0]).join(' ')} / ${corners.map((c) => c[1] ?? c[0]).join(' ')}`;
+            } else {
+                borderRadius = style.borderRadius || '0';
+            }
+        }
+
+        return parseBorderRadius(borderRadius, width, height);
+    }
+
+    /**
+     * Resolve the `shape` option to `{ path, viewBox, fillRule }`, or null for a rounded rectangle
+     */
+    _resolveShape(width, height) {
+        const shape = this.options.shape;
+        if (!shape) return null;
+
+        if (typeof shape === 'string') {
+            const clipPath = parseClipPath(shape, width, height);
+            if (clipPath) return { ...clipPath, viewBox: null };
+            if (/^\s*[Mm]/.test(shape)) return { path: shape.trim(), viewBox: null, fillRule: 'nonzero' };
+        } else if (shape instanceof Element) {
+            // A <path>, or an <svg> whose paths are merged; the viewBox is stretched to the element
+            const isPath = shape.tagName.toLowerCase() === 'path';
+            const paths = isPath ? [shape] : Array.from(shape.querySelectorAll('path'));
+            const svg = isPath ? shape.closest('svg') : shape;
+            const viewBox = svg?.getAttribute('viewBox')?.trim().split(/[\s,]+/).map(Number);
+
+            return {
+                path: paths.map((path) => path.getAttribute('d') || '').join(' '),
+                viewBox: viewBox?.length === 4 && viewBox.every(Number.isFinite) ? viewBox : null,
+                fillRule: paths[0]?.getAttribute('fill-rule') === 'evenodd' ? 'evenodd' : 'nonzero',
+            };
+        } else if (typeof shape.path === 'string') {
+            return { viewBox: null, fillRule: 'nonzero', ...shape };
+        }
+
+        console.warn('LiquidGlass: Unsupported shape, using the border radius instead:', shape);
+        return null;
+    }
+
+    /**
+     * Re-measure radii and shape after a size or option change
+     */
+    _measureGeometry() {
+        const { width, height } = this.dimensions;
+        this.dimensions.borderRadius = this._measureBorderRadius(width, height);
+        this.dimensions.shape = this._resolveShape(width, height);
+        this._updateClipPath();
+    }
+
+    /**
+     * Point the clip path at the current geometry; custom shapes also clip the element
+     */
+    _updateClipPath() {
+        const { width, height, borderRadius, shape } = this.dimensions;
+        const clipPath = this.filterSvg.querySelector('clipPath path');
+        const isOwnClip = this.element.style.clipPath.includes(`#${this.id}-clip`);
+
+        if (shape) {
+            const { scaleX, scaleY, translateX, translateY } = getViewBoxTransform(shape.viewBox, width, height);
+            clipPath.setAttribute('d', shape.path);
+            clipPath.setAttribute('clip-rule', shape.fillRule);
+            clipPath.setAttribute('transform', `matrix(${scaleX} 0 0 ${scaleY} ${translateX} ${translateY})`);
+            this.element.style.clipPath = `url(#${this.id}-clip)`;
+        } else {
+            clipPath.setAttribute('d', roundedRectPath(width, height, borderRadius));
+            clipPath.removeAttribute('clip-rule');
+            clipPath.removeAttribute('transform');
+            if (isOwnClip) this.element.style.clipPath = '';
+        }
     }
 
     /**
      * Create SVG filter element
      */
-    _createSVGFilter(width, height, radius) {
+    _createSVGFilter(width, height, radii) {
         const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
         svg.setAttribute('class', 'lg-filter-svg');
         svg.setAttribute('id', `${this.id}-svg`);
         svg.style.cssText = 'width: 0; height: 0; position: absolute; pointer-events: none;';
 
+        // With dispersion each channel is displaced by its own map, isolated,
+        // and screened back together; without it the graph is a single pass
+        this.dispersed = this._getChannelIndices() !== null;
+        const channelImage = (channel) => `
+          <feImage
+            id="${this.id}-displacement-image-${channel}"
+            href=""
+            x="0"
+            y="0"
+            width="${width}"
+            height="${height}"
+            result="displacement_map_${channel}"
+            preserveAspectRatio="none"
+          />`;
+        const channelPass = (channel) => `
+          <feDisplacementMap
+            id="${this.id}-displacement-map-${channel}"
+            in="shifted"
+            in2="displacement_map_${channel}"
+            scale="50"
+            xChannelSelector="R"
+            yChannelSelector="G"
+            result="displaced_${channel}_all"
+          />`;
+        const isolate = (channel, values) => `
+          <feColorMatrix
+            in="displaced_${channel}_all"
+            type="matrix"
+            values="${values}"
+            result="displaced_${channel}"
+          />`;
+        const channelImages = this.dispersed ? channelImage('r') + channelImage('b') : '';
+        const channelPasses = this.dispersed
+            ? `${channelPass('r')}${channelPass('b')}
+          ${isolate('r', '1 0 0 0 0  0 0 0 0 0  0 0 0 0 0  0 0 0 1 0')}
+          ${isolate('g', '0 0 0 0 0  0 1 0 0 0  0 0 0 0 0  0 0 0 1 0')}
+          ${isolate('b', '0 0 0 0 0  0 0 0 0 0  0 0 1 0 0  0 0 0 1 0')}
+          <feBlend
+            in="displaced_r"
+            in2="displaced_g"
+            mode="screen"
+            result="displaced_rg"
+          />
+          <feBlend
+            in="displaced_b"
+            in2="displaced_rg"
+            mode="screen"
+            result="displaced"
+          />`
+            : '';
+
+        // Noise is costly to render, so the frost stages exist only while used
+        this.frosted = this._needsFrost();
+        const appearance = this._getAppearance();
+        const frostStages = this.frosted
+            ? `
+          <feTurbulence
+            type="fractalNoise"
+            baseFrequency="0.9"
+            numOctaves="3"
+            seed="7"
+            stitchTiles="stitch"
+            result="noise"
+          />
+          <feColorMatrix
+            id="${this.id}-frost"
+            in="noise"
+            type="matrix"
+            values="${appearance.grain}"
+            result="grain"
+          />
+          <feComposite
+            in="grain"
+            in2="tinted"
+            operator="atop"
+            result="frosted"
+          />`
+            : '';
+
         svg.innerHTML = `
       <defs>
         <filter
@@ -281,7 +1380,7 @@ class LiquidGlass {
           <feGaussianBlur
             id="${this.id}-blur"
             in="SourceGraphic"
-            stdDeviation="${this.options.blur}"
+            stdDeviation="${appearance.blur}"
             result="blurred"
           />
           <feImage
@@ -293,22 +1392,51 @@ class LiquidGlass {
             height="${height}"
             result="displacement_map"
             preserveAspectRatio="none"
+          />${channelImages}
+          <feOffset
+            id="${this.id}-parallax"
+            in="blurred"
+            dx="0"
+            dy="0"
+            result="shifted"
           />
           <feDisplacementMap
             id="${this.id}-displacement-map"
-            in="blurred"
+            in="shifted"
             in2="displacement_map"
             scale="50"
             xChannelSelector="R"
             yChannelSelector="G"
-            result="displaced"
-          />
+            result="${this.dispersed ? 'displaced_g_all' : 'displaced'}"
+          />${channelPasses}
           <feColorMatrix
+            id="${this.id}-saturation"
             in="displaced"
             type="saturate"
-            values="1.3"
-            result="displaced_saturated"
+            values="${appearance.saturation}"
+            result="saturated"
+          />
+          <feComponentTransfer
+            id="${this.id}-tone"
+            in="saturated"
+            result="toned"
+          >
+            <feFuncR type="linear" slope="${appearance.slope}" intercept="${appearance.intercept}" />
+            <feFuncG type="linear" slope="${appearance.slope}" intercept="${appearance.intercept}" />
+            <feFuncB type="linear" slope="${appearance.slope}" intercept="${appearance.intercept}" />
+          </feComponentTransfer>
+          <feFlood
+            id="${this.id}-tint"
+            flood-color="${appearance.tintColor}"
+            flood-opacity="${appearance.tintOpacity}"
+            result="tint_layer"
           />
+          <feComposite
+            in="tint_layer"
+            in2="toned"
+            operator="atop"
+            result="tinted"
+          />${frostStages}
           <feImage
             id="${this.id}-specular-image"
             href=""
@@ -319,10 +1447,20 @@ class LiquidGlass {
             result="specular_layer"
             preserveAspectRatio="none"
           />
-          <feComponentTransfer
+          <feColorMatrix
+            id="${this.id}-specular-matrix"
             in="specular_layer"
+            type="matrix"
+            values="${getSpecularMatrix((this.springs.lightAngle.value * Math.PI) / 180, this.options.lightIntensity)}"
+            result="specular_lit"
+          />
+          <feComponentTransfer
+            in="specular_lit"
             result="specular_faded"
           >
+            <feFuncR type="gamma" exponent="0.5" />
+            <feFuncG type="gamma" exponent="0.5" />
+            <feFuncB type="gamma" exponent="0.5" />
             <feFuncA
               id="${this.id}-specular-alpha"
               type="linear"
@@ -331,339 +1469,933 @@ class LiquidGlass {
           </feComponentTransfer>
           <feBlend
             in="specular_faded"
-            in2="displaced_saturated"
+            in2="${this.frosted ? 'frosted' : 'tinted'}"
             mode="screen"
           />
         </filter>
         <clipPath id="${this.id}-clip">
-          <rect
-            x="0"
-            y="0"
-            width="${width}"
-            height="${height}"
-            rx="${radius}"
-            ry="${radius}"
-          />
+          <path d="${roundedRectPath(width, height, radii)}" />
         </clipPath>
       </defs>
     `;
 
-        this.filterSvg = svg;
+        this.filterSvg = svg;
+    }
+
+    /**
+     * Whether the filter needs its frost stages: while frost is above 0, or for
+     * the whole of a transition that passes through it
+     */
+    _needsFrost() {
+        return this.options.frost > 0 || !!this.state.tween?.frosted;
+    }
+
+    /**
+     * Replace the filter when dispersion or frost switches on or off, keeping
+     * the maps already on screen
+     */
+    _rebuildFilter() {
+        const { width, height, borderRadius } = this.dimensions;
+        const previous = this.filterSvg;
+
+        this._createSVGFilter(width, height, borderRadius);
+        previous.replaceWith(this.filterSvg);
+        this._updateClipPath();
+        this._renderMotion();
+        if (this.appliedMaps) this._applyMaps(this.appliedMaps);
+    }
+
+    /**
+     * Attribute values for the colour and texture stages
+     */
+    _getAppearance() {
+        const { blur, tint, saturation, brightness, contrast, frost } = this.options;
+        const { color = '#ffffff', strength = 0.25 } = typeof tint === 'string' ? { color: tint } : tint || { strength: 0 };
+        const grain = Math.max(0, Math.min(1, frost));
+
+        // brightness() then contrast(), as in CSS filters
+        return {
+            blur,
+            saturation,
+            slope: brightness * contrast,
+            intercept: 0.5 - 0.5 * contrast,
+            tintColor: color,
+            tintOpacity: Math.max(0, Math.min(1, strength)),
+            grain: `1 0 0 0 0  1 0 0 0 0  1 0 0 0 0  0 0 0 0 ${grain}`,
+        };
+    }
+
+    /**
+     * Apply `blur`, `tint`, `saturation`, `brightness`, `contrast` and `frost`
+     * to the existing filter
+     */
+    _updateAppearance() {
+        const appearance = this._getAppearance();
+
+        this._node('blur')?.setAttribute('stdDeviation', appearance.blur);
+        this._node('saturation')?.setAttribute('values', appearance.saturation);
+        for (const func of this._node('tone')?.children ?? []) {
+            func.setAttribute('slope', appearance.slope);
+            func.setAttribute('intercept', appearance.intercept);
+        }
+        const tint = this._node('tint');
+        tint?.setAttribute('flood-color', appearance.tintColor);
+        tint?.setAttribute('flood-opacity', appearance.tintOpacity);
+        this._node('frost')?.setAttribute('values', appearance.grain);
+    }
+
+    /**
+     * Convert ImageData-compatible pixels to a data URL
+     */
+    _imageDataToDataURL(imageData) {
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        const ctx = canvas.getContext('2d');
+        ctx.putImageData(new ImageData(imageData.data, imageData.width, imageData.height), 0, 0);
+        return canvas.toDataURL();
+    }
+
+    /**
+     * Inputs for map generation. The 1D profiles are cheap and need the
+     * surface function, so they are always computed here.
+     */
+    _getMapParams() {
+        const { width, height, borderRadius, shape } = this.dimensions;
+        const surface = this._getSurface();
+        const indices = this._getChannelIndices();
+        const fresnel = this._getFresnel();
+        const profile = (index) => calculateDisplacementMap1D(
+            this.options.glassThickness,
+            this.options.bezelWidth,
+            surface.fn,
+            index
+        );
+
+        return {
+            width,
+            height,
+            borderRadius,
+            shape,
+            bezelWidth: this.options.bezelWidth,
+            specularBasis: true,
+            precomputedMap: profile(indices ? indices.g : this.options.refractiveIndex),
+            precomputedChannels: indices ? { r: profile(indices.r), b: profile(indices.b) } : null,
+            specularThickness: this.options.specularThickness,
+            fresnel: fresnel && {
+                ...fresnel,
+                profile: calculateFresnelProfile(
+                    surface.fn,
+                    indices ? indices.g : this.options.refractiveIndex,
+                    fresnel.falloff
+                ),
+            },
+        };
+    }
+
+    /**
+     * Resolved `fresnel` option, or null for the plain rim
+     */
+    _getFresnel() {
+        const { fresnel, bezelWidth } = this.options;
+        if (!fresnel) return null;
+
+        const { thickness = bezelWidth, falloff = 5, innerRim = 0 } = fresnel === true ? {} : fresnel;
+        return { thickness, falloff, innerRim };
+    }
+
+    /**
+     * Refractive index per colour channel, or null without dispersion
+     */
+    _getChannelIndices() {
+        return getChannelIndices(this.options.refractiveIndex, this.options.dispersion);
+    }
+
+    /**
+     * Generate and encode both maps on the main thread
+     */
+    _generateMapsSync(params) {
+        const maps = generateMaps(params);
+
+        return {
+            displacementUrl: this._imageDataToDataURL(maps.displacement),
+            specularUrl: this._imageDataToDataURL(maps.specular),
+            channelUrls: maps.channels
+                ? { r: this._imageDataToDataURL(maps.channels.r), b: this._imageDataToDataURL(maps.channels.b) }
+                : null,
+            maximumDisplacement: maps.maximumDisplacement,
+        };
+    }
+
+    /**
+     * Resolve the configured surface, falling back to the default profile
+     * instead of failing inside the map generator
+     */
+    _getSurface() {
+        const surface = resolveSurface(this.options.surfaceType);
+        if (surface) return surface;
+
+        if (this.invalidSurfaceType !== this.options.surfaceType) {
+            this.invalidSurfaceType = this.options.surfaceType;
+            if (typeof this.options.surfaceType === 'string') {
+                console.error(`LiquidGlass: Unknown surfaceType "${this.options.surfaceType}", using "${defaultOptions.surfaceType}"`);
+            }
+        }
+        return resolveSurface(defaultOptions.surfaceType);
+    }
+
+    /**
+     * Cache key covering every input that changes the generated maps
+     */
+    _getMapCacheKey() {
+        const { width, height, borderRadius, shape } = this.dimensions;
+        const { bezelWidth, glassThickness, refractiveIndex } = this.options;
+        const indices = this._getChannelIndices();
+        const fresnel = this._getFresnel();
+
+        // A custom shape replaces the radii
+        const outline = shape
+            ? `${shape.fillRule} ${shape.viewBox?.join(',') ?? ''} ${shape.path}`
+            : ['topLeft', 'topRight', 'bottomRight', 'bottomLeft']
+                .map((corner) => `${borderRadius[corner].x.toFixed(2)},${borderRadius[corner].y.toFixed(2)}`)
+                .join(' ');
+
+        return [
+            Math.max(1, Math.floor(width)),
+            Math.max(1, Math.floor(height)),
+            outline,
+            this._getSurface().key,
+            bezelWidth,
+            glassThickness,
+            refractiveIndex,
+            indices ? `${indices.r},${indices.g},${indices.b}` : '',
+            this.options.specularThickness,
+            fresnel ? `${fresnel.thickness},${fresnel.falloff},${fresnel.innerRim}` : '',
+        ].join('|');
+    }
+
+    /**
+     * Update the SVG filter with new displacement and specular maps
+     */
+    _updateFilter(updateScale = true) {
+        const jobId = ++this.mapJobId;
+        const useCache = this.options.cache;
+        const key = useCache ? this._getMapCacheKey() : null;
+        const cached = useCache ? mapCache.get(key) : null;
+
+        if (cached) {
+            this._applyMaps(cached, updateScale);
+        } else if (this.options.useWorker && mapWorker.isSupported()) {
+            const params = this._getMapParams();
+
+            // Elements with the same shape share one in-flight job
+            const shared = useCache ? mapCache.getPending(key) : null;
+            const request = shared || mapWorker.generate(this.id, params);
+            if (useCache) mapCache.track(key, request);
+
+            // The previous map stays on screen until the worker answers
+            request.then(
+                (result) => {
+                    if (jobId !== this.mapJobId || !this.element) return;
+
+                    // A shared job was superseded by its owner, so ask again
+                    if (!result) {
+                        if (shared) this._updateFilter(updateScale);
+                        return;
+                    }
+
+                    this._applyMaps(result, updateScale);
+                },
+                () => {
+                    if (jobId !== this.mapJobId || !this.element) return;
+
+                    const maps = this._generateMapsSync(params);
+                    if (useCache) mapCache.set(key, maps);
+                    this._applyMaps(maps, updateScale);
+                }
+            );
+        } else {
+            const maps = this._generateMapsSync(this._getMapParams());
+            if (useCache) mapCache.set(key, maps);
+            this._applyMaps(maps, updateScale);
+        }
+
+        this._node('specular-alpha')?.setAttribute('slope', this.options.specularOpacity);
+
+        this._updateContentClonePosition();
+    }
+
+    /**
+     * Point the filter at freshly generated maps
+     */
+    _applyMaps(maps, updateScale = true) {
+        const { displacementUrl, specularUrl, channelUrls, maximumDisplacement } = maps;
+        this.appliedMaps = maps;
+        this.state.maximumDisplacement = maximumDisplacement;
+
+        this._node('displacement-image')?.setAttribute('href', displacementUrl);
+        this._node('specular-image')?.setAttribute('href', specularUrl);
+        if (channelUrls) {
+            this._node('displacement-image-r')?.setAttribute('href', channelUrls.r);
+            this._node('displacement-image-b')?.setAttribute('href', channelUrls.b);
+        }
+
+        if (updateScale) {
+            this._setDisplacementScale(this.state.maximumDisplacement * this.options.refractionScale);
+        }
+    }
+
+    /**
+     * Set the displacement strength on every channel pass
+     */
+    _setDisplacementScale(scale) {
+        const suffixes = this.dispersed ? ['', '-r', '-b'] : [''];
+        for (const suffix of suffixes) {
+            this._node(`displacement-map${suffix}`)?.setAttribute('scale', scale);
+        }
+    }
+
+    /**
+     * Look up a filter primitive by its id suffix, cached until the filter is rebuilt
+     */
+    _node(name) {
+        let node = this.nodes.get(name);
+        if (!node?.isConnected) {
+            node = document.getElementById(`${this.id}-${name}`);
+            if (node) this.nodes.set(name, node);
+        }
+        return node;
+    }
+
+    /**
+     * Apply `lightAngle` and `lightIntensity`. The light only changes a colour
+     * matrix over the specular basis map, so the maps are never regenerated.
+     */
+    _updateLight(immediate = false) {
+        const followPointer = this.options.lightAngle === 'pointer';
+
+        if (followPointer && !this.suspended) {
+            pointerWatcher.observe(this);
+        } else {
+            pointerWatcher.unobserve(this);
+        }
+        if (!followPointer) {
+            this._setLightTarget(Number(this.options.lightAngle) || 0, immediate);
+        }
+
+        this._renderLight();
+    }
+
+    _setLightTarget(angle, immediate = false) {
+        const spring = this.springs.lightAngle;
+
+        // The highlight repeats every 180 degrees, so turn the short way
+        const delta = angle - spring.value;
+        spring.setTarget(spring.value + ((((delta % 180) + 270) % 180) - 90));
+
+        if (immediate || !this.options.springAnimation) {
+            spring.value = spring.target;
+            spring.velocity = 0;
+            this._renderLight();
+        } else {
+            this._startAnimationLoop();
+        }
+    }
+
+    _renderLight() {
+        const { lightRange } = this._getMotionConfig();
+        const degrees = this.springs.lightAngle.value - this.springs.tiltX.value * lightRange;
+        this._node('specular-matrix')
+            ?.setAttribute('values', getSpecularMatrix((degrees * Math.PI) / 180, this.options.lightIntensity));
+    }
+
+    _getMotionConfig() {
+        return { ...defaultOptions.motionConfig, ...this.options.motionConfig };
+    }
+
+    /**
+     * Each preference option is 'auto' to follow the media query, or a
+     * boolean to force the behaviour on or off for this instance
+     */
+    _resolvePreferences() {
+        const resolve = (name) =>
+            this.options[name] === 'auto' ? preferenceWatcher.matches(name) : !!this.options[name];
+
+        return {
+            reducedMotion: resolve('reducedMotion'),
+            reducedTransparency: resolve('reducedTransparency'),
+            forcedColors: resolve('forcedColors'),
+        };
+    }
+
+    /**
+     * Re-read the preferences, from the shared PreferenceWatcher or setOptions
+     */
+    _updatePreferences() {
+        this.preferences = this._resolvePreferences();
+        this._applyFilterStyle();
+
+        // Springs in flight jump to their targets on the next frame
+        this._startAnimationLoop();
+    }
+
+    /**
+     * Attach the SVG filter, or leave it off when reduced transparency asks
+     * for an opaque surface or forced colors should show system colours
+     */
+    _applyFilterStyle() {
+        const { reducedTransparency, forcedColors } = this.preferences;
+        const filter = reducedTransparency || forcedColors || this.suspended ? '' : `url(#${this.id}-filter)`;
+
+        if (this.useBackdropFilter) {
+            this.innerElement.style.backdropFilter = filter;
+            this.innerElement.style.webkitBackdropFilter = filter;
+        } else {
+            this.contentClone.style.filter = filter;
+        }
+
+        this.element.classList.toggle('lg-reduced-transparency', reducedTransparency && !forcedColors);
+        this.element.classList.toggle('lg-forced-colors', forcedColors);
+    }
+
+    /**
+     * Advance a spring by `dt` seconds, or settle it at once for reduced motion
+     */
+    _stepSpring(spring, dt) {
+        return this.preferences.reducedMotion ? spring.jump() : spring.update(dt);
+    }
+
+    /**
+     * Reduced motion drops the throw; the glass rests where it was released
+     */
+    _hasMomentum() {
+        return this.options.momentum && !this.preferences.reducedMotion;
+    }
+
+    /**
+     * Start or stop following device orientation
+     */
+    _updateMotion() {
+        if (this.options.motion && !this.suspended) {
+            motionWatcher.observe(this);
+        } else {
+            motionWatcher.unobserve(this);
+        }
+        if (!this.options.motion) this._tilt(0, 0);
+    }
+
+    /**
+     * Device tilt in screen degrees, from the shared MotionWatcher. Turns the
+     * light and shifts the refracted content slightly, like a layer below the glass.
+     */
+    _tilt(x, y) {
+        const { maxTilt } = this._getMotionConfig();
+        const clamp = (value) => Math.max(-1, Math.min(1, value / maxTilt));
+
+        this.springs.tiltX.setTarget(clamp(x));
+        this.springs.tiltY.setTarget(clamp(y));
+
+        if (this.options.springAnimation) {
+            this._startAnimationLoop();
+        } else {
+            this.springs.tiltX.value = this.springs.tiltX.target;
+            this.springs.tiltY.value = this.springs.tiltY.target;
+            this._renderMotion();
+        }
+    }
+
+    _renderMotion() {
+        const { parallax } = this._getMotionConfig();
+        const offset = this._node('parallax');
+        offset?.setAttribute('dx', -this.springs.tiltX.value * parallax);
+        offset?.setAttribute('dy', -this.springs.tiltY.value * parallax);
+        this._renderLight();
+    }
+
+    /**
+     * Turn the light toward a pointer position
+     */
+    _aimLight(clientX, clientY) {
+        const rect = this.element.getBoundingClientRect();
+        const dx = clientX - (rect.left + rect.width / 2);
+        const dy = clientY - (rect.top + rect.height / 2);
+        if (dx === 0 && dy === 0) return;
+
+        // Screen y points down; light angles are counter-clockwise
+        this._setLightTarget((Math.atan2(-dy, dx) * 180) / Math.PI);
+    }
+
+    /**
+     * Queue a size change reported by the ResizeObserver. Rebuilds are
+     * throttled to one per `resizeThrottle` ms, always ending on the final size.
+     */
+    _queueResize(width, height) {
+        width = this.options.width === 'auto' ? Math.round(width) : this.options.width;
+        height = this.options.height === 'auto' ? Math.round(height) : this.options.height;
+
+        if (width === Math.round(this.dimensions.width) && height === Math.round(this.dimensions.height)) {
+            this.resizeState.pending = null;
+            return;
+        }
+
+        this.resizeState.pending = { width, height };
+        if (this.resizeState.timerId) return;
+
+        const elapsed = performance.now() - this.resizeState.lastRun;
+        const wait = Math.max(0, this.options.resizeThrottle - elapsed);
+
+        this.resizeState.timerId = setTimeout(() => {
+            this.resizeState.timerId = null;
+            this.resizeState.lastRun = performance.now();
+            this._applyResize();
+        }, wait);
+    }
+
+    /**
+     * Apply the pending size: resize the filter primitives and regenerate maps
+     */
+    _applyResize() {
+        const size = this.resizeState.pending;
+        this.resizeState.pending = null;
+        if (!size || !this.element) return;
+
+        const width = Math.max(1, size.width);
+        const height = Math.max(1, size.height);
+        this.dimensions.width = width;
+        this.dimensions.height = height;
+        for (const suffix of ['displacement-image', 'displacement-image-r', 'displacement-image-b', 'specular-image']) {
+            const image = this._node(suffix);
+            image?.setAttribute('width', width);
+            image?.setAttribute('height', height);
+        }
+
+        this._measureGeometry();
+        this._updateFilter();
+    }
+
+    /**
+     * Update the position of cloned content
+     */
+    _updateContentClonePosition(left = parseFloat(this.element.style.left) || 0, top = parseFloat(this.element.style.top) || 0) {
+        if (this.useBackdropFilter) return;
+
+        const rect = this.element.getBoundingClientRect();
+        const parentRect = this.element.parentElement?.getBoundingClientRect() || rect;
+
+        scheduler.write(this.contentCloneInner, 'width', `${parentRect.width}px`);
+        scheduler.write(this.contentCloneInner, 'height', `${parentRect.height}px`);
+        scheduler.write(this.contentCloneInner, 'transform', `translate(${-left}px, ${-top}px)`);
+    }
+
+    /**
+     * Place the glass inside its parent and keep the fallback clone aligned
+     */
+    _setPosition(x, y) {
+        scheduler.write(this.element, 'left', `${x}px`);
+        scheduler.write(this.element, 'top', `${y}px`);
+        this._updateContentClonePosition(x, y);
+    }
+
+    /**
+     * Copy the element's live content into the fallback clone
+     */
+    _cloneContent() {
+        const fragment = document.createDocumentFragment();
+
+        for (const node of this.element.childNodes) {
+            if (this._isOwnNode(node)) continue;
+            fragment.appendChild(node.cloneNode(true));
+        }
+
+        // Cloned controls must not join radio groups or form submissions
+        for (const control of fragment.querySelectorAll('[name]')) {
+            control.removeAttribute('name');
+        }
+
+        this.contentCloneInner.replaceChildren(fragment);
+        this._syncFormValues();
     }
 
     /**
-     * Calculate 1D displacement map using Snell's Law
+     * Mirror form control state, which is not reflected in attributes
      */
-    _calculateDisplacementMap1D(glassThickness, bezelWidth, surfaceFn, refractiveIndex, samples = 128) {
-        const eta = 1 / refractiveIndex;
+    _syncFormValues() {
+        const selector = 'input, textarea, select';
+        const sources = Array.from(this.element.querySelectorAll(selector))
+            .filter((node) => !this.contentClone.contains(node));
+        const targets = this.contentCloneInner.querySelectorAll(selector);
+
+        sources.forEach((source, i) => {
+            const target = targets[i];
+            if (!target || target.tagName !== source.tagName) return;
+
+            if (source.tagName === 'SELECT') {
+                Array.from(source.options).forEach((option, j) => {
+                    if (target.options[j]) target.options[j].selected = option.selected;
+                });
+            } else if (source.type === 'checkbox' || source.type === 'radio') {
+                target.checked = source.checked;
+            } else if (source.type !== 'file') {
+                target.value = source.value;
+            }
+        });
+    }
 
-        function refract(normalX, normalY) {
-            const dot = normalY;
-            const k = 1 - eta * eta * (1 - dot * dot);
-            if (k < 0) return null;
-            const kSqrt = Math.sqrt(k);
-            return [
-                -(eta * dot + kSqrt) * normalX,
-                eta - (eta * dot + kSqrt) * normalY,
-            ];
-        }
+    /**
+     * Check whether a node is one of the elements this instance inserted
+     */
+    _isOwnNode(node) {
+        return node === this.contentClone || node === this.filterSvg || node === this.innerElement;
+    }
 
-        const result = [];
-        for (let i = 0; i < samples; i++) {
-            const x = i / samples;
-            const y = surfaceFn(x);
-            const dx = x < 1 ? 0.0001 : -0.0001;
-            const y2 = surfaceFn(Math.max(0, Math.min(1, x + dx)));
-            const derivative = (y2 - y) / dx;
-            const magnitude = Math.sqrt(derivative * derivative + 1);
-            const normal = [-derivative / magnitude, -1 / magnitude];
-            const refracted = refract(normal[0], normal[1]);
+    /**
+     * Whether the fallback clone holds a copy of the content; `syncContent: false` leaves it empty
+     */
+    _clonesContent() {
+        return this.options.applyToChildren && this.options.syncContent !== false;
+    }
 
-            if (!refracted) {
-                result.push(0);
-            } else {
-                const remainingHeightOnBezel = y * bezelWidth;
-                const remainingHeight = remainingHeightOnBezel + glassThickness;
-                result.push(refracted[0] * (remainingHeight / refracted[1]));
-            }
-        }
-        return result;
-    }
-
-    /**
-     * Calculate 2D displacement map
-     */
-    _calculateDisplacementMap2D(canvasWidth, canvasHeight, objectWidth, objectHeight, radius, bezelWidth, maximumDisplacement, precomputedMap) {
-        const imageData = new ImageData(canvasWidth, canvasHeight);
-
-        for (let i = 0; i < imageData.data.length; i += 4) {
-            imageData.data[i] = 128;
-            imageData.data[i + 1] = 128;
-            imageData.data[i + 2] = 0;
-            imageData.data[i + 3] = 255;
-        }
-
-        const radiusSquared = radius * radius;
-        const radiusPlusOneSquared = (radius + 1) * (radius + 1);
-        const radiusMinusBezelSquared = Math.max(0, (radius - bezelWidth) * (radius - bezelWidth));
-        const widthBetweenRadiuses = objectWidth - radius * 2;
-        const heightBetweenRadiuses = objectHeight - radius * 2;
-        const objectX = (canvasWidth - objectWidth) / 2;
-        const objectY = (canvasHeight - objectHeight) / 2;
-
-        for (let y1 = 0; y1 < objectHeight; y1++) {
-            for (let x1 = 0; x1 < objectWidth; x1++) {
-                const idx = ((objectY + y1) * canvasWidth + objectX + x1) * 4;
-                const isOnLeftSide = x1 < radius;
-                const isOnRightSide = x1 >= objectWidth - radius;
-                const isOnTopSide = y1 < radius;
-                const isOnBottomSide = y1 >= objectHeight - radius;
-
-                const x = isOnLeftSide
-                    ? x1 - radius
-                    : isOnRightSide
-                        ? x1 - radius - widthBetweenRadiuses
-                        : 0;
-                const y = isOnTopSide
-                    ? y1 - radius
-                    : isOnBottomSide
-                        ? y1 - radius - heightBetweenRadiuses
-                        : 0;
-
-                const distanceToCenterSquared = x * x + y * y;
-                const isInBezel =
-                    distanceToCenterSquared <= radiusPlusOneSquared &&
-                    distanceToCenterSquared >= radiusMinusBezelSquared;
-
-                if (isInBezel) {
-                    const opacity =
-                        distanceToCenterSquared < radiusSquared
-                            ? 1
-                            : 1 -
-                            (Math.sqrt(distanceToCenterSquared) - Math.sqrt(radiusSquared)) /
-                            (Math.sqrt(radiusPlusOneSquared) - Math.sqrt(radiusSquared));
-                    const distanceFromCenter = Math.sqrt(distanceToCenterSquared);
-                    const distanceFromSide = radius - distanceFromCenter;
-                    const cos = distanceFromCenter > 0 ? x / distanceFromCenter : 0;
-                    const sin = distanceFromCenter > 0 ? y / distanceFromCenter : 0;
-                    const bezelRatio = Math.max(0, Math.min(1, distanceFromSide / bezelWidth));
-                    const bezelIndex = Math.floor(bezelRatio * precomputedMap.length);
-                    const distance = precomputedMap[Math.max(0, Math.min(bezelIndex, precomputedMap.length - 1))] || 0;
-                    const dX = maximumDisplacement > 0 ? (-cos * distance) / maximumDisplacement : 0;
-                    const dY = maximumDisplacement > 0 ? (-sin * distance) / maximumDisplacement : 0;
-
-                    imageData.data[idx] = Math.max(0, Math.min(255, 128 + dX * 127 * opacity));
-                    imageData.data[idx + 1] = Math.max(0, Math.min(255, 128 + dY * 127 * opacity));
-                    imageData.data[idx + 2] = 0;
-                    imageData.data[idx + 3] = 255;
-                }
+    /**
+     * Watch the real content so the fallback clone stays in sync
+     */
+    _setupContentSync() {
+        if (this.useBackdropFilter || !this.options.applyToChildren || this.suspended) return;
+        if (this.options.syncContent !== 'auto' || typeof MutationObserver === 'undefined') return;
+
+        this.contentObserver = new MutationObserver((mutations) => {
+            if (mutations.some((mutation) => this._isContentMutation(mutation))) {
+                this._scheduleContentSync();
             }
+        });
+
+        this.contentObserver.observe(this.element, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            characterData: true,
+        });
+
+        this.element.addEventListener('input', this._onContentInput, true);
+        this.element.addEventListener('change', this._onContentInput, true);
+    }
+
+    _stopContentSync() {
+        this.contentObserver?.disconnect();
+        this.contentObserver = null;
+        cancelAnimationFrame(this.contentSyncFrameId);
+        this.contentSyncFrameId = null;
+        this.element.removeEventListener('input', this._onContentInput, true);
+        this.element.removeEventListener('change', this._onContentInput, true);
+    }
+
+    /**
+     * Ignore mutations caused by the effect itself (transforms, shadows, clone)
+     */
+    _isContentMutation(mutation) {
+        if (mutation.target === this.element) {
+            if (mutation.type !== 'childList') return false;
+            return [...mutation.addedNodes, ...mutation.removedNodes].some((node) => !this._isOwnNode(node));
         }
-        return imageData;
-    }
-
-    /**
-     * Calculate specular highlight
-     */
-    _calculateSpecularHighlight(objectWidth, objectHeight, radius, bezelWidth, specularAngle = Math.PI / 3) {
-        const imageData = new ImageData(objectWidth, objectHeight);
-        const specularVector = [Math.cos(specularAngle), Math.sin(specularAngle)];
-        const specularThickness = 1.5;
-        const radiusSquared = radius * radius;
-        const radiusPlusOneSquared = (radius + 1) * (radius + 1);
-        const radiusMinusSpecularSquared = Math.max(0, (radius - specularThickness) * (radius - specularThickness));
-        const widthBetweenRadiuses = objectWidth - radius * 2;
-        const heightBetweenRadiuses = objectHeight - radius * 2;
-
-        for (let y1 = 0; y1 < objectHeight; y1++) {
-            for (let x1 = 0; x1 < objectWidth; x1++) {
-                const idx = (y1 * objectWidth + x1) * 4;
-                const isOnLeftSide = x1 < radius;
-                const isOnRightSide = x1 >= objectWidth - radius;
-                const isOnTopSide = y1 < radius;
-                const isOnBottomSide = y1 >= objectHeight - radius;
-
-                const x = isOnLeftSide
-                    ? x1 - radius
-                    : isOnRightSide
-                        ? x1 - radius - widthBetweenRadiuses
-                        : 0;
-                const y = isOnTopSide
-                    ? y1 - radius
-                    : isOnBottomSide
-                        ? y1 - radius - heightBetweenRadiuses
-                        : 0;
-
-                const distanceToCenterSquared = x * x + y * y;
-                const isNearEdge =
-                    distanceToCenterSquared <= radiusPlusOneSquared &&
-                    distanceToCenterSquared >= radiusMinusSpecularSquared;
-
-                if (isNearEdge) {
-                    const distanceFromCenter = Math.sqrt(distanceToCenterSquared);
-                    const distanceFromSide = radius - distanceFromCenter;
-                    const opacity =
-                        distanceToCenterSquared < radiusSquared
-                            ? 1
-                            : 1 -
-                            (distanceFromCenter - Math.sqrt(radiusSquared)) /
-                            (Math.sqrt(radiusPlusOneSquared) - Math.sqrt(radiusSquared));
-                    const cos = distanceFromCenter > 0 ? x / distanceFromCenter : 0;
-                    const sin = distanceFromCenter > 0 ? -y / distanceFromCenter : 0;
-                    const dotProduct = Math.abs(cos * specularVector[0] + sin * specularVector[1]);
-                    const edgeRatio = Math.max(0, Math.min(1, distanceFromSide / specularThickness));
-                    const sharpFalloff = Math.sqrt(1 - (1 - edgeRatio) * (1 - edgeRatio));
-                    const coefficient = dotProduct * sharpFalloff;
-                    const color = Math.min(255, 255 * coefficient);
-                    const finalOpacity = Math.min(255, color * coefficient * opacity);
-
-                    imageData.data[idx] = color;
-                    imageData.data[idx + 1] = color;
-                    imageData.data[idx + 2] = color;
-                    imageData.data[idx + 3] = finalOpacity;
-                }
+
+        return ![this.contentClone, this.filterSvg, this.innerElement]
+            .some((node) => node?.contains(mutation.target));
+    }
+
+    _scheduleContentSync() {
+        if (this.contentSyncFrameId) return;
+
+        this.contentSyncFrameId = requestAnimationFrame(() => {
+            this.contentSyncFrameId = null;
+            this.refreshContent();
+        });
+    }
+
+    _onContentInput(e) {
+        if (this.contentClone.contains(e.target)) return;
+        this._syncFormValues();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    _setupEventListeners() {
+        this._updateDraggable();
+        window.addEventListener('resize', this._onResize);
+    }
+
+    /**
+     * Add or remove pointer and keyboard dragging to match `draggable` and `keyboard`
+     */
+    _updateDraggable() {
+        const { draggable, keyboard } = this.options;
+
+        if (draggable) {
+            this.element.addEventListener('pointerdown', this._onPointerDown);
+        } else {
+            this.element.removeEventListener('pointerdown', this._onPointerDown);
+
+            // A drag under way is dropped where it is
+            if (this.state.pointerId !== null) {
+                this._releasePointer();
+                this._endDrag();
             }
         }
-        return imageData;
+
+        if (draggable && keyboard) this._setupKeyboard();
+        else this._removeKeyboard();
     }
 
     /**
-     * Convert ImageData to data URL
+     * Make a draggable element reachable and movable from the keyboard.
+     * Attributes the page already set are left alone; the ones added here
+     * are removed again on destroy or when dragging is turned off.
      */
-    _imageDataToDataURL(imageData) {
-        const canvas = document.createElement('canvas');
-        canvas.width = imageData.width;
-        canvas.height = imageData.height;
-        const ctx = canvas.getContext('2d');
-        ctx.putImageData(imageData, 0, 0);
-        return canvas.toDataURL();
+    _setupKeyboard() {
+        // A role description needs a role to describe
+        const attributes = {
+            tabindex: '0',
+            role: 'group',
+            'aria-roledescription': 'draggable',
+            'aria-keyshortcuts': 'ArrowUp ArrowDown ArrowLeft ArrowRight Shift+ArrowUp Shift+ArrowDown Shift+ArrowLeft Shift+ArrowRight Enter Escape',
+        };
+
+        for (const [name, value] of Object.entries(attributes)) {
+            if (this.element.hasAttribute(name)) continue;
+            this.element.setAttribute(name, value);
+            this.keyboardAttributes.push(name);
+        }
+
+        this.element.addEventListener('keydown', this._onKeyDown);
+        this.element.addEventListener('blur', this._onBlur);
+    }
+
+    _removeKeyboard() {
+        if (this.state.keyboardMove) this._endKeyboardMove();
+
+        this.element.removeEventListener('keydown', this._onKeyDown);
+        this.element.removeEventListener('blur', this._onBlur);
+        for (const name of this.keyboardAttributes) {
+            this.element.removeAttribute(name);
+        }
+        this.keyboardAttributes = [];
+    }
+
+    _getKeyboardConfig() {
+        return { ...defaultOptions.keyboardConfig, ...this.options.keyboardConfig };
     }
 
     /**
-     * Update the SVG filter with new displacement and specular maps
+     * Arrow keys lift the glass and move it by `step`, or `largeStep` with
+     * Shift. Enter or Space drops it where it is, Escape puts it back.
      */
-    _updateFilter(updateScale = true) {
-        const { width, height, borderRadius } = this.dimensions;
-        const surfaceFn = SurfaceEquations[this.options.surfaceType];
+    _onKeyDown(e) {
+        if (e.target !== this.element || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        const directions = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1],
+        };
 
-        const precomputed = this._calculateDisplacementMap1D(
-            this.options.glassThickness,
-            this.options.bezelWidth,
-            surfaceFn,
-            this.options.refractiveIndex
-        );
+        if (directions[e.key]) {
+            // Arrows do not interfere with a pointer drag in progress
+            if (this.state.pointerId !== null) return;
 
-        this.state.maximumDisplacement = Math.max(...precomputed.map(Math.abs));
+            if (!this.state.keyboardMove) {
+                const rect = this.element.getBoundingClientRect();
+                this.state.keyboardMove = true;
+                this._startDrag(rect.left, rect.top);
+            }
 
-        const displacementData = this._calculateDisplacementMap2D(
-            width,
-            height,
-            width,
-            height,
-            borderRadius,
-            this.options.bezelWidth,
-            this.state.maximumDisplacement || 1,
-            precomputed
-        );
+            const { step, largeStep } = this._getKeyboardConfig();
+            const distance = e.shiftKey ? largeStep : step;
+            const [dx, dy] = directions[e.key];
+
+            // On a `step` grid every press moves at least one cell
+            const [stepX, stepY] = this._getStep();
+            this._moveBy(dx * Math.max(distance, stepX), dy * Math.max(distance, stepY));
+            e.preventDefault();
+        } else if (e.key === 'Escape' && this.state.isDragging) {
+            this._cancelDrag();
+            e.preventDefault();
+        } else if ((e.key === 'Enter' || e.key === ' ') && this.state.keyboardMove) {
+            this._endKeyboardMove();
+            e.preventDefault();
+        }
+    }
 
-        const specularData = this._calculateSpecularHighlight(
-            width,
-            height,
-            borderRadius,
-            this.options.bezelWidth
+    _onBlur() {
+        if (this.state.keyboardMove) this._endKeyboardMove();
+    }
+
+    /**
+     * Move by a fixed distance, constrained like a pointer drag
+     */
+    _moveBy(dx, dy) {
+        const bounds = this._getBounds();
+        if (!bounds) return;
+
+        const { axis } = this.options;
+        const { x, y } = this._constrain(
+            (parseFloat(this.element.style.left) || 0) + (axis === 'y' ? 0 : dx),
+            (parseFloat(this.element.style.top) || 0) + (axis === 'x' ? 0 : dy),
+            bounds
         );
 
-        const displacementUrl = this._imageDataToDataURL(displacementData);
-        const specularUrl = this._imageDataToDataURL(specularData);
+        this.element.style.left = `${x}px`;
+        this.element.style.top = `${y}px`;
+        this.state.lastTime = performance.now();
 
-        document.getElementById(`${this.id}-displacement-image`)?.setAttribute('href', displacementUrl);
-        document.getElementById(`${this.id}-specular-image`)?.setAttribute('href', specularUrl);
+        this._emit('drag', {}, [{ x, y }]);
 
-        if (updateScale) {
-            document.getElementById(`${this.id}-displacement-map`)?.setAttribute('scale', this.state.maximumDisplacement * this.options.refractionScale);
-        }
+        this._updateContentClonePosition();
+        this._announce('move', { x, y });
+    }
 
-        document.getElementById(`${this.id}-specular-alpha`)?.setAttribute('slope', this.options.specularOpacity);
-        document.getElementById(`${this.id}-blur`)?.setAttribute('stdDeviation', this.options.blur);
+    _endKeyboardMove() {
+        this.state.keyboardMove = false;
 
-        this._updateContentClonePosition();
+        // Key presses carry no throw, so the drop only snaps or clamps
+        this.state.velocityX = 0;
+        this.state.velocityY = 0;
+        this._endDrag();
+
+        const target = this.state.snap ?? {
+            x: parseFloat(this.element.style.left) || 0,
+            y: parseFloat(this.element.style.top) || 0,
+        };
+        this._announce('drop', { x: target.x, y: target.y });
     }
 
     /**
-     * Update the position of cloned content
+     * Abandon the current drag and return the glass to where it started
      */
-    _updateContentClonePosition(force = false) {
-        if (this.useBackdropFilter) return;
+    _cancelDrag() {
+        if (!this.state.isDragging) return;
+        if (this.state.pointerId !== null) this._releasePointer();
 
-        const rect = this.element.getBoundingClientRect();
-        const parentRect = this.element.parentElement?.getBoundingClientRect() || rect;
+        const { x, y } = this.state.dragStart;
+        this.element.style.left = `${x}px`;
+        this.element.style.top = `${y}px`;
+
+        this.state.keyboardMove = false;
+        this.state.isDragging = false;
+        this.state.settlePending = true;
+        this.state.velocityX = 0;
+        this.state.velocityY = 0;
 
-        const left = parseFloat(this.element.style.left) || 0;
-        const top = parseFloat(this.element.style.top) || 0;
+        this._emit('dragend', { cancelled: true });
 
-        this.contentCloneInner.style.width = `${parentRect.width}px`;
-        this.contentCloneInner.style.height = `${parentRect.height}px`;
-        this.contentCloneInner.style.transform = `translate(${-left}px, ${-top}px)`;
+        this._updateContentClonePosition();
+        this._startAnimationLoop();
+        if (!scheduler.has(this)) this._settle();
+        this._announce('cancel', { x, y });
     }
 
     /**
-     * Setup event listeners
+     * Read a keyboard move out through the shared live region
+     * @param {string} type - 'move', 'drop' or 'cancel'
+     * @param {{x: number, y: number}} position - Position inside the parent
      */
-    _setupEventListeners() {
-        if (this.options.draggable) {
-            this.element.addEventListener('mousedown', this._onMouseDown);
-            this.element.addEventListener('touchstart', this._onTouchStart, { passive: false });
-            document.addEventListener('mousemove', this._onMouseMove);
-            document.addEventListener('touchmove', this._onTouchMove, { passive: false });
-            document.addEventListener('mouseup', this._onMouseUp);
-            document.addEventListener('touchend', this._onTouchEnd);
+    _announce(type, position) {
+        const { announce } = this._getKeyboardConfig();
+        const x = Math.round(position.x);
+        const y = Math.round(position.y);
+
+        let message;
+        if (typeof announce === 'function') {
+            message = announce(type, { x, y }, this);
+        } else if (type === 'move') {
+            message = `Moved to ${x}, ${y}. Press Enter to drop or Escape to cancel.`;
+        } else if (type === 'drop') {
+            message = `Dropped at ${x}, ${y}.`;
+        } else {
+            message = `Move cancelled. Returned to ${x}, ${y}.`;
         }
 
-        window.addEventListener('resize', this._onResize);
+        announcer.announce(message);
     }
 
     /**
-     * Mouse/touch event handlers
+     * Pointer event handlers. Only the pointer that started a drag moves the
+     * glass. It is captured by the element, so the move and up listeners are
+     * attached to the element for the length of the drag only.
      */
-    _onMouseDown(e) {
-        this._startDrag(e.clientX, e.clientY);
-        e.preventDefault();
-    }
+    _onPointerDown(e) {
+        if (this.state.pointerId !== null) return;
+        if (!this.options.pointerTypes.includes(e.pointerType)) return;
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+        // A pointer takes over from a keyboard move
+        this.state.keyboardMove = false;
+        this.state.pointerId = e.pointerId;
+        try {
+            this.element.setPointerCapture(e.pointerId);
+        } catch (error) {
+            // The pointer is no longer active; its up event still ends the drag
+        }
+        this._toggleDragListeners(true);
 
-    _onTouchStart(e) {
-        this._startDrag(e.touches[0].clientX, e.touches[0].clientY);
+        this._startDrag(e.clientX, e.clientY);
         e.preventDefault();
     }
 
-    _onMouseMove(e) {
-        if (!this.state.isDragging) return;
+    _onPointerMove(e) {
+        if (e.pointerId !== this.state.pointerId) return;
         this._drag(e.clientX, e.clientY);
-        e.preventDefault();
     }
 
-    _onTouchMove(e) {
-        if (!this.state.isDragging) return;
-        this._drag(e.touches[0].clientX, e.touches[0].clientY);
-        e.preventDefault();
+    _onPointerUp(e) {
+        if (e.pointerId !== this.state.pointerId) return;
+        this._releasePointer();
+        this._endDrag();
     }
 
-    _onMouseUp() {
+    _onPointerCancel(e) {
+        if (e.pointerId !== this.state.pointerId) return;
+
+        // The browser took over the gesture, so there is no throw to keep
+        this.state.velocityX = 0;
+        this.state.velocityY = 0;
+        this._releasePointer();
         this._endDrag();
     }
 
-    _onTouchEnd() {
-        this._endDrag();
+    _toggleDragListeners(active) {
+        const method = active ? 'addEventListener' : 'removeEventListener';
+        this.element[method]('pointermove', this._onPointerMove);
+        this.element[method]('pointerup', this._onPointerUp);
+        this.element[method]('pointercancel', this._onPointerCancel);
+        this.element[method]('lostpointercapture', this._onPointerUp);
+    }
+
+    _releasePointer() {
+        const { pointerId } = this.state;
+        this.state.pointerId = null;
+        this._toggleDragListeners(false);
+
+        if (this.element.hasPointerCapture?.(pointerId)) {
+            this.element.releasePointerCapture(pointerId);
+        }
     }
 
     _onResize() {
-        this._updateContentClonePosition(true);
+        this._updateContentClonePosition();
     }
 
     /**
      * Drag functionality
      */
     _startDrag(clientX, clientY) {
+        // Catching a throw ends it where it is, and the user takes over from code
+        if (this.state.glide) this._stopGlide();
+        if (this.state.snap) this._stopSnap(false);
+        this._abortMotions();
         this.state.isDragging = true;
+        this.state.settlePending = false;
+        this.state.dragStart.x = parseFloat(this.element.style.left) || 0;
+        this.state.dragStart.y = parseFloat(this.element.style.top) || 0;
 
         const rect = this.element.getBoundingClientRect();
         const currentScale = this.springs.scale.value;
@@ -676,83 +2408,504 @@ class LiquidGlass {
         this.state.velocityX = 0;
         this.state.velocityY = 0;
 
-        if (this.options.onDragStart) {
-            this.options.onDragStart(this);
-        }
+        this._emit('dragstart');
 
         this._startAnimationLoop();
     }
 
     _drag(clientX, clientY) {
         const parentRect = this.element.parentElement?.getBoundingClientRect();
-        if (!parentRect) return;
+        const bounds = this._getBounds();
+        if (!parentRect || !bounds) return;
+
+        const now = performance.now();
+        const dt = Math.max(1, now - this.state.lastTime) / 1000;
+
+        this.state.velocityX = (clientX - this.state.lastX) / dt;
+        this.state.velocityY = (clientY - this.state.lastY) / dt;
+        this.state.lastX = clientX;
+        this.state.lastY = clientY;
+        this.state.lastTime = now;
+
+        let newX = clientX - parentRect.left - this.state.dragOffset.x;
+        let newY = clientY - parentRect.top - this.state.dragOffset.y;
+
+        // A locked axis stays where the drag started and throws nothing
+        const { axis, elasticity } = this.options;
+        if (axis === 'x') {
+            newY = this.state.dragStart.y;
+            this.state.velocityY = 0;
+        } else if (axis === 'y') {
+            newX = this.state.dragStart.x;
+            this.state.velocityX = 0;
+        }
+
+        const [stepX, stepY] = this._getStep();
+        if (stepX > 0) newX = bounds.minX + Math.round((newX - bounds.minX) / stepX) * stepX;
+        if (stepY > 0) newY = bounds.minY + Math.round((newY - bounds.minY) / stepY) * stepY;
+
+        // Elastic boundaries: `elasticity` of the overshoot follows the pointer
+        const rubberBand = (value, min, max) => {
+            if (value < min) return min + (value - min) * elasticity;
+            if (value > max) return max + (value - max) * elasticity;
+            return value;
+        };
+        newX = rubberBand(newX, bounds.minX, bounds.maxX);
+        newY = rubberBand(newY, bounds.minY, bounds.maxY);
+
+        this.element.style.left = `${newX}px`;
+        this.element.style.top = `${newY}px`;
+
+        this._emit('drag', {}, [{ x: newX, y: newY }]);
+
+        this._updateContentClonePosition();
+    }
+
+    _endDrag() {
+        if (!this.state.isDragging) return;
+        this.state.isDragging = false;
+        this.state.settlePending = true;
+
+        // A pointer that stopped before lifting throws nothing
+        if (performance.now() - this.state.lastTime > 100) {
+            this.state.velocityX = 0;
+            this.state.velocityY = 0;
+        }
+
+        // A throw would leave the `step` grid, so stepped glass only snaps or clamps
+        const [stepX, stepY] = this._getStep();
+        if (this.options.snap && this._startSnap()) return;
+        if (this._hasMomentum() && !stepX && !stepY && this._startGlide()) return;
+
+        const bounds = this._getBounds();
+        if (bounds) {
+            const { x, y } = this._constrain(
+                parseFloat(this.element.style.left) || 0,
+                parseFloat(this.element.style.top) || 0,
+                bounds
+            );
+
+            this.element.style.left = `${x}px`;
+            this.element.style.top = `${y}px`;
+        }
+
+        this._emit('dragend');
+
+        this._updateContentClonePosition();
+        this._startAnimationLoop();
+        if (!scheduler.has(this)) this._settle();
+    }
+
+    /**
+     * The range of left/top positions the glass can rest at, in its parent's
+     * coordinates. `bounds` is 'parent', 'viewport', an element or selector
+     * whose box the glass stays inside, or a `{ left, top, right, bottom }`
+     * rect in the parent's coordinates. Returns null without a parent.
+     */
+    _getBounds() {
+        const parentRect = this.element.parentElement?.getBoundingClientRect();
+        if (!parentRect) return null;
+
+        const { bounds } = this.options;
+        let area = { left: 0, top: 0, right: parentRect.width, bottom: parentRect.height };
+
+        if (bounds === 'viewport') {
+            area = {
+                left: -parentRect.left,
+                top: -parentRect.top,
+                right: window.innerWidth - parentRect.left,
+                bottom: window.innerHeight - parentRect.top,
+            };
+        } else if ((typeof bounds === 'string' && bounds !== 'parent') || bounds instanceof Element) {
+            // A selector that matches nothing leaves the parent as the bounds
+            const rect = (typeof bounds === 'string' ? document.querySelector(bounds) : bounds)?.getBoundingClientRect();
+            if (rect) {
+                area = {
+                    left: rect.left - parentRect.left,
+                    top: rect.top - parentRect.top,
+                    right: rect.right - parentRect.left,
+                    bottom: rect.bottom - parentRect.top,
+                };
+            }
+        } else if (bounds && typeof bounds === 'object') {
+            area = {
+                left: bounds.left ?? area.left,
+                top: bounds.top ?? area.top,
+                right: bounds.right ?? area.right,
+                bottom: bounds.bottom ?? area.bottom,
+            };
+        }
+
+        // An area smaller than the glass pins it to the top-left corner
+        return {
+            minX: area.left,
+            minY: area.top,
+            maxX: Math.max(area.left, area.right - this.dimensions.width),
+            maxY: Math.max(area.top, area.bottom - this.dimensions.height),
+        };
+    }
+
+    /**
+     * `step` as an [x, y] grid pitch; 0 on an axis that moves freely
+     */
+    _getStep() {
+        const [x = 0, y = x] = [].concat(this.options.step || 0);
+        return [x, y];
+    }
+
+    /**
+     * Clamp a position inside the bounds, keeping it on the `step` grid
+     */
+    _constrain(x, y, bounds) {
+        const [stepX, stepY] = this._getStep();
+        const fit = (value, min, max, step) => {
+            if (step > 0) {
+                value = min + Math.round((value - min) / step) * step;
+                max = min + Math.floor((max - min) / step) * step;
+            }
+            return Math.max(min, Math.min(value, max));
+        };
+
+        return {
+            x: fit(x, bounds.minX, bounds.maxX, stepX),
+            y: fit(y, bounds.minY, bounds.maxY, stepY),
+        };
+    }
+
+    _getSpringConfig() {
+        return resolveSpringConfig(this.options.springConfig);
+    }
+
+    _getMomentumConfig() {
+        return { ...defaultOptions.momentumConfig, ...this.options.momentumConfig };
+    }
+
+    /**
+     * Keep the released glass moving with its throw velocity. Friction slows
+     * it down and a spring pulls it back inside the bounds, so a fast throw
+     * bounces off the edge. Returns false when there is no parent to glide in.
+     */
+    _startGlide() {
+        const bounds = this._getBounds();
+        if (!bounds) return false;
+
+        const { friction, bounce } = this._getMomentumConfig();
+        const { stiffness } = this._getSpringConfig();
+
+        // `bounce` is the restitution, the share of speed kept after hitting an
+        // edge. A damped spring returns with exp(-πζ / √(1 - ζ²)) of its speed.
+        const restitution = Math.max(0, Math.min(0.99, bounce));
+        const log = Math.log(restitution);
+        const dampingRatio = restitution > 0 ? -log / Math.sqrt(Math.PI * Math.PI + log * log) : 1;
+
+        const { minX, minY, maxX, maxY } = bounds;
+        const x = parseFloat(this.element.style.left) || 0;
+        const y = parseFloat(this.element.style.top) || 0;
+        this.state.glide = {
+            x,
+            y,
+            minX,
+            minY,
+            maxX,
+            maxY,
+            friction,
+            stiffness,
+            damping: 2 * dampingRatio * Math.sqrt(stiffness),
+            // Released past an edge: ease back without bouncing
+            returning: {
+                x: x !== Math.max(minX, Math.min(x, maxX)),
+                y: y !== Math.max(minY, Math.min(y, maxY)),
+            },
+        };
+
+        scheduler.observe(this);
+        return true;
+    }
+
+    /**
+     * Advance the throw by one step and end it once the glass rests inside the bounds
+     */
+    _glide(dt) {
+        const glide = this.state.glide;
+        const axes = [
+            ['x', 'velocityX', glide.minX, glide.maxX],
+            ['y', 'velocityY', glide.minY, glide.maxY],
+        ];
+
+        substep(dt, (h) => {
+            const decay = Math.exp(-glide.friction * h);
+            for (const [axis, velocityKey, min, max] of axes) {
+                let velocity = this.state[velocityKey] * decay;
+                const overshoot = glide[axis] - Math.max(min, Math.min(glide[axis], max));
+                if (overshoot === 0) {
+                    glide.returning[axis] = false;
+                } else {
+                    const damping = glide.returning[axis] ? 2 * Math.sqrt(glide.stiffness) : glide.damping;
+                    velocity -= (glide.stiffness * overshoot + damping * velocity) * h;
+                }
+
+                glide[axis] += velocity * h;
+                this.state[velocityKey] = velocity;
+            }
+        });
+
+        let resting = true;
+        for (const [axis, velocityKey, min, max] of axes) {
+            const overshoot = glide[axis] - Math.max(min, Math.min(glide[axis], max));
+            if (Math.abs(this.state[velocityKey]) > 5 || Math.abs(overshoot) > 0.5) resting = false;
+        }
+
+        if (resting) {
+            glide.x = Math.max(glide.minX, Math.min(glide.x, glide.maxX));
+            glide.y = Math.max(glide.minY, Math.min(glide.y, glide.maxY));
+        }
+
+        this._setPosition(glide.x, glide.y);
+
+        if (resting) {
+            this.state.velocityX = 0;
+            this.state.velocityY = 0;
+            this._stopGlide();
+        }
+    }
+
+    _stopGlide() {
+        this.state.glide = null;
+        this._emit('dragend');
+    }
+
+    _getSnapConfig() {
+        return { ...defaultOptions.snapConfig, ...this.options.snapConfig };
+    }
+
+    /**
+     * Candidate resting positions from the `snap` option. Entries may be
+     * `{ x, y }` points, 'edges', 'corners', `{ grid }` or a callback.
+     * Positions are the element's top-left corner inside its parent; edges,
+     * corners and grids are laid out inside the drag bounds.
+     */
+    _getSnapTargets(x, y, bounds) {
+        const { minX, minY, maxX, maxY } = bounds;
+        const { margin } = this._getSnapConfig();
+        const left = minX + margin;
+        const top = minY + margin;
+        const right = Math.max(left, maxX - margin);
+        const bottom = Math.max(top, maxY - margin);
+        const clampedX = Math.max(left, Math.min(x, right));
+        const clampedY = Math.max(top, Math.min(y, bottom));
+        const targets = [];
+
+        const entries = Array.isArray(this.options.snap) ? this.options.snap : [this.options.snap];
+        entries.forEach((entry, index) => {
+            if (typeof entry === 'function') {
+                const candidates = entry({ x, y, minX, minY, maxX, maxY }, this);
+                for (const candidate of [].concat(candidates || [])) {
+                    targets.push({ type: 'custom', ...candidate });
+                }
+            } else if (entry === 'edges') {
+                targets.push(
+                    { type: 'edge', edge: 'left', x: left, y: clampedY },
+                    { type: 'edge', edge: 'right', x: right, y: clampedY },
+                    { type: 'edge', edge: 'top', x: clampedX, y: top },
+                    { type: 'edge', edge: 'bottom', x: clampedX, y: bottom }
+                );
+            } else if (entry === 'corners') {
+                targets.push(
+                    { type: 'corner', corner: 'top-left', x: left, y: top },
+                    { type: 'corner', corner: 'top-right', x: right, y: top },
+                    { type: 'corner', corner: 'bottom-left', x: left, y: bottom },
+                    { type: 'corner', corner: 'bottom-right', x: right, y: bottom }
+                );
+            } else if (entry?.grid) {
+                const [columnWidth, rowHeight = columnWidth] = [].concat(entry.grid);
+                const column = Math.max(0, Math.min(Math.round((x - left) / columnWidth), Math.floor((right - left) / columnWidth)));
+                const row = Math.max(0, Math.min(Math.round((y - top) / rowHeight), Math.floor((bottom - top) / rowHeight)));
+                targets.push({ type: 'grid', column, row, x: left + column * columnWidth, y: top + row * rowHeight });
+            } else if (Number.isFinite(entry?.x) && Number.isFinite(entry?.y)) {
+                targets.push({ type: 'point', index, x: entry.x, y: entry.y });
+            } else {
+                console.warn('LiquidGlass: Unsupported snap target:', entry);
+            }
+        });
+
+        return targets;
+    }
+
+    /**
+     * Spring the released glass to the nearest snap target inside the
+     * magnetic radius. With momentum the throw picks the target and carries
+     * into the spring. Returns false when no target is in reach.
+     */
+    _startSnap() {
+        const bounds = this._getBounds();
+        if (!bounds) return false;
+
+        const x = parseFloat(this.element.style.left) || 0;
+        const y = parseFloat(this.element.style.top) || 0;
+        const momentum = this._hasMomentum();
+
+        // Aim for where the throw would come to rest
+        let aimX = x;
+        let aimY = y;
+        if (momentum) {
+            const { friction } = this._getMomentumConfig();
+            aimX += this.state.velocityX / friction;
+            aimY += this.state.velocityY / friction;
+        }
+
+        const targets = this._getSnapTargets(aimX, aimY, bounds);
+
+        // A locked axis keeps its coordinate; only the free one docks
+        for (const candidate of targets) {
+            if (this.options.axis === 'x') candidate.y = y;
+            else if (this.options.axis === 'y') candidate.x = x;
+        }
+
+        let target = null;
+        let nearest = this._getSnapConfig().radius;
+        for (const candidate of targets) {
+            const distance = Math.sqrt((candidate.x - aimX) ** 2 + (candidate.y - aimY) ** 2);
+            if (distance <= nearest) {
+                target = candidate;
+                nearest = distance;
+            }
+        }
+        if (!target) return false;
+
+        const { position } = this.springs;
+        if (momentum) position.reset(x, y, this.state.velocityX, this.state.velocityY);
+        else position.reset(x, y);
+        position.setTarget(target.x, target.y);
+        this.state.snap = target;
+
+        this._emit('snap', { target }, [target]);
+
+        // With momentum, dragend waits until the glass is docked
+        if (!momentum) this._emit('dragend');
+
+        scheduler.observe(this);
+        return true;
+    }
+
+    /**
+     * Move along the position spring
+     * @returns {boolean} Whether it has settled
+     */
+    _stepPosition(dt) {
+        const { position } = this.springs;
+        const { x, y } = this._stepSpring(position, dt);
 
-        const now = performance.now();
-        const dt = Math.max(1, now - this.state.lastTime) / 1000;
+        // The squish follows the motion
+        this.state.velocityX = position.velocityX;
+        this.state.velocityY = position.velocityY;
 
-        this.state.velocityX = (clientX - this.state.lastX) / dt;
-        this.state.velocityY = (clientY - this.state.lastY) / dt;
-        this.state.lastX = clientX;
-        this.state.lastY = clientY;
-        this.state.lastTime = now;
+        this._setPosition(x, y);
 
-        let newX = clientX - parentRect.left - this.state.dragOffset.x;
-        let newY = clientY - parentRect.top - this.state.dragOffset.y;
+        return position.isSettled();
+    }
 
-        const maxX = parentRect.width - this.dimensions.width;
-        const maxY = parentRect.height - this.dimensions.height;
+    _renderSnap(dt) {
+        if (this._stepPosition(dt)) this._stopSnap(true);
+    }
 
-        // Elastic boundaries
-        if (newX < 0) newX = newX * 0.3;
-        else if (newX > maxX) newX = maxX + (newX - maxX) * 0.3;
+    /**
+     * Finish a programmatic move exactly on its target
+     */
+    _stopMove() {
+        const { position } = this.springs;
+        this._setPosition(position.targetX, position.targetY);
 
-        if (newY < 0) newY = newY * 0.3;
-        else if (newY > maxY) newY = maxY + (newY - maxY) * 0.3;
+        this.state.velocityX = 0;
+        this.state.velocityY = 0;
+        this.state.move = false;
+    }
 
-        this.element.style.left = `${newX}px`;
-        this.element.style.top = `${newY}px`;
+    /**
+     * End docking, either on the target or wherever a new drag caught it
+     */
+    _stopSnap(docked) {
+        const { position } = this.springs;
+        if (docked) this._setPosition(this.state.snap.x, this.state.snap.y);
 
-        if (this.options.onDrag) {
-            this.options.onDrag(this, { x: newX, y: newY });
-        }
+        position.reset(position.x, position.y);
+        position.setTarget(position.x, position.y);
+        this.state.velocityX = 0;
+        this.state.velocityY = 0;
+        this.state.snap = null;
 
-        this._updateContentClonePosition();
+        if (this._hasMomentum()) this._emit('dragend');
     }
 
-    _endDrag() {
-        if (!this.state.isDragging) return;
-        this.state.isDragging = false;
+    /**
+     * Fire `onSettle` once the glass is at rest after a drag
+     */
+    _settle() {
+        if (!this.state.settlePending) return;
+        this.state.settlePending = false;
+        this._emit('settle');
+    }
 
-        const parentRect = this.element.parentElement?.getBoundingClientRect();
-        if (parentRect) {
-            let currentX = parseFloat(this.element.style.left) || 0;
-            let currentY = parseFloat(this.element.style.top) || 0;
+    /**
+     * Advance the spring physics by `dt` seconds, called by the shared scheduler
+     * @returns {boolean} Whether another frame is needed
+     */
+    _stepFrame(dt) {
+        // Motion started while suspended waits here for _resume()
+        if (this.suspended) return false;
+        if (this.state.tween) this._stepTween(dt);
 
-            const maxX = parentRect.width - this.dimensions.width;
-            const maxY = parentRect.height - this.dimensions.height;
+        // Without springAnimation the glass keeps its own size and shadow
+        if (this.options.springAnimation) {
+            this._stepLift(dt);
+        } else {
+            for (const name of [...liftSprings, 'scaleX', 'scaleY']) this.springs[name].jump();
+            this._setDisplacementScale(this.state.maximumDisplacement * this.options.refractionScale);
+        }
 
-            currentX = Math.max(0, Math.min(currentX, maxX));
-            currentY = Math.max(0, Math.min(currentY, maxY));
+        if (!this.springs.lightAngle.isSettled()) {
+            this._stepSpring(this.springs.lightAngle, dt);
+            this._renderLight();
+        }
 
-            this.element.style.left = `${currentX}px`;
-            this.element.style.top = `${currentY}px`;
+        if (!this.springs.tiltX.isSettled() || !this.springs.tiltY.isSettled()) {
+            this._stepSpring(this.springs.tiltX, dt);
+            this._stepSpring(this.springs.tiltY, dt);
+            this._renderMotion();
         }
 
-        if (this.options.onDragEnd) {
-            this.options.onDragEnd(this);
+        if (this.state.snap) {
+            this._renderSnap(dt);
+        } else if (this.state.move) {
+            if (this._stepPosition(dt)) this._stopMove();
+        } else if (this.state.glide) {
+            this._glide(dt);
+        } else if (!this.state.isDragging) {
+            // The leftover velocity only drives the squish, which reduced motion turns off
+            const decay = this.preferences.reducedMotion ? 0 : 0.95 ** (dt * 60);
+            this.state.velocityX *= decay;
+            this.state.velocityY *= decay;
         }
 
-        this._updateContentClonePosition();
-        this._startAnimationLoop();
+        this._resolveMotions();
+
+        const allSettled =
+            !this.state.glide &&
+            !this.state.snap &&
+            !this.state.move &&
+            !this.state.tween &&
+            Object.values(this.springs).every((s) => s.isSettled()) &&
+            Math.abs(this.state.velocityX) < 1 &&
+            Math.abs(this.state.velocityY) < 1;
+
+        if (allSettled) this._settle();
+        return !allSettled;
     }
 
     /**
-     * Animation loop for spring physics
+     * Lift the glass while it is held and squish it along its velocity
      */
-    _animationLoop(timestamp) {
-        const dt = Math.min(0.032, 1 / 60);
-
-        if (this.state.isDragging) {
+    _stepLift(dt) {
+        if (this.state.isDragging || this.state.pressed) {
             this.springs.scale.setTarget(1.0);
             this.springs.shadowOffsetX.setTarget(4);
             this.springs.shadowOffsetY.setTarget(16);
@@ -767,13 +2920,16 @@ class LiquidGlass {
             this.springs.shadowAlpha.setTarget(0.15);
             this.springs.refractionBoost.setTarget(0.8);
         }
+        if (this.state.scaleTarget !== null) {
+            this.springs.scale.setTarget(this.state.scaleTarget);
+        }
 
         const velocityMagnitude = Math.sqrt(
             this.state.velocityX ** 2 + this.state.velocityY ** 2
         );
         const squishAmount = Math.min(0.15, velocityMagnitude / 3000);
 
-        if (velocityMagnitude > 50) {
+        if (velocityMagnitude > 50 && !this.preferences.reducedMotion) {
             const vxNorm = this.state.velocityX / velocityMagnitude;
             const vyNorm = this.state.velocityY / velocityMagnitude;
             this.springs.scaleX.setTarget(
@@ -787,51 +2943,89 @@ class LiquidGlass {
             this.springs.scaleY.setTarget(1);
         }
 
-        const scale = this.springs.scale.update(dt);
-        const scaleX = this.springs.scaleX.update(dt);
-        const scaleY = this.springs.scaleY.update(dt);
-        const shadowOffsetX = this.springs.shadowOffsetX.update(dt);
-        const shadowOffsetY = this.springs.shadowOffsetY.update(dt);
-        const shadowBlur = this.springs.shadowBlur.update(dt);
-        const shadowAlpha = this.springs.shadowAlpha.update(dt);
-        const refractionBoost = this.springs.refractionBoost.update(dt);
+        const scale = this._stepSpring(this.springs.scale, dt);
+        const scaleX = this._stepSpring(this.springs.scaleX, dt);
+        const scaleY = this._stepSpring(this.springs.scaleY, dt);
+        const shadowOffsetX = this._stepSpring(this.springs.shadowOffsetX, dt);
+        const shadowOffsetY = this._stepSpring(this.springs.shadowOffsetY, dt);
+        const shadowBlur = this._stepSpring(this.springs.shadowBlur, dt);
+        const shadowAlpha = this._stepSpring(this.springs.shadowAlpha, dt);
+        const refractionBoost = this._stepSpring(this.springs.refractionBoost, dt);
 
-        this.element.style.transform = `scale(${scale * scaleX}, ${scale * scaleY})`;
+        scheduler.write(this.element, 'transform', `scale(${scale * scaleX}, ${scale * scaleY})`);
 
         const insetAlpha = shadowAlpha * 0.6;
-        this.innerElement.style.boxShadow = `
+        scheduler.write(this.innerElement, 'boxShadow', `
       ${shadowOffsetX}px ${shadowOffsetY}px ${shadowBlur}px rgba(0, 0, 0, ${shadowAlpha}),
       inset ${shadowOffsetX * 0.3}px ${shadowOffsetY * 0.4}px 16px rgba(0, 0, 0, ${insetAlpha}),
       inset ${-shadowOffsetX * 0.3}px ${-shadowOffsetY * 0.4}px 16px rgba(255, 255, 255, ${insetAlpha * 0.8})
-    `;
+    `);
 
         const dynamicRefractionScale = this.options.refractionScale * refractionBoost;
-        document.getElementById(`${this.id}-displacement-map`)?.setAttribute(
-            'scale',
-            this.state.maximumDisplacement * dynamicRefractionScale
-        );
+        this._setDisplacementScale(this.state.maximumDisplacement * dynamicRefractionScale);
+    }
 
-        if (!this.state.isDragging) {
-            this.state.velocityX *= 0.95;
-            this.state.velocityY *= 0.95;
-        }
+    /**
+     * Only the spring effects depend on springAnimation. Glides, docking, option
+     * transitions and motions observe the scheduler directly, so they run with it off
+     */
+    _startAnimationLoop() {
+        if (this.options.springAnimation) scheduler.observe(this);
+    }
 
-        const allSettled =
-            Object.values(this.springs).every((s) => s.isSettled()) &&
-            Math.abs(this.state.velocityX) < 1 &&
-            Math.abs(this.state.velocityY) < 1;
+    /**
+     * Suspend or resume to match the page and viewport, from the shared
+     * VisibilityWatcher or setOptions
+     */
+    _updateSuspended() {
+        const reason = this.options.suspendOffscreen ? visibilityWatcher.reason(this) : null;
 
-        if (!allSettled) {
-            this.animationFrameId = requestAnimationFrame((t) => this._animationLoop(t));
-        } else {
-            this.animationFrameId = null;
+        if (reason && !this.suspended) this._suspend(reason);
+        else if (!reason && this.suspended) this._resume();
+    }
+
+    /**
+     * Stop animating, detach the filter and, in fallback mode, drop the cloned
+     * content. Spring, motion and transition state is kept for _resume().
+     */
+    _suspend(reason) {
+        this.suspended = true;
+        this.suspendedAt = scheduler.now();
+
+        scheduler.unobserve(this);
+        pointerWatcher.unobserve(this);
+        motionWatcher.unobserve(this);
+        this._applyFilterStyle();
+
+        if (!this.useBackdropFilter) {
+            this._stopContentSync();
+            this.contentCloneInner.replaceChildren();
         }
+
+        this._emit('suspend', { reason });
     }
 
-    _startAnimationLoop() {
-        if (!this.animationFrameId && this.options.springAnimation) {
-            this.animationFrameId = requestAnimationFrame((t) => this._animationLoop(t));
+    _resume() {
+        this.suspended = false;
+
+        // A timed transition picks up where it stopped
+        if (this.state.tween) this.state.tween.start += scheduler.now() - this.suspendedAt;
+
+        this._applyFilterStyle();
+        if (!this.useBackdropFilter) {
+            this.refreshContent();
+            this._setupContentSync();
+            this._updateContentClonePosition();
         }
+
+        this._updateLight();
+        this._updateMotion();
+        // Motion that waited carries on; otherwise only the springs need frames
+        const { tween, move, glide, snap } = this.state;
+        if (tween || move || glide || snap || this.motions.size > 0) scheduler.observe(this);
+        else this._startAnimationLoop();
+
+        this._emit('resume');
     }
 
     /**
@@ -839,8 +3033,339 @@ class LiquidGlass {
      * @param {Object} newOptions - New options to merge
      */
     setOptions(newOptions) {
+        // Options set directly win over a running transition
+        const tween = this.state.tween;
+        if (tween) {
+            for (const key of Object.keys(newOptions)) {
+                delete tween.from[key];
+                delete tween.to[key];
+            }
+            tween.mapKeys = tween.mapKeys.filter((key) => key in tween.to);
+        }
+
         this.options = { ...this.options, ...newOptions };
-        this._updateFilter();
+        if ('borderRadius' in newOptions || 'shape' in newOptions) {
+            this._measureGeometry();
+        }
+        if ((this._getChannelIndices() !== null) !== this.dispersed || this._needsFrost() !== this.frosted) {
+            this._rebuildFilter();
+        } else if (Object.keys(newOptions).some((key) => appearanceOptions.has(key))) {
+            this._updateAppearance();
+        }
+        if ('lightAngle' in newOptions || 'lightIntensity' in newOptions) {
+            this._updateLight();
+        }
+        if ('motion' in newOptions || 'motionConfig' in newOptions) {
+            this._updateMotion();
+        }
+        if (Object.keys(newOptions).some((key) => key in preferenceQueries)) {
+            this._updatePreferences();
+        }
+        if ('draggable' in newOptions || 'keyboard' in newOptions) {
+            this._updateDraggable();
+        }
+        if ('syncContent' in newOptions) {
+            this._stopContentSync();
+            if (this._clonesContent()) {
+                // Catch up on changes made while syncing was off
+                this.refreshContent();
+                this._setupContentSync();
+            } else {
+                this.contentCloneInner.replaceChildren();
+            }
+        }
+        if ('suspendOffscreen' in newOptions) {
+            if (this.options.suspendOffscreen) visibilityWatcher.observe(this);
+            else visibilityWatcher.unobserve(this);
+            this._updateSuspended();
+        }
+
+        if (!Object.keys(newOptions).every((key) => filterOnlyOptions.has(key))) {
+            this._updateFilter();
+        }
+
+        this._emit('update', { changed: Object.keys(newOptions) });
+    }
+
+    /**
+     * Transition options instead of jumping to them. Numeric filter options
+     * change every frame; options that shape the maps step through a few
+     * intermediate maps. Everything else is applied at once.
+     * @param {Object} newOptions - Options to transition to
+     * @param {string|Object} [transition] - Spring preset name or `{ stiffness, damping, mass }`
+     *   (`springConfig` by default), or `{ duration, easing }` with milliseconds and a CSS
+     *   timing keyword, `'cubic-bezier(...)'` string or function of progress
+     * @returns {Promise<LiquidGlass>} Resolves when the transition ends; rejects with an
+     *   AbortError when a newer transition or destroy() interrupts it
+     */
+    animateOptions(newOptions, transition = {}) {
+        const from = {};
+        const to = {};
+        const immediate = {};
+
+        // A transition under way hands its remaining targets to the new one
+        const previous = this.state.tween;
+        if (previous) {
+            this.state.tween = null;
+            previous.reject(createAbortError());
+            for (const key of Object.keys(previous.to)) {
+                if (!(key in newOptions)) to[key] = previous.to[key];
+            }
+        }
+
+        for (const [key, value] of Object.entries(newOptions)) {
+            const tweened = tweenedOptions.has(key) || tweenedMapOptions.has(key);
+            if (tweened && Number.isFinite(value) && Number.isFinite(this.options[key])) {
+                to[key] = value;
+            } else {
+                immediate[key] = value;
+            }
+        }
+        for (const key of Object.keys(to)) from[key] = this.options[key];
+
+        if (Object.keys(immediate).length > 0) this.setOptions(immediate);
+        if (Object.keys(to).length === 0) return Promise.resolve(this);
+
+        let spring = null;
+        let easing = null;
+        if (transition.duration !== undefined) {
+            easing = createSurface(transition.easing ?? 'ease', easings);
+            if (!easing) {
+                console.warn(`LiquidGlass: Unknown easing "${transition.easing}", using ease`);
+                easing = easings.ease;
+            }
+        } else {
+            const { stiffness, damping, mass } = resolveSpringConfig(transition, this._getSpringConfig());
+            spring = new Spring(0, stiffness, damping, mass);
+            spring.setTarget(1);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.state.tween = {
+                from,
+                to,
+                mapKeys: Object.keys(to).filter((key) => tweenedMapOptions.has(key)),
+                mapStep: 0,
+                spring,
+                easing,
+                duration: Math.max(0, transition.duration ?? 0),
+                start: scheduler.now(),
+                frosted: Math.max(from.frost ?? 0, to.frost ?? 0) > 0,
+                resolve,
+                reject,
+            };
+            if (this._needsFrost() !== this.frosted) this._rebuildFilter();
+
+            scheduler.observe(this);
+        });
+    }
+
+    /**
+     * Advance the option transition by one frame
+     */
+    _stepTween(dt) {
+        const tween = this.state.tween;
+        let progress;
+        let done;
+
+        if (tween.spring) {
+            progress = this._stepSpring(tween.spring, dt);
+            done = tween.spring.isSettled();
+        } else {
+            const elapsed = tween.duration > 0 ? (scheduler.now() - tween.start) / tween.duration : 1;
+            done = elapsed >= 1 || this.preferences.reducedMotion;
+            progress = tween.easing(Math.max(0, elapsed));
+        }
+
+        if (done) {
+            this.state.tween = null;
+            this.setOptions(tween.to);
+            tween.resolve(this);
+            return;
+        }
+
+        const values = {};
+        for (const key of Object.keys(tween.to)) {
+            if (!tween.mapKeys.includes(key)) {
+                values[key] = clampTweened(key, tween.from[key] + (tween.to[key] - tween.from[key]) * progress);
+            }
+        }
+
+        // Maps only move between fixed steps, so a transition back reuses them from the cache
+        const mapStep = Math.round(Math.max(0, Math.min(1, progress)) * mapTweenSteps);
+        const mapsChanged = tween.mapKeys.length > 0 && mapStep !== tween.mapStep;
+        if (mapsChanged) {
+            tween.mapStep = mapStep;
+            for (const key of tween.mapKeys) {
+                values[key] = tween.from[key] + (tween.to[key] - tween.from[key]) * (mapStep / mapTweenSteps);
+            }
+        }
+
+        this.options = { ...this.options, ...values };
+        if ((this._getChannelIndices() !== null) !== this.dispersed || this._needsFrost() !== this.frosted) {
+            this._rebuildFilter();
+        } else if (Object.keys(values).some((key) => appearanceOptions.has(key))) {
+            this._updateAppearance();
+        }
+        if ('lightIntensity' in values) this._renderLight();
+        if ('specularOpacity' in values) {
+            this._node('specular-alpha')?.setAttribute('slope', values.specularOpacity);
+        }
+        // The loop applies refractionScale along with the lift
+        if (mapsChanged) this._updateFilter(false);
+    }
+
+    /**
+     * Move the light source without regenerating maps
+     * @param {Object} light
+     * @param {number|string} [light.angle] - Degrees counter-clockwise from the right, or 'pointer'
+     * @param {number} [light.intensity] - Highlight strength, 1 by default
+     */
+    setLight({ angle, intensity } = {}) {
+        if (angle !== undefined) this.options.lightAngle = angle;
+        if (intensity !== undefined) this.options.lightIntensity = intensity;
+        this._updateLight();
+    }
+
+    /**
+     * Animate position, scale and the pressed look together
+     * @param {Object} target
+     * @param {number} [target.x] - Left position inside the parent, in pixels
+     * @param {number} [target.y] - Top position inside the parent, in pixels
+     * @param {number|null} [target.scale] - Scale to hold, or null to follow the pressed state again
+     * @param {boolean} [target.pressed] - Lift the glass as if it were held
+     * @param {string|Object} [target.spring] - Preset name or `{ stiffness, damping, mass }` for position
+     *   and scale, `springConfig` by default
+     * @returns {Promise<LiquidGlass>} Resolves once the springs settle; rejects with an
+     *   AbortError when a newer motion, a drag or destroy() interrupts it
+     */
+    animate({ x, y, scale, pressed, spring } = {}) {
+        const moving = x !== undefined || y !== undefined;
+        if (moving && this.state.isDragging) return Promise.reject(createAbortError());
+
+        const config = resolveSpringConfig(spring, this._getSpringConfig());
+        const names = [];
+
+        if (moving) {
+            if (this.state.glide) this._stopGlide();
+            if (this.state.snap) this._stopSnap(false);
+
+            const { position } = this.springs;
+            if (!this.state.move) {
+                position.reset(parseFloat(this.element.style.left) || 0, parseFloat(this.element.style.top) || 0);
+                position.setTarget(position.x, position.y);
+            }
+
+            // A move already under way carries its velocity into the new one
+            position.setTarget(x ?? position.targetX, y ?? position.targetY);
+            position.configure(config);
+            this.state.move = true;
+            names.push('position');
+        }
+
+        if (pressed !== undefined) {
+            this.state.pressed = !!pressed;
+            this.state.scaleTarget = null;
+            names.push(...liftSprings);
+        }
+
+        if (scale !== undefined) {
+            this.state.scaleTarget = scale;
+            this.springs.scale.configure(config);
+            if (!names.includes('scale')) names.push('scale');
+        }
+
+        return this._trackMotion(names);
+    }
+
+    /**
+     * Spring the glass to a position inside its parent
+     * @param {number} x - Left position in pixels
+     * @param {number} y - Top position in pixels
+     * @param {Object} [options] - `{ spring }`, see animate()
+     * @returns {Promise<LiquidGlass>}
+     */
+    moveTo(x, y, { spring } = {}) {
+        return this.animate({ x, y, spring });
+    }
+
+    /**
+     * Spring the glass to a scale and hold it there
+     * @param {number|null} scale - Scale, or null to follow the pressed state again
+     * @param {Object} [options] - `{ spring }`, see animate()
+     * @returns {Promise<LiquidGlass>}
+     */
+    scaleTo(scale, { spring } = {}) {
+        return this.animate({ scale, spring });
+    }
+
+    /**
+     * Lift the glass as if it were being held
+     * @returns {Promise<LiquidGlass>}
+     */
+    press() {
+        return this.animate({ pressed: true });
+    }
+
+    /**
+     * Let the glass rest again after press()
+     * @returns {Promise<LiquidGlass>}
+     */
+    release() {
+        return this.animate({ pressed: false });
+    }
+
+    /**
+     * Wait for the named springs to settle. A newer motion on any of the
+     * same springs interrupts the older one.
+     */
+    _trackMotion(names) {
+        for (const motion of this.motions) {
+            if (motion.springs.some((name) => names.includes(name))) {
+                this.motions.delete(motion);
+                motion.reject(createAbortError());
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            this.motions.add({ springs: names, resolve, reject });
+
+            scheduler.observe(this);
+        });
+    }
+
+    _resolveMotions() {
+        for (const motion of this.motions) {
+            if (motion.springs.every((name) => this.springs[name].isSettled())) {
+                this.motions.delete(motion);
+                motion.resolve(this);
+            }
+        }
+    }
+
+    /**
+     * Reject every pending motion and hand the glass back to the user
+     */
+    _abortMotions() {
+        for (const motion of this.motions) motion.reject(createAbortError());
+        this.motions.clear();
+
+        this.state.move = false;
+        this.state.pressed = false;
+        this.state.scaleTarget = null;
+
+        const config = this._getSpringConfig();
+        this.springs.scale.configure(config);
+        this.springs.position.configure(config);
+    }
+
+    /**
+     * Copy the current content into the fallback clone.
+     * Needed after content changes when `syncContent` is 'manual'.
+     */
+    refreshContent() {
+        if (!this.contentCloneInner || !this._clonesContent() || this.suspended) return;
+        this._cloneContent();
     }
 
     /**
@@ -851,34 +3376,152 @@ class LiquidGlass {
         return { ...this.options };
     }
 
+    /**
+     * Listen for an instance event. Handlers get the same detail object as
+     * the bubbling `lg:<type>` CustomEvent dispatched on the element.
+     * @param {string} type - 'init', 'dragstart', 'drag', 'dragend', 'snap', 'settle', 'update',
+     *   'suspend', 'resume' or 'destroy'
+     * @param {Function} handler - Called with the event detail
+     * @returns {LiquidGlass} This instance, for chaining
+     */
+    on(type, handler) {
+        type = type.replace(/^lg:/, '');
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(handler);
+        return this;
+    }
+
+    /**
+     * Remove a handler added with `on` or `once`, or every handler for the type
+     * @param {string} type - Event type
+     * @param {Function} [handler] - Handler to remove
+     * @returns {LiquidGlass} This instance, for chaining
+     */
+    off(type, handler) {
+        type = type.replace(/^lg:/, '');
+        const handlers = this.listeners.get(type);
+        if (!handlers) return this;
+
+        for (const entry of handlers) {
+            if (!handler || entry === handler || entry.handler === handler) handlers.delete(entry);
+        }
+        return this;
+    }
+
+    /**
+     * Listen for the next event of a type only
+     * @param {string} type - Event type
+     * @param {Function} handler - Called with the event detail
+     * @returns {LiquidGlass} This instance, for chaining
+     */
+    once(type, handler) {
+        const wrapper = (detail) => {
+            this.off(type, wrapper);
+            handler.call(this, detail);
+        };
+        wrapper.handler = handler;
+        return this.on(type, wrapper);
+    }
+
+    /**
+     * Notify the option callback, `on` handlers and DOM listeners of an event
+     * @param {string} type - Event type, without the `lg:` prefix
+     * @param {Object} [extra] - Added to the detail object
+     * @param {Array} [callbackArgs] - Arguments after the instance for the option callback
+     */
+    _emit(type, extra = {}, callbackArgs = []) {
+        // Inside a frame, wait until its positions have been written. `destroy` cannot
+        // wait: the element is released before the frame ends
+        if (scheduler.writes && type !== 'destroy') {
+            scheduler.defer(() => this.element && this._emit(type, extra, callbackArgs));
+            return;
+        }
+
+        // A throwing handler must not keep the others from running
+        const callback = this.options[eventCallbacks[type]];
+        if (callback) {
+            try {
+                callback(this, ...callbackArgs);
+            } catch (error) {
+                console.error(`LiquidGlass: Error in ${type} handler`, error);
+            }
+        }
+
+        const detail = {
+            instance: this,
+            x: parseFloat(this.element.style.left) || 0,
+            y: parseFloat(this.element.style.top) || 0,
+            velocityX: this.state.velocityX,
+            velocityY: this.state.velocityY,
+            options: this.getOptions(),
+            ...extra,
+        };
+
+        for (const handler of [...(this.listeners.get(type) ?? [])]) {
+            try {
+                handler.call(this, detail);
+            } catch (error) {
+                console.error(`LiquidGlass: Error in ${type} handler`, error);
+            }
+        }
+
+        this.element.dispatchEvent(new CustomEvent(`lg:${type}`, { bubbles: true, detail }));
+    }
+
     /**
      * Destroy the instance and clean up
      */
     destroy() {
+        // Announce while the element and handlers are still in place
+        this._emit('destroy');
+        this.listeners.clear();
+
         // Cancel animation
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
+        scheduler.unobserve(this);
+        this._abortMotions();
+        if (this.state.tween) {
+            this.state.tween.reject(createAbortError());
+            this.state.tween = null;
         }
 
         // Remove event listeners
-        if (this.options.draggable) {
-            this.element.removeEventListener('mousedown', this._onMouseDown);
-            this.element.removeEventListener('touchstart', this._onTouchStart);
-            document.removeEventListener('mousemove', this._onMouseMove);
-            document.removeEventListener('touchmove', this._onTouchMove);
-            document.removeEventListener('mouseup', this._onMouseUp);
-            document.removeEventListener('touchend', this._onTouchEnd);
+        if (this.state.pointerId !== null) this._releasePointer();
+        this.element.removeEventListener('pointerdown', this._onPointerDown);
+        this.element.removeEventListener('keydown', this._onKeyDown);
+        this.element.removeEventListener('blur', this._onBlur);
+        for (const name of this.keyboardAttributes) {
+            this.element.removeAttribute(name);
         }
 
         window.removeEventListener('resize', this._onResize);
+        pointerWatcher.unobserve(this);
+        motionWatcher.unobserve(this);
+        preferenceWatcher.unobserve(this);
+        visibilityWatcher.unobserve(this);
+
+        // Stop observing size changes
+        resizeWatcher.unobserve(this);
+        clearTimeout(this.resizeState.timerId);
+
+        // Drop any queued map job
+        this.mapJobId++;
+        if (this.options.useWorker) mapWorker.cancel(this.id);
+
+        // Stop syncing the fallback clone
+        this._stopContentSync();
 
         // Remove DOM elements
         this.contentClone?.remove();
         this.filterSvg?.remove();
         this.innerElement?.remove();
 
+        // Remove the shape clip
+        if (this.element.style.clipPath.includes(`#${this.id}-clip`)) {
+            this.element.style.clipPath = '';
+        }
+
         // Remove classes
-        this.element.classList.remove('lg-element', 'lg-use-backdrop-filter');
+        this.element.classList.remove('lg-element', 'lg-use-backdrop-filter', 'lg-reduced-transparency', 'lg-forced-colors');
 
         // Clear references
         this.element = null;
@@ -899,6 +3542,90 @@ class LiquidGlass {
         return Array.from(elements).map((el) => new LiquidGlass(el, options));
     }
 
+    /**
+     * Register a named surface profile for use as `surfaceType`
+     * @param {string} name - Surface name
+     * @param {Function|Object|string} surface - Function of x in [0, 1], or a spline or cubic-bezier description
+     * @returns {boolean} Whether the surface passed validation and was registered
+     */
+    static registerSurface(name, surface) {
+        const fn = createSurface(surface);
+
+        if (typeof name !== 'string' || !name || !fn) {
+            console.error(`LiquidGlass: Cannot register surface "${name}", expected a name and a function or description`);
+            return false;
+        }
+        if (!checkSurface(fn, `"${name}"`)) return false;
+
+        const replacing = Object.prototype.hasOwnProperty.call(SurfaceEquations, name);
+        SurfaceEquations[name] = fn;
+
+        // Cached maps for the old profile share its name
+        if (replacing) mapCache.clear();
+        return true;
+    }
+
+    /**
+     * Empty the shared map cache and reset its statistics
+     */
+    static clearCache() {
+        mapCache.clear();
+    }
+
+    /**
+     * Configure the shared map cache
+     * @param {Object} config - `maxBytes`: memory budget for cached data URLs
+     */
+    static configureCache({ maxBytes } = {}) {
+        if (typeof maxBytes === 'number' && maxBytes >= 0) {
+            mapCache.setBudget(maxBytes);
+        }
+    }
+
+    /**
+     * Get shared map cache statistics
+     * @returns {Object} hits, misses, hitRate, entries, bytes and maxBytes
+     */
+    static getCacheStats() {
+        return mapCache.getStats();
+    }
+
+    /**
+     * Stop every instance's animations on their current frame
+     */
+    static pauseAnimations() {
+        scheduler.pause();
+    }
+
+    static resumeAnimations() {
+        scheduler.resume();
+    }
+
+    /**
+     * Drive animations from your own clock, e.g. for deterministic tests
+     * @param {Object|null} clock - `now()` in milliseconds, and optionally `requestFrame(callback)`
+     *   and `cancelFrame(id)`; null restores performance.now() and requestAnimationFrame
+     */
+    static setAnimationClock(clock) {
+        scheduler.setClock(clock);
+    }
+
+    /**
+     * Step all animating instances by one frame now, even while paused
+     */
+    static advanceFrame() {
+        scheduler.frame();
+    }
+
+    /**
+     * Ask for device orientation access, needed by `motion` on iOS. Call it
+     * from a click or touch handler; otherwise the next tap asks automatically.
+     * @returns {Promise<boolean>} Whether orientation events are allowed
+     */
+    static requestMotionPermission() {
+        return motionWatcher.requestPermission();
+    }
+
     /**
      * Static method to auto-initialize elements with data attributes
      * @returns {LiquidGlass[]} Array of LiquidGlass instances
@@ -913,10 +3640,25 @@ class LiquidGlass {
             if (el.dataset.lgBezel) options.bezelWidth = parseFloat(el.dataset.lgBezel);
             if (el.dataset.lgThickness) options.glassThickness = parseFloat(el.dataset.lgThickness);
             if (el.dataset.lgRefraction) options.refractionScale = parseFloat(el.dataset.lgRefraction);
+            if (el.dataset.lgDispersion) {
+                const values = el.dataset.lgDispersion.trim().split(/[\s,]+/).map(parseFloat);
+                options.dispersion = values.length === 3 ? values : values[0];
+            }
+            if (el.dataset.lgFresnel) options.fresnel = el.dataset.lgFresnel === 'true';
             if (el.dataset.lgSpecular) options.specularOpacity = parseFloat(el.dataset.lgSpecular);
+            if (el.dataset.lgLight) options.lightAngle = el.dataset.lgLight === 'pointer' ? 'pointer' : parseFloat(el.dataset.lgLight);
             if (el.dataset.lgBlur) options.blur = parseFloat(el.dataset.lgBlur);
+            if (el.dataset.lgTint) options.tint = el.dataset.lgTint;
+            if (el.dataset.lgSaturation) options.saturation = parseFloat(el.dataset.lgSaturation);
+            if (el.dataset.lgFrost) options.frost = parseFloat(el.dataset.lgFrost);
             if (el.dataset.lgRadius) options.borderRadius = el.dataset.lgRadius;
+            if (el.dataset.lgShape) options.shape = el.dataset.lgShape;
+            if (el.dataset.lgMotion) options.motion = el.dataset.lgMotion === 'true';
             if (el.dataset.lgDraggable) options.draggable = el.dataset.lgDraggable === 'true';
+            if (el.dataset.lgAxis) options.axis = el.dataset.lgAxis;
+            if (el.dataset.lgBounds) options.bounds = el.dataset.lgBounds;
+            if (el.dataset.lgKeyboard) options.keyboard = el.dataset.lgKeyboard === 'true';
+            if (el.dataset.lgSnap) options.snap = el.dataset.lgSnap;
             if (el.dataset.lgChildren) options.applyToChildren = el.dataset.lgChildren !== 'false';
 
             return new LiquidGlass(el, options);
@@ -925,12 +3667,14 @@ class LiquidGlass {
 }
 
 // Export for ES modules
-export { LiquidGlass, Spring, SurfaceEquations };
+export { LiquidGlass, Spring, Spring2D, SurfaceEquations };
+export * from './liquid-glass-core.js';
 export default LiquidGlass;
 
 // UMD export for script tag usage
 if (typeof window !== 'undefined') {
     window.LiquidGlass = LiquidGlass;
     window.LiquidGlass.Spring = Spring;
+    window.LiquidGlass.Spring2D = Spring2D;
     window.LiquidGlass.SurfaceEquations = SurfaceEquations;
 }
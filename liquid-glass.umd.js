@@ -25,11 +25,15 @@
         var lib = factory();
         global.LiquidGlass = lib.LiquidGlass;
         global.Spring = lib.Spring;
+        global.Spring2D = lib.Spring2D;
         global.SurfaceEquations = lib.SurfaceEquations;
+        global.LiquidGlassCore = lib.LiquidGlassCore;
     }
 })(typeof self !== 'undefined' ? self : this, function () {
     'use strict';
 
+    /* ===== Core: DOM-free map generation ===== */
+
     // Surface equations - define the height profile of the glass bezel
     var SurfaceEquations = {
         convex_circle: function (x) { return Math.sqrt(1 - Math.pow(1 - x, 2)); },
@@ -43,258 +47,180 @@
         }
     };
 
-    /**
-     * Simple spring physics class for animations
-     */
-    function Spring(value, stiffness, damping) {
-        this.value = value;
-        this.target = value;
-        this.velocity = 0;
-        this.stiffness = stiffness || 300;
-        this.damping = damping || 20;
-    }
-
-    Spring.prototype.setTarget = function (target) {
-        this.target = target;
-    };
-
-    Spring.prototype.update = function (dt) {
-        var force = (this.target - this.value) * this.stiffness;
-        var dampingForce = this.velocity * this.damping;
-        this.velocity += (force - dampingForce) * dt;
-        this.value += this.velocity * dt;
-        return this.value;
-    };
-
-    Spring.prototype.isSettled = function () {
-        return Math.abs(this.target - this.value) < 0.001 && Math.abs(this.velocity) < 0.001;
-    };
-
-    // Unique ID counter for filter elements
-    var instanceCounter = 0;
+    /* ===== Custom Surfaces ===== */
 
-    // Default configuration options
-    var defaultOptions = {
-        surfaceType: 'convex_squircle',
-        bezelWidth: 30,
-        glassThickness: 150,
-        refractiveIndex: 1.5,
-        refractionScale: 1.5,
-        specularOpacity: 1,
-        blur: 0.5,
-        borderRadius: 'auto',
-        applyToChildren: true,
-        draggable: false,
-        springAnimation: true,
-        useBackdropFilter: 'auto',
-        springConfig: { stiffness: 400, damping: 25 },
-        width: 'auto',
-        height: 'auto',
-        onDragStart: null,
-        onDrag: null,
-        onDragEnd: null
-    };
+    // Monotone cubic spline (Fritsch-Carlson) through [x, y] control points
+    function createSplineSurface(points) {
+        var sorted = [];
+        var i;
+        for (i = 0; i < points.length; i++) {
+            sorted.push([Number(points[i][0]), Number(points[i][1])]);
+        }
+        sorted.sort(function (a, b) { return a[0] - b[0]; });
 
-    /**
-     * LiquidGlass class - Apply liquid glass effect to any element
-     */
-    function LiquidGlass(element, options) {
-        var self = this;
+        var n = sorted.length;
+        if (n < 2) return null;
 
-        // Get element
-        this.element = typeof element === 'string'
-            ? document.querySelector(element)
-            : element;
+        var xs = [];
+        var ys = [];
+        for (i = 0; i < n; i++) {
+            xs.push(sorted[i][0]);
+            ys.push(sorted[i][1]);
+        }
 
-        if (!this.element) {
-            console.error('LiquidGlass: Element not found');
-            return;
+        var slopes = [];
+        for (i = 0; i < n - 1; i++) {
+            var dx = xs[i + 1] - xs[i];
+            slopes.push(dx > 0 ? (ys[i + 1] - ys[i]) / dx : 0);
         }
 
-        // Merge options with defaults
-        this.options = {};
-        for (var key in defaultOptions) {
-            this.options[key] = defaultOptions[key];
+        var tangents = [slopes[0]];
+        for (i = 1; i < n - 1; i++) {
+            tangents.push(slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2);
         }
-        for (var key in options) {
-            this.options[key] = options[key];
+        tangents.push(slopes[n - 2]);
+
+        // Parabolic end conditions keep the slope smooth at the first and last point
+        if (n > 2) {
+            tangents[0] = (3 * slopes[0] - tangents[1]) / 2;
+            tangents[n - 1] = (3 * slopes[n - 2] - tangents[n - 2]) / 2;
+            if (tangents[0] * slopes[0] < 0) tangents[0] = 0;
+            if (tangents[n - 1] * slopes[n - 2] < 0) tangents[n - 1] = 0;
         }
 
-        // Generate unique ID for this instance
-        this.id = 'lg-' + (++instanceCounter);
-
-        // State
-        this.state = {
-            isDragging: false,
-            dragOffset: { x: 0, y: 0 },
-            velocityX: 0,
-            velocityY: 0,
-            lastX: 0,
-            lastY: 0,
-            lastTime: 0,
-            maximumDisplacement: 0
-        };
+        for (i = 0; i < n - 1; i++) {
+            if (slopes[i] === 0) {
+                tangents[i] = 0;
+                tangents[i + 1] = 0;
+                continue;
+            }
+            var a = tangents[i] / slopes[i];
+            var b = tangents[i + 1] / slopes[i];
+            var length = Math.sqrt(a * a + b * b);
+            if (length > 3) {
+                tangents[i] = (3 * a * slopes[i]) / length;
+                tangents[i + 1] = (3 * b * slopes[i]) / length;
+            }
+        }
 
-        // Springs for animation
-        var springConfig = this.options.springConfig;
-        this.springs = {
-            scale: new Spring(0.85, springConfig.stiffness, springConfig.damping),
-            scaleX: new Spring(1, springConfig.stiffness, springConfig.damping + 5),
-            scaleY: new Spring(1, springConfig.stiffness, springConfig.damping + 5),
-            shadowOffsetX: new Spring(0, springConfig.stiffness, springConfig.damping + 5),
-            shadowOffsetY: new Spring(4, springConfig.stiffness, springConfig.damping + 5),
-            shadowBlur: new Spring(12, springConfig.stiffness, springConfig.damping + 5),
-            shadowAlpha: new Spring(0.15, springConfig.stiffness - 100, springConfig.damping),
-            refractionBoost: new Spring(0.8, springConfig.stiffness - 100, springConfig.damping - 7)
+        return function (x) {
+            if (x <= xs[0]) return ys[0];
+            if (x >= xs[n - 1]) return ys[n - 1];
+
+            var k = 0;
+            while (k < n - 2 && x > xs[k + 1]) k++;
+
+            var h = xs[k + 1] - xs[k];
+            var t = (x - xs[k]) / h;
+            var t2 = t * t;
+            var t3 = t2 * t;
+            return (2 * t3 - 3 * t2 + 1) * ys[k] +
+                (t3 - 2 * t2 + t) * h * tangents[k] +
+                (-2 * t3 + 3 * t2) * ys[k + 1] +
+                (t3 - t2) * h * tangents[k + 1];
         };
-
-        this.animationFrameId = null;
-        this.useBackdropFilter = false;
-        this.backdropFilterSupported = false;
-
-        // Bound event handlers
-        this._onMouseDown = function (e) { self._handleMouseDown(e); };
-        this._onMouseMove = function (e) { self._handleMouseMove(e); };
-        this._onMouseUp = function (e) { self._handleMouseUp(e); };
-        this._onTouchStart = function (e) { self._handleTouchStart(e); };
-        this._onTouchMove = function (e) { self._handleTouchMove(e); };
-        this._onTouchEnd = function (e) { self._handleTouchEnd(e); };
-        this._onResize = function () { self._handleResize(); };
-
-        // Initialize
-        this._init();
     }
 
-    LiquidGlass.prototype._init = function () {
-        this._detectBackdropFilterSupport();
-        this._setupDOM();
-        this._updateFilter();
-        this._setupEventListeners();
-
-        if (this.options.springAnimation) {
-            this.springs.scale.value = 0.85;
-            this.springs.scale.target = 0.85;
-            this._startAnimationLoop();
+    // Height profile from a CSS-style cubic-bezier from (0, 0) to (1, 1)
+    function createBezierSurface(x1, y1, x2, y2) {
+        var values = [x1, y1, x2, y2];
+        for (var i = 0; i < values.length; i++) {
+            if (typeof values[i] !== 'number' || !isFinite(values[i])) return null;
         }
-    };
-
-    LiquidGlass.prototype._detectBackdropFilterSupport = function () {
-        var isChromium = !!window.chrome;
-        var testEl = document.createElement('div');
-        testEl.style.backdropFilter = 'url(#test)';
-        var supportsBackdropFilterUrl = testEl.style.backdropFilter.indexOf('url') !== -1;
 
-        this.backdropFilterSupported = isChromium && supportsBackdropFilterUrl;
+        // Keep x monotone so every x has exactly one height
+        x1 = Math.max(0, Math.min(1, x1));
+        x2 = Math.max(0, Math.min(1, x2));
 
-        if (this.options.useBackdropFilter === 'auto') {
-            this.useBackdropFilter = this.backdropFilterSupported;
-        } else {
-            this.useBackdropFilter = this.options.useBackdropFilter;
+        function bezier(t, p1, p2) {
+            return 3 * (1 - t) * (1 - t) * t * p1 + 3 * (1 - t) * t * t * p2 + t * t * t;
         }
-    };
 
-    LiquidGlass.prototype._setupDOM = function () {
-        var el = this.element;
+        return function (x) {
+            // Bisection on t; the x curve is monotone
+            var low = 0;
+            var high = 1;
+            for (var j = 0; j < 32; j++) {
+                var mid = (low + high) / 2;
+                if (bezier(mid, x1, x2) < x) low = mid;
+                else high = mid;
+            }
+            return bezier((low + high) / 2, y1, y2);
+        };
+    }
 
-        // Add base class
-        el.classList.add('lg-element');
+    function createSurface(description, registry) {
+        registry = registry || SurfaceEquations;
+        if (typeof description === 'function') return description;
 
-        // Get dimensions
-        var rect = el.getBoundingClientRect();
-        var width = this.options.width === 'auto' ? rect.width : this.options.width;
-        var height = this.options.height === 'auto' ? rect.height : this.options.height;
+        if (typeof description === 'string') {
+            if (Object.prototype.hasOwnProperty.call(registry, description)) return registry[description];
 
-        // Get border radius
-        var borderRadius = this.options.borderRadius;
-        if (borderRadius === 'auto') {
-            borderRadius = getComputedStyle(el).borderRadius || '0';
+            var match = /^cubic-bezier\(([^)]*)\)$/.exec(description.trim());
+            if (!match) return null;
+            var args = match[1].split(',').map(Number);
+            return createBezierSurface(args[0], args[1], args[2], args[3]);
         }
-        var radiusValue = parseInt(borderRadius) || 0;
 
-        // Store dimensions
-        this.dimensions = { width: width, height: height, borderRadius: radiusValue };
-
-        // Create content clone for fallback mode
-        this.contentClone = document.createElement('div');
-        this.contentClone.className = 'lg-content-clone';
-        this.contentClone.id = this.id + '-clone';
-
-        this.contentCloneInner = document.createElement('div');
-        this.contentCloneInner.className = 'lg-content-clone-inner';
-        this.contentCloneInner.id = this.id + '-clone-inner';
-
-        // Clone content if applyToChildren is true
-        if (this.options.applyToChildren) {
-            this.contentCloneInner.innerHTML = el.innerHTML;
+        if (description && Array.isArray(description.points)) {
+            var points = description.points;
+            if (description.type === 'spline') return createSplineSurface(points);
+            if (description.type === 'cubic-bezier') {
+                return createBezierSurface(Number(points[0]), Number(points[1]), Number(points[2]), Number(points[3]));
+            }
         }
 
-        this.contentClone.appendChild(this.contentCloneInner);
-
-        // Create SVG filter
-        this._createSVGFilter(width, height, radiusValue);
-
-        // Create inner element for shadows
-        this.innerElement = document.createElement('div');
-        this.innerElement.className = 'lg-inner';
-        this.innerElement.id = this.id + '-inner';
+        return null;
+    }
 
-        // Insert elements
-        el.insertBefore(this.contentClone, el.firstChild);
-        el.insertBefore(this.filterSvg, el.firstChild);
-        el.appendChild(this.innerElement);
+    function validateSurface(fn, samples) {
+        samples = samples || 64;
+        var errors = [];
+        var warnings = [];
+        var i;
 
-        // Apply filter
-        if (this.useBackdropFilter) {
-            el.classList.add('lg-use-backdrop-filter');
-            this.innerElement.style.backdropFilter = 'url(#' + this.id + '-filter)';
-            this.innerElement.style.webkitBackdropFilter = 'url(#' + this.id + '-filter)';
-        } else {
-            this.contentClone.style.filter = 'url(#' + this.id + '-filter)';
+        if (typeof fn !== 'function') {
+            errors.push('surface must be a function of x in [0, 1]');
+            return { errors: errors, warnings: warnings };
         }
 
-        // Apply styles
-        if (this.options.width !== 'auto') {
-            el.style.width = width + 'px';
-        }
-        if (this.options.height !== 'auto') {
-            el.style.height = height + 'px';
+        var values = [];
+        for (i = 0; i <= samples; i++) {
+            var x = i / samples;
+            var y;
+            try {
+                y = fn(x);
+            } catch (error) {
+                errors.push('throws at x=' + x + ': ' + error.message);
+                break;
+            }
+            if (typeof y !== 'number' || !isFinite(y)) {
+                errors.push('returns ' + y + ' at x=' + x + ', expected a finite number');
+                break;
+            }
+            values.push(y);
         }
-        if (borderRadius) {
-            el.style.borderRadius = typeof borderRadius === 'number' ? borderRadius + 'px' : borderRadius;
+        if (errors.length > 0) return { errors: errors, warnings: warnings };
+
+        // Slope reversals show up as folds in the refraction
+        var epsilon = 1e-4;
+        var direction = 0;
+        for (i = 2; i < values.length; i++) {
+            var change = (values[i] - values[i - 1]) - (values[i - 1] - values[i - 2]);
+            if (Math.abs(change) < epsilon) continue;
+
+            var sign = change > 0 ? 1 : -1;
+            if (direction !== 0 && sign !== direction) {
+                warnings.push('derivative is not monotonic near x=' + ((i - 1) / samples).toFixed(2));
+                break;
+            }
+            direction = sign;
         }
 
-        // Initial position update
-        this._updateContentClonePosition(true);
-    };
-
-    LiquidGlass.prototype._createSVGFilter = function (width, height, radius) {
-        var svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        svg.setAttribute('class', 'lg-filter-svg');
-        svg.setAttribute('id', this.id + '-svg');
-        svg.style.cssText = 'width: 0; height: 0; position: absolute; pointer-events: none;';
-
-        svg.innerHTML = '\
-      <defs>\
-        <filter id="' + this.id + '-filter" x="-50%" y="-50%" width="200%" height="200%" color-interpolation-filters="sRGB">\
-          <feGaussianBlur id="' + this.id + '-blur" in="SourceGraphic" stdDeviation="' + this.options.blur + '" result="blurred"/>\
-          <feImage id="' + this.id + '-displacement-image" href="" x="0" y="0" width="' + width + '" height="' + height + '" result="displacement_map" preserveAspectRatio="none"/>\
-          <feDisplacementMap id="' + this.id + '-displacement-map" in="blurred" in2="displacement_map" scale="50" xChannelSelector="R" yChannelSelector="G" result="displaced"/>\
-          <feColorMatrix in="displaced" type="saturate" values="1.3" result="displaced_saturated"/>\
-          <feImage id="' + this.id + '-specular-image" href="" x="0" y="0" width="' + width + '" height="' + height + '" result="specular_layer" preserveAspectRatio="none"/>\
-          <feComponentTransfer in="specular_layer" result="specular_faded">\
-            <feFuncA id="' + this.id + '-specular-alpha" type="linear" slope="' + this.options.specularOpacity + '"/>\
-          </feComponentTransfer>\
-          <feBlend in="specular_faded" in2="displaced_saturated" mode="screen"/>\
-        </filter>\
-        <clipPath id="' + this.id + '-clip">\
-          <rect x="0" y="0" width="' + width + '" height="' + height + '" rx="' + radius + '" ry="' + radius + '"/>\
-        </clipPath>\
-      </defs>';
-
-        this.filterSvg = svg;
-    };
+        return { errors: errors, warnings: warnings };
+    }
 
-    LiquidGlass.prototype._calculateDisplacementMap1D = function (glassThickness, bezelWidth, surfaceFn, refractiveIndex, samples) {
+    function calculateDisplacementMap1D(glassThickness, bezelWidth, surfaceFn, refractiveIndex, samples) {
         samples = samples || 128;
         var eta = 1 / refractiveIndex;
 
@@ -309,7 +235,7 @@
             ];
         }
 
-        var result = [];
+        var result = new Float32Array(samples);
         for (var i = 0; i < samples; i++) {
             var x = i / samples;
             var y = surfaceFn(x);
@@ -320,335 +246,3934 @@
             var normal = [-derivative / magnitude, -1 / magnitude];
             var refracted = refract(normal[0], normal[1]);
 
-            if (!refracted) {
-                result.push(0);
-            } else {
+            if (refracted) {
                 var remainingHeightOnBezel = y * bezelWidth;
                 var remainingHeight = remainingHeightOnBezel + glassThickness;
-                result.push(refracted[0] * (remainingHeight / refracted[1]));
+                result[i] = refracted[0] * (remainingHeight / refracted[1]);
             }
         }
         return result;
-    };
+    }
 
-    LiquidGlass.prototype._calculateDisplacementMap2D = function (canvasWidth, canvasHeight, objectWidth, objectHeight, radius, bezelWidth, maximumDisplacement, precomputedMap) {
-        var imageData = new ImageData(canvasWidth, canvasHeight);
+    // Schlick's Fresnel reflectance across the bezel, outer edge (x = 0) to flat top (x = 1)
+    function calculateFresnelProfile(surfaceFn, refractiveIndex, falloff, samples) {
+        if (falloff === undefined) falloff = 5;
+        if (samples === undefined) samples = 128;
+        var r0 = Math.pow((refractiveIndex - 1) / (refractiveIndex + 1), 2);
+        var result = new Float32Array(samples);
 
-        for (var i = 0; i < imageData.data.length; i += 4) {
-            imageData.data[i] = 128;
-            imageData.data[i + 1] = 128;
-            imageData.data[i + 2] = 0;
-            imageData.data[i + 3] = 255;
+        for (var i = 0; i < samples; i++) {
+            var x = i / samples;
+            var dx = x < 1 ? 0.0001 : -0.0001;
+            var derivative = (surfaceFn(Math.max(0, Math.min(1, x + dx))) - surfaceFn(x)) / dx;
+            var cosTheta = 1 / Math.sqrt(derivative * derivative + 1);
+            result[i] = r0 + (1 - r0) * Math.pow(1 - cosTheta, falloff);
         }
+        return result;
+    }
 
-        var radiusSquared = radius * radius;
-        var radiusPlusOneSquared = (radius + 1) * (radius + 1);
-        var radiusMinusBezelSquared = Math.max(0, (radius - bezelWidth) * (radius - bezelWidth));
-        var widthBetweenRadiuses = objectWidth - radius * 2;
-        var heightBetweenRadiuses = objectHeight - radius * 2;
-        var objectX = (canvasWidth - objectWidth) / 2;
-        var objectY = (canvasHeight - objectHeight) / 2;
-
-        for (var y1 = 0; y1 < objectHeight; y1++) {
-            for (var x1 = 0; x1 < objectWidth; x1++) {
-                var idx = ((objectY + y1) * canvasWidth + objectX + x1) * 4;
-                var isOnLeftSide = x1 < radius;
-                var isOnRightSide = x1 >= objectWidth - radius;
-                var isOnTopSide = y1 < radius;
-                var isOnBottomSide = y1 >= objectHeight - radius;
+    function getMaximumDisplacement(precomputedMap) {
+        var maximum = 0;
+        for (var i = 0; i < precomputedMap.length; i++) {
+            maximum = Math.max(maximum, Math.abs(precomputedMap[i]));
+        }
+        return maximum;
+    }
 
-                var x = isOnLeftSide ? x1 - radius : isOnRightSide ? x1 - radius - widthBetweenRadiuses : 0;
-                var y = isOnTopSide ? y1 - radius : isOnBottomSide ? y1 - radius - heightBetweenRadiuses : 0;
+    /* ===== Dispersion ===== */
 
-                var distanceToCenterSquared = x * x + y * y;
-                var isInBezel = distanceToCenterSquared <= radiusPlusOneSquared && distanceToCenterSquared >= radiusMinusBezelSquared;
+    // Fraunhofer C, d and F lines in micrometres, standing in for red, green and blue
+    var WAVELENGTHS = { r: 0.6563, g: 0.5876, b: 0.4861 };
 
-                if (isInBezel) {
-                    var opacity = distanceToCenterSquared < radiusSquared
-                        ? 1
-                        : 1 - (Math.sqrt(distanceToCenterSquared) - Math.sqrt(radiusSquared)) / (Math.sqrt(radiusPlusOneSquared) - Math.sqrt(radiusSquared));
-                    var distanceFromCenter = Math.sqrt(distanceToCenterSquared);
-                    var distanceFromSide = radius - distanceFromCenter;
-                    var cos = distanceFromCenter > 0 ? x / distanceFromCenter : 0;
-                    var sin = distanceFromCenter > 0 ? y / distanceFromCenter : 0;
-                    var bezelRatio = Math.max(0, Math.min(1, distanceFromSide / bezelWidth));
-                    var bezelIndex = Math.floor(bezelRatio * precomputedMap.length);
-                    var distance = precomputedMap[Math.max(0, Math.min(bezelIndex, precomputedMap.length - 1))] || 0;
-                    var dX = maximumDisplacement > 0 ? (-cos * distance) / maximumDisplacement : 0;
-                    var dY = maximumDisplacement > 0 ? (-sin * distance) / maximumDisplacement : 0;
+    // One refractive index per colour channel from an Abbe number or explicit
+    // { r, g, b } / [r, g, b] indices; null when the channels would not separate
+    function getChannelIndices(refractiveIndex, dispersion) {
+        var indices = null;
 
-                    imageData.data[idx] = Math.max(0, Math.min(255, 128 + dX * 127 * opacity));
-                    imageData.data[idx + 1] = Math.max(0, Math.min(255, 128 + dY * 127 * opacity));
-                    imageData.data[idx + 2] = 0;
-                    imageData.data[idx + 3] = 255;
-                }
-            }
+        if (Array.isArray(dispersion)) {
+            dispersion = { r: dispersion[0], g: dispersion[1], b: dispersion[2] };
         }
-        return imageData;
-    };
 
-    LiquidGlass.prototype._calculateSpecularHighlight = function (objectWidth, objectHeight, radius, bezelWidth, specularAngle) {
-        specularAngle = specularAngle || Math.PI / 3;
-        var imageData = new ImageData(objectWidth, objectHeight);
-        var specularVector = [Math.cos(specularAngle), Math.sin(specularAngle)];
-        var specularThickness = 1.5;
-        var radiusSquared = radius * radius;
-        var radiusPlusOneSquared = (radius + 1) * (radius + 1);
-        var radiusMinusSpecularSquared = Math.max(0, (radius - specularThickness) * (radius - specularThickness));
-        var widthBetweenRadiuses = objectWidth - radius * 2;
-        var heightBetweenRadiuses = objectHeight - radius * 2;
-
-        for (var y1 = 0; y1 < objectHeight; y1++) {
-            for (var x1 = 0; x1 < objectWidth; x1++) {
-                var idx = (y1 * objectWidth + x1) * 4;
-                var isOnLeftSide = x1 < radius;
-                var isOnRightSide = x1 >= objectWidth - radius;
-                var isOnTopSide = y1 < radius;
-                var isOnBottomSide = y1 >= objectHeight - radius;
+        if (dispersion && typeof dispersion === 'object') {
+            var pick = function (value) {
+                return typeof value === 'number' && isFinite(value) && value > 0 ? value : refractiveIndex;
+            };
+            indices = { r: pick(dispersion.r), g: pick(dispersion.g), b: pick(dispersion.b) };
+        } else if (typeof dispersion === 'number' && isFinite(dispersion) && dispersion > 0) {
+            // Cauchy's equation n = A + B / λ², fitted so n_d is the base index
+            // and n_F - n_C = (n_d - 1) / V
+            var b = (refractiveIndex - 1) / dispersion /
+                (1 / (WAVELENGTHS.b * WAVELENGTHS.b) - 1 / (WAVELENGTHS.r * WAVELENGTHS.r));
+            var a = refractiveIndex - b / (WAVELENGTHS.g * WAVELENGTHS.g);
+            indices = {
+                r: a + b / (WAVELENGTHS.r * WAVELENGTHS.r),
+                g: refractiveIndex,
+                b: a + b / (WAVELENGTHS.b * WAVELENGTHS.b)
+            };
+        }
 
-                var x = isOnLeftSide ? x1 - radius : isOnRightSide ? x1 - radius - widthBetweenRadiuses : 0;
-                var y = isOnTopSide ? y1 - radius : isOnBottomSide ? y1 - radius - heightBetweenRadiuses : 0;
+        if (!indices || (indices.r === indices.g && indices.g === indices.b)) return null;
+        return indices;
+    }
 
-                var distanceToCenterSquared = x * x + y * y;
-                var isNearEdge = distanceToCenterSquared <= radiusPlusOneSquared && distanceToCenterSquared >= radiusMinusSpecularSquared;
+    /* ===== Border Radius ===== */
 
-                if (isNearEdge) {
-                    var distanceFromCenter = Math.sqrt(distanceToCenterSquared);
-                    var distanceFromSide = radius - distanceFromCenter;
-                    var opacity = distanceToCenterSquared < radiusSquared
-                        ? 1
-                        : 1 - (distanceFromCenter - Math.sqrt(radiusSquared)) / (Math.sqrt(radiusPlusOneSquared) - Math.sqrt(radiusSquared));
-                    var cos = distanceFromCenter > 0 ? x / distanceFromCenter : 0;
-                    var sin = distanceFromCenter > 0 ? -y / distanceFromCenter : 0;
-                    var dotProduct = Math.abs(cos * specularVector[0] + sin * specularVector[1]);
-                    var edgeRatio = Math.max(0, Math.min(1, distanceFromSide / specularThickness));
-                    var sharpFalloff = Math.sqrt(1 - (1 - edgeRatio) * (1 - edgeRatio));
-                    var coefficient = dotProduct * sharpFalloff;
-                    var color = Math.min(255, 255 * coefficient);
-                    var finalOpacity = Math.min(255, color * coefficient * opacity);
+    var CORNERS = ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'];
 
-                    imageData.data[idx] = color;
-                    imageData.data[idx + 1] = color;
-                    imageData.data[idx + 2] = color;
-                    imageData.data[idx + 3] = finalOpacity;
-                }
-            }
+    function normalizeRadii(radius) {
+        if (typeof radius === 'number') {
+            var r = Math.max(0, radius) || 0;
+            return {
+                topLeft: { x: r, y: r },
+                topRight: { x: r, y: r },
+                bottomRight: { x: r, y: r },
+                bottomLeft: { x: r, y: r }
+            };
         }
-        return imageData;
-    };
-
-    LiquidGlass.prototype._imageDataToDataURL = function (imageData) {
-        var canvas = document.createElement('canvas');
-        canvas.width = imageData.width;
-        canvas.height = imageData.height;
-        var ctx = canvas.getContext('2d');
-        ctx.putImageData(imageData, 0, 0);
-        return canvas.toDataURL();
-    };
+        return radius;
+    }
 
-    LiquidGlass.prototype._updateFilter = function (updateScale) {
-        if (updateScale === undefined) updateScale = true;
+    function resolveLength(value, reference) {
+        var number = parseFloat(value);
+        if (!isFinite(number)) return 0;
+        var isPercentage = String(value).replace(/\s+$/, '').slice(-1) === '%';
+        return Math.max(0, isPercentage ? (number / 100) * reference : number);
+    }
 
-        var dimensions = this.dimensions;
-        var surfaceFn = SurfaceEquations[this.options.surfaceType];
+    // Parse CSS border-radius, including percentages and the `h / v` syntax
+    function parseBorderRadius(value, width, height) {
+        if (typeof value === 'number') return scaleRadii(normalizeRadii(value), width, height);
 
-        var precomputed = this._calculateDisplacementMap1D(
-            this.options.glassThickness,
-            this.options.bezelWidth,
-            surfaceFn,
-            this.options.refractiveIndex
-        );
+        var parts = String(value || '0').split('/');
+        var expand = function (part) {
+            var values = part.replace(/^\s+|\s+$/g, '').split(/\s+/).filter(Boolean);
+            if (values.length === 0) values.push('0');
+            // CSS shorthand order: top-left, top-right, bottom-right, bottom-left
+            return [
+                values[0],
+                values[1] !== undefined ? values[1] : values[0],
+                values[2] !== undefined ? values[2] : values[0],
+                values[3] !== undefined ? values[3] : values[1] !== undefined ? values[1] : values[0]
+            ];
+        };
 
-        this.state.maximumDisplacement = Math.max.apply(null, precomputed.map(Math.abs));
-
-        var displacementData = this._calculateDisplacementMap2D(
-            dimensions.width,
-            dimensions.height,
-            dimensions.width,
-            dimensions.height,
-            dimensions.borderRadius,
-            this.options.bezelWidth,
-            this.state.maximumDisplacement || 1,
-            precomputed
-        );
+        var horizontal = expand(parts[0]);
+        var vertical = parts[1] === undefined ? horizontal : expand(parts[1]);
+
+        var radii = {};
+        CORNERS.forEach(function (corner, i) {
+            radii[corner] = {
+                x: resolveLength(horizontal[i], width),
+                y: resolveLength(vertical[i], height)
+            };
+        });
+        return scaleRadii(radii, width, height);
+    }
 
-        var specularData = this._calculateSpecularHighlight(
-            dimensions.width,
-            dimensions.height,
-            dimensions.borderRadius,
-            this.options.bezelWidth
-        );
+    // Shrink all radii by the same factor when adjacent corners would overlap
+    function scaleRadii(radii, width, height) {
+        var ratios = [
+            width / (radii.topLeft.x + radii.topRight.x),
+            width / (radii.bottomLeft.x + radii.bottomRight.x),
+            height / (radii.topLeft.y + radii.bottomLeft.y),
+            height / (radii.topRight.y + radii.bottomRight.y)
+        ].filter(isFinite);
+        var factor = Math.min.apply(Math, [1].concat(ratios));
+
+        var scaled = {};
+        CORNERS.forEach(function (corner) {
+            scaled[corner] = { x: radii[corner].x * factor, y: radii[corner].y * factor };
+        });
+        return scaled;
+    }
 
-        var displacementUrl = this._imageDataToDataURL(displacementData);
-        var specularUrl = this._imageDataToDataURL(specularData);
+    function roundedRectPath(width, height, radius, x, y) {
+        if (x === undefined) x = 0;
+        if (y === undefined) y = 0;
+        var radii = normalizeRadii(radius);
+        var topLeft = radii.topLeft;
+        var topRight = radii.topRight;
+        var bottomRight = radii.bottomRight;
+        var bottomLeft = radii.bottomLeft;
+        var right = x + width;
+        var bottom = y + height;
+
+        return [
+            'M ' + (x + topLeft.x) + ' ' + y,
+            'H ' + (right - topRight.x),
+            'A ' + topRight.x + ' ' + topRight.y + ' 0 0 1 ' + right + ' ' + (y + topRight.y),
+            'V ' + (bottom - bottomRight.y),
+            'A ' + bottomRight.x + ' ' + bottomRight.y + ' 0 0 1 ' + (right - bottomRight.x) + ' ' + bottom,
+            'H ' + (x + bottomLeft.x),
+            'A ' + bottomLeft.x + ' ' + bottomLeft.y + ' 0 0 1 ' + x + ' ' + (bottom - bottomLeft.y),
+            'V ' + (y + topLeft.y),
+            'A ' + topLeft.x + ' ' + topLeft.y + ' 0 0 1 ' + (x + topLeft.x) + ' ' + y,
+            'Z'
+        ].join(' ');
+    }
 
-        var displacementImage = document.getElementById(this.id + '-displacement-image');
-        var specularImage = document.getElementById(this.id + '-specular-image');
-        var displacementMap = document.getElementById(this.id + '-displacement-map');
-        var specularAlpha = document.getElementById(this.id + '-specular-alpha');
-        var blur = document.getElementById(this.id + '-blur');
+    // Distance and outward normal relative to the nearest corner's edge; null on the flat top
+    function getEdgeGeometry(x1, y1, width, height, radii) {
+        var isLeft = x1 < width / 2;
+        var isTop = y1 < height / 2;
+        var corner = isTop
+            ? (isLeft ? radii.topLeft : radii.topRight)
+            : (isLeft ? radii.bottomLeft : radii.bottomRight);
+        var rx = corner.x;
+        var ry = corner.y;
+
+        var x = isLeft
+            ? (x1 < rx ? x1 - rx : 0)
+            : (x1 >= width - rx ? x1 - (width - rx) : 0);
+        var y = isTop
+            ? (y1 < ry ? y1 - ry : 0)
+            : (y1 >= height - ry ? y1 - (height - ry) : 0);
+
+        if (x === 0 && y === 0) return null;
+
+        // Gradient of the normalised ellipse radius gives the outward normal
+        var u = x !== 0 ? x / rx : 0;
+        var v = y !== 0 ? y / ry : 0;
+        var gradientX = x !== 0 ? x / (rx * rx) : 0;
+        var gradientY = y !== 0 ? y / (ry * ry) : 0;
+        var gradientLength = Math.sqrt(gradientX * gradientX + gradientY * gradientY);
+        var rho = Math.sqrt(u * u + v * v);
+
+        return {
+            distance: ((1 - rho) * rho) / gradientLength,
+            normalX: gradientX / gradientLength,
+            normalY: gradientY / gradientLength
+        };
+    }
+
+    /* ===== Shapes ===== */
+
+    var PATH_COMMAND = /[MmLlHhVvCcSsQqTtAaZz]/;
+    var PATH_NUMBER = /[\s,]*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/g;
+    var PATH_FLAG = /[\s,]*([01])/g;
+    var PATH_ARITY = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+    // Tokenize SVG path data into [command, ...numbers]; stops at the first error like browsers do
+    function parsePathData(d) {
+        var source = String(d === undefined || d === null ? '' : d);
+        var segments = [];
+        var index = 0;
+        var command = null;
+
+        var read = function (pattern) {
+            pattern.lastIndex = index;
+            var match = pattern.exec(source);
+            if (!match || match.index !== index) return null;
+            index = pattern.lastIndex;
+            return parseFloat(match[1]);
+        };
+
+        while (index < source.length) {
+            while (index < source.length && /[\s,]/.test(source[index])) index++;
+            if (index >= source.length) break;
+
+            if (PATH_COMMAND.test(source[index])) {
+                command = source[index++];
+            } else if (!command || command === 'Z' || command === 'z') {
+                break;
+            }
+
+            var upper = command.toUpperCase();
+            if (upper === 'Z') {
+                segments.push([command]);
+                continue;
+            }
+
+            var segment = [command];
+            for (var i = 0; i < PATH_ARITY[upper]; i++) {
+                // Arc flags may be written without separators, e.g. `a1 1 0 00 1 1`
+                var value = upper === 'A' && (i === 3 || i === 4) ? read(PATH_FLAG) : read(PATH_NUMBER);
+                if (value === null) return segments;
+                segment.push(value);
+            }
+            segments.push(segment);
+
+            // Extra coordinate pairs after a moveto are implicit linetos
+            if (command === 'M') command = 'L';
+            if (command === 'm') command = 'l';
+        }
+
+        return segments;
+    }
+
+    // Stretch a [minX, minY, width, height] viewBox onto the element, like preserveAspectRatio="none"
+    function getViewBoxTransform(viewBox, width, height) {
+        if (!viewBox || !(viewBox[2] > 0) || !(viewBox[3] > 0)) {
+            return { scaleX: 1, scaleY: 1, translateX: 0, translateY: 0 };
+        }
+        var scaleX = width / viewBox[2];
+        var scaleY = height / viewBox[3];
+        return { scaleX: scaleX, scaleY: scaleY, translateX: -viewBox[0] * scaleX, translateY: -viewBox[1] * scaleY };
+    }
+
+    function curveSegments(points) {
+        var length = 0;
+        for (var i = 1; i < points.length; i++) {
+            length += Math.sqrt(Math.pow(points[i][0] - points[i - 1][0], 2) + Math.pow(points[i][1] - points[i - 1][1], 2));
+        }
+        return Math.max(2, Math.min(64, Math.ceil(length / 3)));
+    }
+
+    // Endpoint to centre parameterisation of an SVG arc, sampled into points (SVG 1.1, F.6.5)
+    function sampleArc(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2, transform) {
+        var phi = (rotation * Math.PI) / 180;
+        var cosPhi = Math.cos(phi);
+        var sinPhi = Math.sin(phi);
+        var dx = (x1 - x2) / 2;
+        var dy = (y1 - y2) / 2;
+        var x1p = cosPhi * dx + sinPhi * dy;
+        var y1p = -sinPhi * dx + cosPhi * dy;
+
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        var lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        var numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+        var denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+        var factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+        var cxp = (factor * rx * y1p) / ry;
+        var cyp = (-factor * ry * x1p) / rx;
+        var cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+        var cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+        var angle = function (ux, uy, vx, vy) {
+            return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        };
+        var theta = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+        var delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+        if (!sweep && delta > 0) delta -= 2 * Math.PI;
+        if (sweep && delta < 0) delta += 2 * Math.PI;
+
+        var scale = Math.max(rx * Math.abs(transform.scaleX), ry * Math.abs(transform.scaleY));
+        var count = Math.max(2, Math.min(64, Math.ceil((Math.abs(delta) * scale) / 3)));
+        var points = [];
+        for (var i = 1; i <= count; i++) {
+            var t = theta + (delta * i) / count;
+            var ex = rx * Math.cos(t);
+            var ey = ry * Math.sin(t);
+            points.push([cosPhi * ex - sinPhi * ey + cx, sinPhi * ex + cosPhi * ey + cy]);
+        }
+        return points;
+    }
+
+    // Flatten SVG path data into closed polygons in element pixels
+    function flattenPath(d, transform) {
+        if (!transform) transform = getViewBoxTransform(null);
+        var toPixels = function (px, py) {
+            return [px * transform.scaleX + transform.translateX, py * transform.scaleY + transform.translateY];
+        };
+        var polygons = [];
+        var polygon = null;
+        var x = 0;
+        var y = 0;
+        var startX = 0;
+        var startY = 0;
+        var controlX = 0;
+        var controlY = 0;
+        var previous = '';
+
+        var lineTo = function (nx, ny) {
+            polygon.push(toPixels(nx, ny));
+            x = nx;
+            y = ny;
+        };
+        var bezierTo = function (controls, nx, ny) {
+            // Affine maps keep Béziers intact, so subdivide in pixel space
+            var pixels = [[x, y]].concat(controls, [[nx, ny]]).map(function (point) {
+                return toPixels(point[0], point[1]);
+            });
+            var count = curveSegments(pixels);
+            for (var i = 1; i <= count; i++) {
+                var t = i / count;
+                var mt = 1 - t;
+                var point = [];
+                for (var k = 0; k < 2; k++) {
+                    point.push(pixels.length === 3
+                        ? mt * mt * pixels[0][k] + 2 * mt * t * pixels[1][k] + t * t * pixels[2][k]
+                        : mt * mt * mt * pixels[0][k] + 3 * mt * mt * t * pixels[1][k] +
+                            3 * mt * t * t * pixels[2][k] + t * t * t * pixels[3][k]);
+                }
+                polygon.push(point);
+            }
+            x = nx;
+            y = ny;
+        };
+
+        var segments = parsePathData(d);
+        for (var s = 0; s < segments.length; s++) {
+            var command = segments[s][0];
+            var args = segments[s].slice(1);
+            var upper = command.toUpperCase();
+            var relative = command !== upper;
+            var ox = relative ? x : 0;
+            var oy = relative ? y : 0;
+            var reflect, rest;
+
+            if (upper === 'M') {
+                polygon = [];
+                polygons.push(polygon);
+                lineTo(ox + args[0], oy + args[1]);
+                startX = x;
+                startY = y;
+            } else if (!polygon) {
+                // Path data must begin with a moveto
+                break;
+            } else if (upper === 'Z') {
+                x = startX;
+                y = startY;
+                // Drawing after a closepath starts a new subpath at the same point
+                polygon = [toPixels(x, y)];
+                polygons.push(polygon);
+            } else if (upper === 'L') {
+                lineTo(ox + args[0], oy + args[1]);
+            } else if (upper === 'H') {
+                lineTo(ox + args[0], y);
+            } else if (upper === 'V') {
+                lineTo(x, oy + args[0]);
+            } else if (upper === 'C' || upper === 'S') {
+                reflect = previous === 'C' || previous === 'S';
+                var c1 = upper === 'C'
+                    ? [ox + args[0], oy + args[1]]
+                    : [reflect ? 2 * x - controlX : x, reflect ? 2 * y - controlY : y];
+                rest = upper === 'C' ? args.slice(2) : args;
+                var c2 = [ox + rest[0], oy + rest[1]];
+                controlX = c2[0];
+                controlY = c2[1];
+                bezierTo([c1, c2], ox + rest[2], oy + rest[3]);
+            } else if (upper === 'Q' || upper === 'T') {
+                reflect = previous === 'Q' || previous === 'T';
+                var c = upper === 'Q'
+                    ? [ox + args[0], oy + args[1]]
+                    : [reflect ? 2 * x - controlX : x, reflect ? 2 * y - controlY : y];
+                rest = upper === 'Q' ? args.slice(2) : args;
+                controlX = c[0];
+                controlY = c[1];
+                bezierTo([c], ox + rest[0], oy + rest[1]);
+            } else if (upper === 'A') {
+                var nx = ox + args[5];
+                var ny = oy + args[6];
+                if (args[0] === 0 || args[1] === 0) {
+                    lineTo(nx, ny);
+                } else if (nx !== x || ny !== y) {
+                    var points = sampleArc(x, y, args[0], args[1], args[2], args[3], args[4], nx, ny, transform);
+                    for (var p = 0; p < points.length; p++) {
+                        polygon.push(toPixels(points[p][0], points[p][1]));
+                    }
+                    x = nx;
+                    y = ny;
+                }
+            }
+            previous = upper;
+        }
+
+        return polygons.filter(function (points) { return points.length > 2; });
+    }
+
+    function resolvePosition(tokens, width, height) {
+        var keywords = { left: '0%', top: '0%', center: '50%', right: '100%', bottom: '100%' };
+        var first = tokens[0] || 'center';
+        var second = tokens[1] || 'center';
+        if (first === 'top' || first === 'bottom' || second === 'left' || second === 'right') {
+            var swap = first;
+            first = second;
+            second = swap;
+        }
+        return [
+            resolveLength(keywords[first] !== undefined ? keywords[first] : first, width),
+            resolveLength(keywords[second] !== undefined ? keywords[second] : second, height)
+        ];
+    }
+
+    function resolveShapeRadius(value, sides, reference) {
+        if (value === undefined || value === 'closest-side') return Math.min.apply(Math, sides);
+        if (value === 'farthest-side') return Math.max.apply(Math, sides);
+        return resolveLength(value, reference);
+    }
+
+    // Convert a CSS clip-path basic shape to SVG path data in element pixels; null if not a basic shape
+    function parseClipPath(value, width, height) {
+        var match = /^\s*(path|polygon|circle|ellipse|inset)\(([\s\S]*)\)\s*$/i.exec(String(value === undefined || value === null ? '' : value));
+        if (!match) return null;
+
+        var type = match[1].toLowerCase();
+        var args = match[2].replace(/^\s+|\s+$/g, '');
+        var fillRule = 'nonzero';
+
+        var rule = /^(nonzero|evenodd)\s*,\s*/i.exec(args);
+        if (rule && (type === 'path' || type === 'polygon')) {
+            fillRule = rule[1].toLowerCase();
+            args = args.slice(rule[0].length);
+        }
+
+        if (type === 'path') {
+            var path = /^(["'])([\s\S]*)\1$/.exec(args);
+            return path ? { path: path[2], fillRule: fillRule } : null;
+        }
+
+        if (type === 'polygon') {
+            var points = args.split(',').map(function (pair) {
+                var coordinates = pair.replace(/^\s+|\s+$/g, '').split(/\s+/);
+                return resolveLength(coordinates[0], width) + ' ' + resolveLength(coordinates[1], height);
+            });
+            return { path: 'M ' + points.join(' L ') + ' Z', fillRule: fillRule };
+        }
+
+        if (type === 'inset') {
+            var insetParts = args.split(/\s+round\s+/i);
+            var offsets = insetParts[0].replace(/^\s+|\s+$/g, '').split(/\s+/);
+            var top = resolveLength(offsets[0], height);
+            var right = resolveLength(offsets[1] !== undefined ? offsets[1] : offsets[0], width);
+            var bottom = resolveLength(offsets[2] !== undefined ? offsets[2] : offsets[0], height);
+            var left = resolveLength(offsets[3] !== undefined ? offsets[3] : offsets[1] !== undefined ? offsets[1] : offsets[0], width);
+            var insetWidth = Math.max(0, width - left - right);
+            var insetHeight = Math.max(0, height - top - bottom);
+            var radii = parseBorderRadius(insetParts[1] || 0, insetWidth, insetHeight);
+            return { path: roundedRectPath(insetWidth, insetHeight, radii, left, top), fillRule: fillRule };
+        }
+
+        // circle() and ellipse()
+        var parts = args.split(/\s*\bat\b\s*/i);
+        var center = resolvePosition((parts[1] || '').split(/\s+/).filter(Boolean), width, height);
+        var cx = center[0];
+        var cy = center[1];
+        var sizes = parts[0].split(/\s+/).filter(Boolean);
+        var sidesX = [cx, width - cx];
+        var sidesY = [cy, height - cy];
+        var rx, ry;
+
+        if (type === 'circle') {
+            rx = ry = resolveShapeRadius(sizes[0], sidesX.concat(sidesY), Math.sqrt(width * width + height * height) / Math.SQRT2);
+        } else {
+            rx = resolveShapeRadius(sizes[0], sidesX, width);
+            ry = resolveShapeRadius(sizes[1], sidesY, height);
+        }
+
+        return {
+            path: 'M ' + (cx - rx) + ' ' + cy + ' A ' + rx + ' ' + ry + ' 0 1 0 ' + (cx + rx) + ' ' + cy +
+                ' A ' + rx + ' ' + ry + ' 0 1 0 ' + (cx - rx) + ' ' + cy + ' Z',
+            fillRule: fillRule
+        };
+    }
+
+    // Signed distance field of a shape, positive inside; exact only within maxDistance of the outline
+    function createShapeField(shape, width, height, maxDistance) {
+        if (typeof shape === 'string') shape = { path: shape };
+        var fillRule = shape.fillRule || 'nonzero';
+        var polygons = flattenPath(shape.path, getViewBoxTransform(shape.viewBox, width, height));
+        var distance = new Float32Array(width * height);
+        var normalX = new Float32Array(width * height);
+        var normalY = new Float32Array(width * height);
+        var far = maxDistance + 2;
+        var evenOdd = fillRule === 'evenodd';
+        var x, y, i, e;
+
+        var edges = [];
+        polygons.forEach(function (points) {
+            for (var j = 0; j < points.length; j++) {
+                var a = points[j];
+                var b = points[(j + 1) % points.length];
+                if (a[0] !== b[0] || a[1] !== b[1]) edges.push([a[0], a[1], b[0], b[1]]);
+            }
+        });
+
+        // Inside test: scanline crossings through pixel centres
+        for (y = 0; y < height; y++) {
+            var cy = y + 0.5;
+            var crossings = [];
+            for (e = 0; e < edges.length; e++) {
+                var edge = edges[e];
+                if ((edge[1] <= cy) !== (edge[3] <= cy)) {
+                    crossings.push([edge[0] + ((cy - edge[1]) * (edge[2] - edge[0])) / (edge[3] - edge[1]), edge[3] > edge[1] ? 1 : -1]);
+                }
+            }
+            crossings.sort(function (a, b) { return a[0] - b[0]; });
+
+            var winding = 0;
+            var next = 0;
+            for (x = 0; x < width; x++) {
+                while (next < crossings.length && crossings[next][0] <= x + 0.5) {
+                    winding += evenOdd ? 1 : crossings[next][1];
+                    next++;
+                }
+                var inside = evenOdd ? winding % 2 !== 0 : winding !== 0;
+                distance[y * width + x] = inside ? far : -far;
+            }
+        }
+
+        // Exact distances near the outline, one edge's neighbourhood at a time
+        for (e = 0; e < edges.length; e++) {
+            var x1 = edges[e][0];
+            var y1 = edges[e][1];
+            var dx = edges[e][2] - x1;
+            var dy = edges[e][3] - y1;
+            var lengthSquared = dx * dx + dy * dy;
+            var length = Math.sqrt(lengthSquared);
+            var minX = Math.max(0, Math.floor(Math.min(x1, x1 + dx) - far));
+            var maxX = Math.min(width - 1, Math.ceil(Math.max(x1, x1 + dx) + far));
+            var minY = Math.max(0, Math.floor(Math.min(y1, y1 + dy) - far));
+            var maxY = Math.min(height - 1, Math.ceil(Math.max(y1, y1 + dy) + far));
+
+            for (y = minY; y <= maxY; y++) {
+                for (x = minX; x <= maxX; x++) {
+                    var px = x + 0.5;
+                    var py = y + 0.5;
+                    var t = Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSquared));
+                    var ex = px - (x1 + t * dx);
+                    var ey = py - (y1 + t * dy);
+                    var d = Math.sqrt(ex * ex + ey * ey);
+                    i = y * width + x;
+                    if (d >= Math.abs(distance[i])) continue;
+
+                    var isInside = distance[i] > 0;
+                    distance[i] = isInside ? d : -d;
+                    if (d > 1e-6) {
+                        // Outward normal points from the pixel towards the outline when inside
+                        normalX[i] = isInside ? -ex / d : ex / d;
+                        normalY[i] = isInside ? -ey / d : ey / d;
+                    } else {
+                        normalX[i] = dy / length;
+                        normalY[i] = -dx / length;
+                    }
+                }
+            }
+        }
+
+        return { width: width, height: height, distance: distance, normalX: normalX, normalY: normalY };
+    }
+
+    // Edge lookup for the map generators: rounded-rect geometry, or a precomputed shape field
+    function createEdgeSampler(edges, width, height) {
+        if (edges && edges.distance) {
+            return function (x1, y1) {
+                var i = y1 * edges.width + x1;
+                return { distance: edges.distance[i], normalX: edges.normalX[i], normalY: edges.normalY[i] };
+            };
+        }
+        var radii = normalizeRadii(edges);
+        return function (x1, y1) {
+            return getEdgeGeometry(x1, y1, width, height, radii);
+        };
+    }
+
+    function calculateDisplacementMap2D(canvasWidth, canvasHeight, objectWidth, objectHeight, radius, bezelWidth, maximumDisplacement, precomputedMap) {
+        var data = new Uint8ClampedArray(canvasWidth * canvasHeight * 4);
+
+        for (var i = 0; i < data.length; i += 4) {
+            data[i] = 128;
+            data[i + 1] = 128;
+            data[i + 2] = 0;
+            data[i + 3] = 255;
+        }
+
+        var getEdge = createEdgeSampler(radius, objectWidth, objectHeight);
+        var objectX = (canvasWidth - objectWidth) / 2;
+        var objectY = (canvasHeight - objectHeight) / 2;
+
+        for (var y1 = 0; y1 < objectHeight; y1++) {
+            for (var x1 = 0; x1 < objectWidth; x1++) {
+                var idx = ((objectY + y1) * canvasWidth + objectX + x1) * 4;
+                var edge = getEdge(x1, y1);
+                if (!edge) continue;
+
+                var distanceFromSide = edge.distance;
+                var isInBezel = distanceFromSide >= -1 && distanceFromSide <= bezelWidth;
+
+                if (isInBezel) {
+                    var opacity = distanceFromSide >= 0 ? 1 : 1 + distanceFromSide;
+                    var bezelRatio = Math.max(0, Math.min(1, distanceFromSide / bezelWidth));
+                    var bezelIndex = Math.floor(bezelRatio * precomputedMap.length);
+                    var distance = precomputedMap[Math.max(0, Math.min(bezelIndex, precomputedMap.length - 1))] || 0;
+                    var dX = maximumDisplacement > 0 ? (-edge.normalX * distance) / maximumDisplacement : 0;
+                    var dY = maximumDisplacement > 0 ? (-edge.normalY * distance) / maximumDisplacement : 0;
+
+                    data[idx] = Math.max(0, Math.min(255, 128 + dX * 127 * opacity));
+                    data[idx + 1] = Math.max(0, Math.min(255, 128 + dY * 127 * opacity));
+                    data[idx + 2] = 0;
+                    data[idx + 3] = 255;
+                }
+            }
+        }
+        return { width: canvasWidth, height: canvasHeight, data: data };
+    }
+
+    function calculateSpecularHighlight(objectWidth, objectHeight, radius, bezelWidth, specularAngle) {
+        if (specularAngle === undefined) specularAngle = Math.PI / 3;
+        var data = new Uint8ClampedArray(objectWidth * objectHeight * 4);
+        var specularVector = [Math.cos(specularAngle), Math.sin(specularAngle)];
+        var specularThickness = 1.5;
+        var getEdge = createEdgeSampler(radius, objectWidth, objectHeight);
+
+        for (var y1 = 0; y1 < objectHeight; y1++) {
+            for (var x1 = 0; x1 < objectWidth; x1++) {
+                var idx = (y1 * objectWidth + x1) * 4;
+                var edge = getEdge(x1, y1);
+                if (!edge) continue;
+
+                var distanceFromSide = edge.distance;
+                var isNearEdge = distanceFromSide >= -1 && distanceFromSide <= specularThickness;
+
+                if (isNearEdge) {
+                    var opacity = distanceFromSide >= 0 ? 1 : 1 + distanceFromSide;
+                    var cos = edge.normalX;
+                    var sin = -edge.normalY;
+                    var dotProduct = Math.abs(cos * specularVector[0] + sin * specularVector[1]);
+                    var edgeRatio = Math.max(0, Math.min(1, distanceFromSide / specularThickness));
+                    var sharpFalloff = Math.sqrt(1 - (1 - edgeRatio) * (1 - edgeRatio));
+                    var coefficient = dotProduct * sharpFalloff;
+                    var color = Math.min(255, 255 * coefficient);
+                    var finalOpacity = Math.min(255, color * coefficient * opacity);
+
+                    data[idx] = color;
+                    data[idx + 1] = color;
+                    data[idx + 2] = color;
+                    data[idx + 3] = finalOpacity;
+                }
+            }
+        }
+        return { width: objectWidth, height: objectHeight, data: data };
+    }
+
+    // Angle-independent specular map, lit by getSpecularMatrix so the light can move without new maps.
+    // R = cos² w, G = sin² w, B = 0.5 + cos sin w, for outward normal (cos, sin) with y up and edge weight w.
+    // options: thickness of the rim, or fresnel { profile, thickness, innerRim } to replace it
+    function calculateSpecularBasis(objectWidth, objectHeight, radius, bezelWidth, options) {
+        options = options || {};
+        var data = new Uint8ClampedArray(objectWidth * objectHeight * 4);
+        var specularThickness = options.thickness === undefined ? 1.5 : options.thickness;
+        var fresnel = options.fresnel || null;
+        var getEdge = createEdgeSampler(radius, objectWidth, objectHeight);
+        var getWeight = fresnel ? createFresnelWeight(fresnel, specularThickness) : null;
+        var reach = fresnel ? fresnel.thickness + specularThickness : specularThickness;
+
+        for (var i = 0; i < data.length; i += 4) {
+            data[i + 2] = 128;
+            data[i + 3] = 255;
+        }
+
+        for (var y1 = 0; y1 < objectHeight; y1++) {
+            for (var x1 = 0; x1 < objectWidth; x1++) {
+                var idx = (y1 * objectWidth + x1) * 4;
+                var edge = getEdge(x1, y1);
+                if (!edge) continue;
+
+                var distanceFromSide = edge.distance;
+                var isNearEdge = distanceFromSide >= -1 && distanceFromSide <= reach;
+
+                if (isNearEdge) {
+                    var opacity = distanceFromSide >= 0 ? 1 : 1 + distanceFromSide;
+                    var cos = edge.normalX;
+                    var sin = -edge.normalY;
+                    var weight;
+                    if (getWeight) {
+                        weight = getWeight(distanceFromSide) * opacity;
+                    } else {
+                        if (distanceFromSide > specularThickness) continue;
+                        var edgeRatio = Math.max(0, Math.min(1, distanceFromSide / specularThickness));
+                        weight = (1 - (1 - edgeRatio) * (1 - edgeRatio)) * opacity;
+                    }
+
+                    data[idx] = 255 * cos * cos * weight;
+                    data[idx + 1] = 255 * sin * sin * weight;
+                    data[idx + 2] = 255 * (0.5 + cos * sin * weight);
+                }
+            }
+        }
+        return { width: objectWidth, height: objectHeight, data: data };
+    }
+
+    // Edge weight for the Fresnel layer at a distance from the outline
+    function createFresnelWeight(fresnel, rimThickness) {
+        var profile = fresnel.profile;
+        var thickness = fresnel.thickness;
+        var innerRim = fresnel.innerRim || 0;
+
+        return function (distance) {
+            var ratio = Math.max(0, distance / thickness);
+            var weight = 0;
+            if (ratio < 1) {
+                // Fade the last pixel so the layer does not end on a step
+                var fade = Math.min(1, thickness - distance);
+                weight = profile[Math.min(profile.length - 1, Math.floor(ratio * profile.length))] * fade;
+            }
+            if (innerRim > 0) {
+                var rim = 1 - Math.abs(distance - thickness) / rimThickness;
+                if (rim > 0) weight = Math.max(weight, innerRim * rim);
+            }
+            return weight;
+        };
+    }
+
+    // feColorMatrix values that light a basis map; angle in radians, counter-clockwise from +x
+    function getSpecularMatrix(angle, intensity) {
+        if (intensity === undefined) intensity = 1;
+        var lx = Math.cos(angle);
+        var ly = Math.sin(angle);
+        var row = [lx * lx, ly * ly, 2 * lx * ly, 0, -lx * ly];
+        var alpha = row.map(function (value) { return value * intensity; });
+
+        return row.concat(row, row, alpha)
+            .map(function (value) { return Number(value.toFixed(6)); })
+            .join(' ');
+    }
+
+    function generateMaps(params) {
+        var width = Math.max(1, Math.floor(params.width));
+        var height = Math.max(1, Math.floor(params.height));
+
+        // Functions cannot cross a worker boundary, so callers may send the 1D maps instead
+        var indices = params.precomputedMap ? null : getChannelIndices(params.refractiveIndex, params.dispersion);
+        var profile = function (index) {
+            return calculateDisplacementMap1D(params.glassThickness, params.bezelWidth, params.surfaceFn, index);
+        };
+        var precomputed = params.precomputedMap || profile(indices ? indices.g : params.refractiveIndex);
+        var channelProfiles = params.precomputedChannels ||
+            (indices ? { r: profile(indices.r), b: profile(indices.b) } : null);
+
+        // All channels share one scale so a single refraction strength applies to each
+        var maximumDisplacement = getMaximumDisplacement(precomputed);
+        if (channelProfiles) {
+            maximumDisplacement = Math.max(
+                maximumDisplacement,
+                getMaximumDisplacement(channelProfiles.r),
+                getMaximumDisplacement(channelProfiles.b)
+            );
+        }
+
+        // The Fresnel layer defaults to the bezel and needs the surface unless its profile is sent
+        var specularThickness = params.specularThickness === undefined ? 1.5 : params.specularThickness;
+        var fresnel = null;
+        if (params.fresnel) {
+            fresnel = {
+                thickness: params.fresnel.thickness === undefined ? params.bezelWidth : params.fresnel.thickness,
+                innerRim: params.fresnel.innerRim || 0,
+                profile: params.fresnel.profile || calculateFresnelProfile(
+                    params.surfaceFn,
+                    indices ? indices.g : params.refractiveIndex,
+                    params.fresnel.falloff
+                )
+            };
+        }
+        var specularReach = fresnel ? fresnel.thickness + specularThickness : specularThickness;
+
+        // Every map samples the same shape field
+        var edges = params.shape
+            ? createShapeField(params.shape, width, height, Math.max(params.bezelWidth, specularReach))
+            : params.borderRadius;
+
+        var displace = function (map) {
+            return calculateDisplacementMap2D(
+                width,
+                height,
+                width,
+                height,
+                edges,
+                params.bezelWidth,
+                maximumDisplacement || 1,
+                map
+            );
+        };
+        var displacement = displace(precomputed);
+        var channels = channelProfiles
+            ? { r: displace(channelProfiles.r), b: displace(channelProfiles.b) }
+            : null;
+        var specular = params.specularBasis
+            ? calculateSpecularBasis(width, height, edges, params.bezelWidth, { thickness: specularThickness, fresnel: fresnel })
+            : calculateSpecularHighlight(width, height, edges, params.bezelWidth, params.specularAngle);
+
+        return {
+            displacement: displacement,
+            specular: specular,
+            maximumDisplacement: maximumDisplacement,
+            channels: channels
+        };
+    }
+
+    /* ===== PNG Encoder ===== */
+
+    var crcTable = null;
+
+    function crc32(bytes, start, end) {
+        var n, k, c;
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (n = 0; n < 256; n++) {
+                c = n;
+                for (k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        var crc = 0xffffffff;
+        for (var i = start; i < end; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    function adler32(bytes) {
+        var a = 1;
+        var b = 0;
+        for (var i = 0; i < bytes.length; i++) {
+            a = (a + bytes[i]) % 65521;
+            b = (b + a) % 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+
+    // Deflate length codes 257-285: base lengths and extra bits
+    var LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+    var LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+
+    // Fixed-Huffman deflate, encoding byte runs as distance-1 matches
+    function deflate(bytes) {
+        var out = [];
+        var bitBuffer = 0;
+        var bitCount = 0;
+
+        function writeBits(value, length) {
+            bitBuffer |= value << bitCount;
+            bitCount += length;
+            while (bitCount >= 8) {
+                out.push(bitBuffer & 0xff);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        }
+
+        // Huffman codes are stored most significant bit first
+        function writeCode(code, length) {
+            var reversed = 0;
+            for (var i = 0; i < length; i++) {
+                reversed = (reversed << 1) | ((code >> i) & 1);
+            }
+            writeBits(reversed, length);
+        }
+
+        function writeSymbol(symbol) {
+            if (symbol < 144) writeCode(0x30 + symbol, 8);
+            else if (symbol < 256) writeCode(0x190 + symbol - 144, 9);
+            else if (symbol < 280) writeCode(symbol - 256, 7);
+            else writeCode(0xc0 + symbol - 280, 8);
+        }
+
+        // BFINAL = 1, BTYPE = 01 (fixed Huffman)
+        writeBits(1, 1);
+        writeBits(1, 2);
+
+        var i = 0;
+        while (i < bytes.length) {
+            var run = 0;
+            if (i > 0) {
+                var previous = bytes[i - 1];
+                while (run < 258 && i + run < bytes.length && bytes[i + run] === previous) run++;
+            }
+
+            if (run >= 3) {
+                var code = LENGTH_BASE.length - 1;
+                while (LENGTH_BASE[code] > run) code--;
+                writeSymbol(257 + code);
+                writeBits(run - LENGTH_BASE[code], LENGTH_EXTRA[code]);
+                writeCode(0, 5); // distance 1
+                i += run;
+            } else {
+                writeSymbol(bytes[i]);
+                i++;
+            }
+        }
+
+        writeSymbol(256);
+        if (bitCount > 0) out.push(bitBuffer & 0xff);
+
+        return new Uint8Array(out);
+    }
+
+    function encodePNG(image) {
+        var width = image.width;
+        var height = image.height;
+        var data = image.data;
+        var stride = width * 4;
+        var x, y, i;
+
+        // Every row uses the Sub filter, which turns flat areas into zero runs
+        var filtered = new Uint8Array((stride + 1) * height);
+        for (y = 0; y < height; y++) {
+            var rowStart = y * (stride + 1);
+            filtered[rowStart] = 1;
+            for (x = 0; x < stride; x++) {
+                var value = data[y * stride + x];
+                var left = x >= 4 ? data[y * stride + x - 4] : 0;
+                filtered[rowStart + 1 + x] = (value - left) & 0xff;
+            }
+        }
+
+        var compressed = deflate(filtered);
+        var checksum = adler32(filtered);
+        var idat = new Uint8Array(compressed.length + 6);
+        idat[0] = 0x78;
+        idat[1] = 0x01;
+        idat.set(compressed, 2);
+        idat[idat.length - 4] = checksum >>> 24;
+        idat[idat.length - 3] = (checksum >>> 16) & 0xff;
+        idat[idat.length - 2] = (checksum >>> 8) & 0xff;
+        idat[idat.length - 1] = checksum & 0xff;
+
+        var ihdr = new Uint8Array(13);
+        var ihdrView = new DataView(ihdr.buffer);
+        ihdrView.setUint32(0, width);
+        ihdrView.setUint32(4, height);
+        ihdr[8] = 8; // bit depth
+        ihdr[9] = 6; // RGBA
+
+        var chunks = [['IHDR', ihdr], ['IDAT', idat], ['IEND', new Uint8Array(0)]];
+        var size = 8;
+        for (i = 0; i < chunks.length; i++) size += chunks[i][1].length + 12;
+
+        var png = new Uint8Array(size);
+        var view = new DataView(png.buffer);
+        png.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+        var offset = 8;
+        for (i = 0; i < chunks.length; i++) {
+            var type = chunks[i][0];
+            var body = chunks[i][1];
+            view.setUint32(offset, body.length);
+            for (var j = 0; j < 4; j++) png[offset + 4 + j] = type.charCodeAt(j);
+            png.set(body, offset + 8);
+            view.setUint32(offset + 8 + body.length, crc32(png, offset + 4, offset + 8 + body.length));
+            offset += body.length + 12;
+        }
+
+        return png;
+    }
+
+    var BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+    function toBase64(bytes) {
+        var result = '';
+        for (var i = 0; i < bytes.length; i += 3) {
+            var a = bytes[i];
+            var b = i + 1 < bytes.length ? bytes[i + 1] : 0;
+            var c = i + 2 < bytes.length ? bytes[i + 2] : 0;
+            var triplet = (a << 16) | (b << 8) | c;
+
+            result += BASE64_ALPHABET.charAt((triplet >> 18) & 63) + BASE64_ALPHABET.charAt((triplet >> 12) & 63);
+            result += i + 1 < bytes.length ? BASE64_ALPHABET.charAt((triplet >> 6) & 63) : '=';
+            result += i + 2 < bytes.length ? BASE64_ALPHABET.charAt(triplet & 63) : '=';
+        }
+        return result;
+    }
+
+    function encodePNGDataURL(image) {
+        return 'data:image/png;base64,' + toBase64(encodePNG(image));
+    }
+
+    // Encode pixels as a data URL, using OffscreenCanvas when running in a worker
+    function encodeDataURL(image) {
+        if (typeof OffscreenCanvas !== 'undefined' && typeof FileReaderSync !== 'undefined') {
+            var canvas = new OffscreenCanvas(image.width, image.height);
+            canvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+            return canvas.convertToBlob().then(function (blob) {
+                return new FileReaderSync().readAsDataURL(blob);
+            });
+        }
+        return Promise.resolve(encodePNGDataURL(image));
+    }
+
+    /* ===== Worker Protocol ===== */
+
+    // Serve map requests inside a worker; a newer request per key replaces one still waiting
+    function installMapWorker(scope) {
+        var queue = new Map();
+        var running = false;
+
+        function reply(id, payload) {
+            var message = { type: 'liquid-glass:result', id: id };
+            for (var key in payload) message[key] = payload[key];
+            scope.postMessage(message);
+        }
+
+        function next() {
+            if (queue.size === 0) {
+                running = false;
+                return;
+            }
+
+            var entry = queue.entries().next().value;
+            var job = entry[1];
+            queue.delete(entry[0]);
+
+            var done = new Promise(function (resolve) {
+                var maps = generateMaps(job.params);
+                resolve(Promise.all([
+                    encodeDataURL(maps.displacement),
+                    encodeDataURL(maps.specular),
+                    maps.channels && encodeDataURL(maps.channels.r),
+                    maps.channels && encodeDataURL(maps.channels.b)
+                ]).then(function (urls) {
+                    reply(job.id, {
+                        result: {
+                            displacementUrl: urls[0],
+                            specularUrl: urls[1],
+                            channelUrls: maps.channels ? { r: urls[2], b: urls[3] } : null,
+                            maximumDisplacement: maps.maximumDisplacement
+                        }
+                    });
+                }));
+            });
+
+            done.catch(function (error) {
+                reply(job.id, { error: error.message });
+            }).then(function () {
+                // Let newer messages replace queued jobs before the next one starts
+                setTimeout(next, 0);
+            });
+        }
+
+        scope.addEventListener('message', function (event) {
+            var message = event.data;
+            if (!message || (message.type !== 'liquid-glass:generate' && message.type !== 'liquid-glass:cancel')) return;
+
+            // Stale jobs resolve with no result
+            var stale = queue.get(message.key);
+            if (stale) {
+                queue.delete(message.key);
+                reply(stale.id, { result: null });
+            }
+
+            if (message.type === 'liquid-glass:generate') {
+                queue.set(message.key, message);
+                if (!running) {
+                    running = true;
+                    next();
+                }
+            }
+        });
+    }
+
+    // Core namespace, usable without a DOM (Node, workers, tests)
+    var LiquidGlassCore = {
+        SurfaceEquations: SurfaceEquations,
+        createSurface: createSurface,
+        validateSurface: validateSurface,
+        normalizeRadii: normalizeRadii,
+        parseBorderRadius: parseBorderRadius,
+        roundedRectPath: roundedRectPath,
+        parsePathData: parsePathData,
+        flattenPath: flattenPath,
+        parseClipPath: parseClipPath,
+        getViewBoxTransform: getViewBoxTransform,
+        createShapeField: createShapeField,
+        calculateDisplacementMap1D: calculateDisplacementMap1D,
+        calculateDisplacementMap2D: calculateDisplacementMap2D,
+        getChannelIndices: getChannelIndices,
+        calculateFresnelProfile: calculateFresnelProfile,
+        calculateSpecularHighlight: calculateSpecularHighlight,
+        calculateSpecularBasis: calculateSpecularBasis,
+        getSpecularMatrix: getSpecularMatrix,
+        getMaximumDisplacement: getMaximumDisplacement,
+        generateMaps: generateMaps,
+        encodePNG: encodePNG,
+        encodePNGDataURL: encodePNGDataURL,
+        encodeDataURL: encodeDataURL,
+        installMapWorker: installMapWorker
+    };
+
+    // Longest step the springs integrate at once; longer frames are split up
+    var maxSubstep = 1 / 240;
+
+    // Run `step` over `dt` seconds in equal substeps no longer than maxSubstep,
+    // so a spring moves the same at 30, 60 or 120 frames per second
+    function substep(dt, step) {
+        var count = Math.max(1, Math.ceil(dt / maxSubstep));
+        for (var i = 0; i < count; i++) step(dt / count);
+    }
+
+    // Resolve a preset name or `{ stiffness, damping, mass }` over a base config
+    function resolveSpringConfig(config, base) {
+        base = base || defaultOptions.springConfig;
+        if (typeof config === 'string') {
+            if (Object.prototype.hasOwnProperty.call(Spring.presets, config)) {
+                base = Spring.presets[config];
+            } else {
+                console.warn('LiquidGlass: Unknown spring preset "' + config + '"');
+            }
+            config = null;
+        }
+        config = config || {};
+        return {
+            stiffness: config.stiffness !== undefined ? config.stiffness : base.stiffness,
+            damping: config.damping !== undefined ? config.damping : base.damping,
+            mass: config.mass !== undefined ? config.mass : (base.mass !== undefined ? base.mass : 1)
+        };
+    }
+
+    /**
+     * Simple spring physics class for animations
+     */
+    function Spring(value, stiffness, damping, mass) {
+        this.value = value;
+        this.target = value;
+        this.velocity = 0;
+        this.stiffness = stiffness || 300;
+        this.damping = damping || 20;
+        this.mass = mass || 1;
+        this.settled = true;
+
+        // Called with (value, velocity) after every update, and with the value once it comes to rest
+        this.onUpdate = null;
+        this.onSettle = null;
+    }
+
+    // Named spring configurations, accepted wherever a spring config is
+    Spring.presets = {
+        gentle: { stiffness: 120, damping: 14 },
+        snappy: { stiffness: 500, damping: 35 },
+        bouncy: { stiffness: 300, damping: 10 },
+        critical: { stiffness: 300, damping: 2 * Math.sqrt(300) }
+    };
+
+    Spring.prototype.setTarget = function (target) {
+        if (target !== this.target) this.settled = false;
+        this.target = target;
+    };
+
+    // Change the stiffness, damping and mass from a preset name or `{ stiffness, damping, mass }`
+    Spring.prototype.configure = function (config) {
+        var resolved = resolveSpringConfig(config, this);
+        this.stiffness = resolved.stiffness;
+        this.damping = resolved.damping;
+        this.mass = resolved.mass;
+        return this;
+    };
+
+    // Advance by `dt` seconds of elapsed time
+    Spring.prototype.update = function (dt) {
+        var self = this;
+        substep(dt, function (h) {
+            var force = (self.target - self.value) * self.stiffness - self.velocity * self.damping;
+            self.velocity += (force / self.mass) * h;
+            self.value += self.velocity * h;
+        });
+        this._notify();
+        return this.value;
+    };
+
+    // Skip straight to the target, for reduced motion
+    Spring.prototype.jump = function () {
+        this.value = this.target;
+        this.velocity = 0;
+        this._notify();
+        return this.value;
+    };
+
+    Spring.prototype.isSettled = function () {
+        return Math.abs(this.target - this.value) < 0.001 && Math.abs(this.velocity) < 0.001;
+    };
+
+    Spring.prototype._notify = function () {
+        if (this.onUpdate) this.onUpdate(this.value, this.velocity);
+
+        // Once per target, even if the spring hovers around the threshold
+        if (!this.settled && this.isSettled()) {
+            this.settled = true;
+            if (this.onSettle) this.onSettle(this.value);
+        }
+    };
+
+    /**
+     * Spring for a point. It pulls straight at the target and settles on the
+     * distance, so a diagonal move does not finish one axis before the other.
+     */
+    function Spring2D(x, y, stiffness, damping, mass) {
+        this.x = x || 0;
+        this.y = y || 0;
+        this.targetX = this.x;
+        this.targetY = this.y;
+        this.velocityX = 0;
+        this.velocityY = 0;
+        this.stiffness = stiffness || 300;
+        this.damping = damping || 20;
+        this.mass = mass || 1;
+        this.settled = true;
+
+        // Called with ({ x, y }, { x, y } velocity) after every update, and with the point once it comes to rest
+        this.onUpdate = null;
+        this.onSettle = null;
+    }
+
+    Spring2D.prototype.setTarget = function (x, y) {
+        if (x !== this.targetX || y !== this.targetY) this.settled = false;
+        this.targetX = x;
+        this.targetY = y;
+    };
+
+    // Place the spring at rest, or moving with a velocity
+    Spring2D.prototype.reset = function (x, y, velocityX, velocityY) {
+        this.x = x;
+        this.y = y;
+        this.velocityX = velocityX || 0;
+        this.velocityY = velocityY || 0;
+        this.settled = this.isSettled();
+    };
+
+    Spring2D.prototype.configure = Spring.prototype.configure;
+
+    // Advance by `dt` seconds of elapsed time; returns the point
+    Spring2D.prototype.update = function (dt) {
+        var self = this;
+        substep(dt, function (h) {
+            var forceX = (self.targetX - self.x) * self.stiffness - self.velocityX * self.damping;
+            var forceY = (self.targetY - self.y) * self.stiffness - self.velocityY * self.damping;
+            self.velocityX += (forceX / self.mass) * h;
+            self.velocityY += (forceY / self.mass) * h;
+            self.x += self.velocityX * h;
+            self.y += self.velocityY * h;
+        });
+        this._notify();
+        return { x: this.x, y: this.y };
+    };
+
+    Spring2D.prototype.jump = function () {
+        this.reset(this.targetX, this.targetY);
+        this._notify();
+        return { x: this.x, y: this.y };
+    };
+
+    Spring2D.prototype.isSettled = function () {
+        return Math.sqrt(Math.pow(this.targetX - this.x, 2) + Math.pow(this.targetY - this.y, 2)) < 0.001 &&
+            Math.sqrt(this.velocityX * this.velocityX + this.velocityY * this.velocityY) < 0.001;
+    };
+
+    Spring2D.prototype._notify = function () {
+        if (this.onUpdate) this.onUpdate({ x: this.x, y: this.y }, { x: this.velocityX, y: this.velocityY });
+
+        if (!this.settled && this.isSettled()) {
+            this.settled = true;
+            if (this.onSettle) this.onSettle({ x: this.x, y: this.y });
+        }
+    };
+
+    // Unique ID counter for filter elements
+    var instanceCounter = 0;
+
+    // Surfaces built from inline functions and descriptions, resolved once
+    var resolvedSurfaces = new WeakMap();
+    var resolvedSurfaceStrings = new Map();
+    var surfaceCounter = 0;
+
+    function checkSurface(fn, label) {
+        var result = validateSurface(fn);
+
+        if (result.errors.length > 0) {
+            console.error('LiquidGlass: Invalid surface ' + label + ': ' + result.errors.join('; '));
+            return false;
+        }
+        if (result.warnings.length > 0) {
+            console.warn('LiquidGlass: Surface ' + label + ': ' + result.warnings.join('; '));
+        }
+        return true;
+    }
+
+    // Resolve a surfaceType option to a surface function and a stable cache key
+    function resolveSurface(surfaceType) {
+        if (typeof surfaceType === 'string' && Object.prototype.hasOwnProperty.call(SurfaceEquations, surfaceType)) {
+            return { fn: SurfaceEquations[surfaceType], key: surfaceType };
+        }
+
+        var isObject = surfaceType !== null && (typeof surfaceType === 'object' || typeof surfaceType === 'function');
+        if (!isObject && typeof surfaceType !== 'string') return null;
+
+        var memo = isObject ? resolvedSurfaces : resolvedSurfaceStrings;
+        if (memo.has(surfaceType)) return memo.get(surfaceType);
+
+        var fn = createSurface(surfaceType);
+        if (!fn) return null;
+
+        var key = surfaceType;
+        if (typeof surfaceType === 'function') key = 'fn#' + (++surfaceCounter);
+        else if (isObject) key = JSON.stringify(surfaceType);
+
+        var resolved = checkSurface(fn, 'surfaceType') ? { fn: fn, key: key } : null;
+        memo.set(surfaceType, resolved);
+        return resolved;
+    }
+
+    /**
+     * Shared ResizeObserver - one observer for every instance, so a layout
+     * change that resizes many glass elements is delivered in a single batch
+     */
+    function ResizeWatcher() {
+        this.observer = null;
+        this.instances = new Map();
+    }
+
+    ResizeWatcher.prototype.observe = function (instance) {
+        var self = this;
+        if (typeof ResizeObserver === 'undefined') return false;
+
+        if (!this.observer) {
+            this.observer = new ResizeObserver(function (entries) { self._onResize(entries); });
+        }
+
+        this.instances.set(instance.element, instance);
+        this.observer.observe(instance.element);
+        return true;
+    };
+
+    ResizeWatcher.prototype.unobserve = function (instance) {
+        if (!this.observer || !this.instances.has(instance.element)) return;
+
+        this.observer.unobserve(instance.element);
+        this.instances.delete(instance.element);
+
+        if (this.instances.size === 0) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+    };
+
+    ResizeWatcher.prototype._onResize = function (entries) {
+        for (var i = 0; i < entries.length; i++) {
+            var entry = entries[i];
+            var instance = this.instances.get(entry.target);
+            if (!instance) continue;
+
+            // borderBoxSize ignores the spring scale transform
+            var box = entry.borderBoxSize && entry.borderBoxSize[0];
+            var width = box ? box.inlineSize : entry.target.offsetWidth;
+            var height = box ? box.blockSize : entry.target.offsetHeight;
+
+            instance._queueResize(width, height);
+        }
+    };
+
+    var resizeWatcher = new ResizeWatcher();
+
+    /**
+     * Shared pointer tracking - one document listener for every instance
+     * whose light follows the pointer
+     */
+    function PointerWatcher() {
+        var self = this;
+        this.instances = new Set();
+        this._onPointerMove = function (e) { self._handlePointerMove(e); };
+    }
+
+    PointerWatcher.prototype.observe = function (instance) {
+        if (this.instances.size === 0) {
+            document.addEventListener('pointermove', this._onPointerMove, { passive: true });
+        }
+        this.instances.add(instance);
+    };
+
+    PointerWatcher.prototype.unobserve = function (instance) {
+        if (!this.instances.delete(instance)) return;
+
+        if (this.instances.size === 0) {
+            document.removeEventListener('pointermove', this._onPointerMove);
+        }
+    };
+
+    PointerWatcher.prototype._handlePointerMove = function (e) {
+        this.instances.forEach(function (instance) {
+            instance._aimLight(e.clientX, e.clientY);
+        });
+    };
+
+    var pointerWatcher = new PointerWatcher();
+
+    /**
+     * Shared device orientation - one `deviceorientation` listener for every
+     * instance with `motion` enabled. Tilt is reported in screen coordinates,
+     * in degrees away from a neutral pose that slowly follows the user's grip.
+     */
+    function MotionWatcher() {
+        var self = this;
+        this.instances = new Set();
+        this.listening = false;
+        this.permission = 'unknown';
+        this.neutral = null;
+        this._onOrientation = function (e) { self._handleOrientation(e); };
+        this._onGesture = function () { self._handleGesture(); };
+    }
+
+    MotionWatcher.prototype.observe = function (instance) {
+        this.instances.add(instance);
+        this._listen();
+    };
+
+    MotionWatcher.prototype.unobserve = function (instance) {
+        if (!this.instances.delete(instance)) return;
+        if (this.instances.size === 0) this._stop();
+    };
+
+    // iOS 13+ only reports orientation after a permission prompt triggered from a user gesture
+    MotionWatcher.prototype.requestPermission = function () {
+        var self = this;
+
+        if (!this._needsPermission()) {
+            this.permission = 'granted';
+            this._listen();
+            return Promise.resolve(true);
+        }
+
+        return DeviceOrientationEvent.requestPermission().then(
+            function (state) {
+                self.permission = state === 'granted' ? 'granted' : 'denied';
+                self._listen();
+                return self.permission === 'granted';
+            },
+            // Rejected outside a user gesture; try again on the next one
+            function () {
+                self._listen();
+                return false;
+            }
+        );
+    };
+
+    MotionWatcher.prototype._needsPermission = function () {
+        return (
+            this.permission !== 'granted' &&
+            typeof DeviceOrientationEvent !== 'undefined' &&
+            typeof DeviceOrientationEvent.requestPermission === 'function'
+        );
+    };
+
+    MotionWatcher.prototype._listen = function () {
+        if (this.listening || this.instances.size === 0 || this.permission === 'denied') return;
+
+        if (this._needsPermission()) {
+            document.addEventListener('click', this._onGesture);
+            document.addEventListener('touchend', this._onGesture);
+            return;
+        }
+
+        window.addEventListener('deviceorientation', this._onOrientation);
+        this.listening = true;
+    };
+
+    MotionWatcher.prototype._stop = function () {
+        document.removeEventListener('click', this._onGesture);
+        document.removeEventListener('touchend', this._onGesture);
+        window.removeEventListener('deviceorientation', this._onOrientation);
+        this.listening = false;
+        this.neutral = null;
+    };
+
+    MotionWatcher.prototype._handleGesture = function () {
+        document.removeEventListener('click', this._onGesture);
+        document.removeEventListener('touchend', this._onGesture);
+        this.requestPermission();
+    };
+
+    MotionWatcher.prototype._handleOrientation = function (e) {
+        if (typeof e.beta !== 'number' || typeof e.gamma !== 'number') return;
+
+        if (!this.neutral) {
+            this.neutral = { beta: e.beta, gamma: e.gamma };
+        }
+
+        // beta wraps at +-180 when the device is turned over
+        var wrap = function (degrees) { return ((((degrees + 180) % 360) + 360) % 360) - 180; };
+        var deviceX = wrap(e.gamma - this.neutral.gamma);
+        var deviceY = wrap(e.beta - this.neutral.beta);
+
+        // Drift the neutral pose toward the current one so a new grip recentres
+        this.neutral.gamma += deviceX * 0.01;
+        this.neutral.beta += deviceY * 0.01;
+
+        // Rotate device axes into screen axes for landscape
+        var orientation = window.screen && window.screen.orientation;
+        var screenAngle = orientation ? orientation.angle : (window.orientation || 0);
+        screenAngle = (screenAngle * Math.PI) / 180;
+        var x = deviceX * Math.cos(screenAngle) + deviceY * Math.sin(screenAngle);
+        var y = -deviceX * Math.sin(screenAngle) + deviceY * Math.cos(screenAngle);
+
+        this.instances.forEach(function (instance) {
+            instance._tilt(x, y);
+        });
+    };
+
+    var motionWatcher = new MotionWatcher();
+
+    // Media queries behind the `reducedMotion`, `reducedTransparency` and `forcedColors` options
+    var preferenceQueries = {
+        reducedMotion: '(prefers-reduced-motion: reduce)',
+        reducedTransparency: '(prefers-reduced-transparency: reduce)',
+        forcedColors: '(forced-colors: active)'
+    };
+
+    /**
+     * Shared accessibility preferences - one listener per media query for
+     * every instance, so changing an OS setting updates all glass live
+     */
+    function PreferenceWatcher() {
+        var self = this;
+        this.instances = new Set();
+        this.queries = {};
+        this.listening = false;
+        this._onChange = function () { self._handleChange(); };
+    }
+
+    PreferenceWatcher.prototype.observe = function (instance) {
+        this.instances.add(instance);
+        this._listen();
+    };
+
+    PreferenceWatcher.prototype.unobserve = function (instance) {
+        if (!this.instances.delete(instance)) return;
+        if (this.instances.size === 0) this._stop();
+    };
+
+    // Whether the user currently has the preference set; `name` is a key of preferenceQueries
+    PreferenceWatcher.prototype.matches = function (name) {
+        var query = this._getQuery(name);
+        return query ? query.matches : false;
+    };
+
+    PreferenceWatcher.prototype._getQuery = function (name) {
+        if (typeof window.matchMedia !== 'function') return null;
+        if (!this.queries[name]) {
+            this.queries[name] = window.matchMedia(preferenceQueries[name]);
+        }
+        return this.queries[name];
+    };
+
+    PreferenceWatcher.prototype._listen = function () {
+        if (this.listening || this.instances.size === 0) return;
+
+        for (var name in preferenceQueries) {
+            var query = this._getQuery(name);
+            if (!query) return;
+
+            // Safari before 14 only has the older listener API
+            if (query.addEventListener) query.addEventListener('change', this._onChange);
+            else query.addListener(this._onChange);
+        }
+        this.listening = true;
+    };
+
+    PreferenceWatcher.prototype._stop = function () {
+        for (var name in this.queries) {
+            var query = this.queries[name];
+            if (query.removeEventListener) query.removeEventListener('change', this._onChange);
+            else query.removeListener(this._onChange);
+        }
+        this.listening = false;
+    };
+
+    PreferenceWatcher.prototype._handleChange = function () {
+        this.instances.forEach(function (instance) {
+            instance._updatePreferences();
+        });
+    };
+
+    var preferenceWatcher = new PreferenceWatcher();
+
+    /**
+     * Shared visibility tracking - one IntersectionObserver and one
+     * `visibilitychange` listener for every instance that suspends while unseen
+     */
+    function VisibilityWatcher() {
+        var self = this;
+        this.observer = null;
+        this.instances = new Map();
+        this.offscreen = new Set();
+        this._onVisibilityChange = function () { self._handleVisibilityChange(); };
+    }
+
+    VisibilityWatcher.prototype.observe = function (instance) {
+        var self = this;
+        if (this.instances.size === 0) {
+            document.addEventListener('visibilitychange', this._onVisibilityChange);
+        }
+
+        // A margin resumes the glass just before it scrolls into view
+        if (!this.observer && typeof IntersectionObserver !== 'undefined') {
+            this.observer = new IntersectionObserver(function (entries) { self._onIntersect(entries); }, { rootMargin: '100px' });
+        }
+
+        this.instances.set(instance.element, instance);
+        if (this.observer) this.observer.observe(instance.element);
+    };
+
+    VisibilityWatcher.prototype.unobserve = function (instance) {
+        if (!this.instances.has(instance.element)) return;
+
+        if (this.observer) this.observer.unobserve(instance.element);
+        this.instances.delete(instance.element);
+        this.offscreen.delete(instance);
+
+        if (this.instances.size === 0) {
+            document.removeEventListener('visibilitychange', this._onVisibilityChange);
+            if (this.observer) this.observer.disconnect();
+            this.observer = null;
+        }
+    };
+
+    // 'hidden' in a background tab, 'offscreen' when scrolled out of view, or null when it can be seen
+    VisibilityWatcher.prototype.reason = function (instance) {
+        if (document.hidden) return 'hidden';
+        return this.offscreen.has(instance) ? 'offscreen' : null;
+    };
+
+    VisibilityWatcher.prototype._onIntersect = function (entries) {
+        for (var i = 0; i < entries.length; i++) {
+            var entry = entries[i];
+            var instance = this.instances.get(entry.target);
+            if (!instance) continue;
+
+            if (entry.isIntersecting) this.offscreen.delete(instance);
+            else this.offscreen.add(instance);
+            instance._updateSuspended();
+        }
+    };
+
+    VisibilityWatcher.prototype._handleVisibilityChange = function () {
+        this.instances.forEach(function (instance) {
+            instance._updateSuspended();
+        });
+    };
+
+    var visibilityWatcher = new VisibilityWatcher();
+
+    /**
+     * Shared live region - one visually hidden status element that reads out
+     * keyboard moves for every instance. It lives on the body rather than in
+     * the glass so the fallback clone never copies it.
+     */
+    function Announcer() {
+        this.region = null;
+    }
+
+    Announcer.prototype.announce = function (message) {
+        if (!message) return;
+
+        if (!this.region || !this.region.isConnected) {
+            this.region = document.createElement('div');
+            this.region.className = 'lg-live-region';
+            this.region.setAttribute('role', 'status');
+            this.region.setAttribute('aria-live', 'polite');
+            this.region.setAttribute('aria-atomic', 'true');
+            this.region.style.cssText =
+                'position: absolute; width: 1px; height: 1px; margin: -1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;';
+            document.body.appendChild(this.region);
+        }
+
+        this.region.textContent = message;
+    };
+
+    var announcer = new Announcer();
+
+    // URL of this script, so the map worker can load the same build
+    var scriptUrl = typeof document !== 'undefined' && document.currentScript
+        ? document.currentScript.src
+        : null;
+
+    /**
+     * Shared map worker - one Web Worker generates maps for every instance
+     * that opts in with `useWorker`
+     */
+    function MapWorker() {
+        this.worker = null;
+        this.failed = false;
+        this.jobs = new Map();
+        this.nextJobId = 0;
+    }
+
+    MapWorker.prototype.isSupported = function () {
+        return !this.failed && !!scriptUrl && typeof Worker !== 'undefined';
+    };
+
+    MapWorker.prototype.generate = function (key, params) {
+        var self = this;
+        return new Promise(function (resolve, reject) {
+            var id = ++self.nextJobId;
+            self.jobs.set(id, { resolve: resolve, reject: reject });
+
+            try {
+                self._getWorker().postMessage({ type: 'liquid-glass:generate', id: id, key: key, params: params });
+            } catch (error) {
+                self._fail(error);
+            }
+        });
+    };
+
+    MapWorker.prototype.cancel = function (key) {
+        if (this.worker) this.worker.postMessage({ type: 'liquid-glass:cancel', key: key });
+    };
+
+    MapWorker.prototype._getWorker = function () {
+        var self = this;
+        if (!this.worker) {
+            var source = 'importScripts(' + JSON.stringify(scriptUrl) + ');LiquidGlassCore.installMapWorker(self);';
+            var blobUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+            this.worker = new Worker(blobUrl);
+            this.worker.addEventListener('message', function (e) { self._onMessage(e.data); });
+            this.worker.addEventListener('error', function (e) { self._fail(e); });
+        }
+        return this.worker;
+    };
+
+    MapWorker.prototype._onMessage = function (data) {
+        var job = data ? this.jobs.get(data.id) : null;
+        if (!job) return;
+
+        this.jobs.delete(data.id);
+        if (data.error) {
+            job.reject(new Error(data.error));
+        } else {
+            job.resolve(data.result);
+        }
+    };
+
+    MapWorker.prototype._fail = function (error) {
+        if (!this.failed) {
+            console.warn('LiquidGlass: Map worker unavailable, generating maps on the main thread', error);
+        }
+
+        this.failed = true;
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+
+        this.jobs.forEach(function (job) { job.reject(error); });
+        this.jobs.clear();
+    };
+
+    var mapWorker = new MapWorker();
+
+    /**
+     * Shared LRU cache of encoded maps, keyed on geometry and optics, so
+     * elements with the same shape reuse one set of data URLs
+     */
+    function MapCache(maxBytes) {
+        this.entries = new Map();
+        this.pending = new Map();
+        this.maxBytes = maxBytes || 16 * 1024 * 1024;
+        this.bytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    MapCache.prototype.get = function (key) {
+        var entry = this.entries.get(key);
+        if (!entry) {
+            this.misses++;
+            return null;
+        }
+
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+        return entry.maps;
+    };
+
+    MapCache.prototype.set = function (key, maps) {
+        // Strings are UTF-16, two bytes per character
+        var length = maps.displacementUrl.length + maps.specularUrl.length;
+        if (maps.channelUrls) length += maps.channelUrls.r.length + maps.channelUrls.b.length;
+        var size = length * 2;
+
+        this.delete(key);
+        if (size > this.maxBytes) return;
+
+        this.entries.set(key, { maps: maps, size: size });
+        this.bytes += size;
+        this._evict();
+    };
+
+    MapCache.prototype.delete = function (key) {
+        var entry = this.entries.get(key);
+        if (!entry) return;
+
+        this.entries.delete(key);
+        this.bytes -= entry.size;
+    };
+
+    MapCache.prototype.getPending = function (key) {
+        return this.pending.get(key) || null;
+    };
+
+    MapCache.prototype.track = function (key, request) {
+        var self = this;
+        if (this.pending.get(key) === request) return;
+        this.pending.set(key, request);
+
+        function settle(maps) {
+            if (self.pending.get(key) === request) self.pending.delete(key);
+            if (maps) self.set(key, maps);
+        }
+        request.then(settle, function () { settle(null); });
+    };
+
+    MapCache.prototype.setBudget = function (maxBytes) {
+        this.maxBytes = maxBytes;
+        this._evict();
+    };
+
+    MapCache.prototype.clear = function () {
+        this.entries.clear();
+        this.pending.clear();
+        this.bytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+    };
+
+    MapCache.prototype.getStats = function () {
+        var lookups = this.hits + this.misses;
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: lookups > 0 ? this.hits / lookups : 0,
+            entries: this.entries.size,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes
+        };
+    };
+
+    MapCache.prototype._evict = function () {
+        while (this.bytes > this.maxBytes && this.entries.size > 0) {
+            this.delete(this.entries.keys().next().value);
+        }
+    };
+
+    var mapCache = new MapCache();
+
+    // Shared animation scheduler - one requestAnimationFrame for every animating
+    // instance. Each frame steps all of them first and applies their style writes
+    // together afterwards, so layout reads never interleave with writes. Events
+    // raised during a frame are delivered once the writes have landed.
+    function Scheduler() {
+        this.instances = new Set();
+        this.frameId = null;
+        this.lastTime = null;
+        this.paused = false;
+        this.clock = null;
+        this.writes = null;
+        this.deferred = null;
+    }
+
+    Scheduler.prototype.observe = function (instance) {
+        this.instances.add(instance);
+        this._request();
+    };
+
+    Scheduler.prototype.unobserve = function (instance) {
+        this.instances.delete(instance);
+        if (this.instances.size === 0) this._cancel();
+    };
+
+    Scheduler.prototype.has = function (instance) {
+        return this.instances.has(instance);
+    };
+
+    Scheduler.prototype.now = function () {
+        return this.clock && this.clock.now ? this.clock.now() : performance.now();
+    };
+
+    // `clock` is `{ now, requestFrame, cancelFrame }`, each optional; null goes back to
+    // performance.now() and requestAnimationFrame
+    Scheduler.prototype.setClock = function (clock) {
+        this._cancel();
+        this.clock = clock;
+        this.lastTime = null;
+        this._request();
+    };
+
+    Scheduler.prototype.pause = function () {
+        this.paused = true;
+        this._cancel();
+    };
+
+    Scheduler.prototype.resume = function () {
+        this.paused = false;
+        // Carry on from where it stopped rather than jumping over the pause
+        this.lastTime = null;
+        this._request();
+    };
+
+    // Step every animating instance by the time since the last frame. A long
+    // gap counts as one slow frame, so a throttled tab does not jump.
+    Scheduler.prototype.frame = function () {
+        this._cancel();
+        var now = this.now();
+        var dt = this.lastTime === null ? 1 / 60 : Math.max(0, Math.min(0.1, (now - this.lastTime) / 1000));
+        this.lastTime = now;
+
+        try {
+            this._step(dt);
+        } finally {
+            if (this.instances.size === 0) this.lastTime = null;
+            this._request();
+        }
+    };
+
+    // Step each instance, then apply the batched writes and deferred callbacks. An instance
+    // that throws is dropped until it is observed again, and a throwing callback is skipped,
+    // so neither stalls the others.
+    Scheduler.prototype._step = function (dt) {
+        var self = this;
+        var writes = this.writes = new Map();
+        var deferred = this.deferred = [];
+
+        Array.from(this.instances).forEach(function (instance) {
+            try {
+                if (!instance._stepFrame(dt)) self.instances.delete(instance);
+            } catch (error) {
+                self.instances.delete(instance);
+                console.error('LiquidGlass: Error in animation frame', error);
+            }
+        });
+
+        this.writes = null;
+        this.deferred = null;
+        writes.forEach(function (styles, element) {
+            for (var property in styles) element.style[property] = styles[property];
+        });
+        for (var i = 0; i < deferred.length; i++) {
+            try {
+                deferred[i]();
+            } catch (error) {
+                console.error('LiquidGlass: Error in animation frame', error);
+            }
+        }
+    };
+
+    // Set a style property, batched with the rest of the frame while one runs
+    Scheduler.prototype.write = function (element, property, value) {
+        if (!this.writes) {
+            element.style[property] = value;
+            return;
+        }
+        var styles = this.writes.get(element) || {};
+        styles[property] = value;
+        this.writes.set(element, styles);
+    };
+
+    // Run a callback after the current frame's writes, or now between frames
+    Scheduler.prototype.defer = function (callback) {
+        if (this.deferred) this.deferred.push(callback);
+        else callback();
+    };
+
+    Scheduler.prototype._request = function () {
+        var self = this;
+        if (this.frameId !== null || this.paused || this.instances.size === 0) return;
+        var onFrame = function () {
+            self.frameId = null;
+            self.frame();
+        };
+        this.frameId = this.clock && this.clock.requestFrame ? this.clock.requestFrame(onFrame) : requestAnimationFrame(onFrame);
+    };
+
+    Scheduler.prototype._cancel = function () {
+        if (this.frameId === null) return;
+        if (this.clock && this.clock.cancelFrame) this.clock.cancelFrame(this.frameId);
+        else if (!(this.clock && this.clock.requestFrame)) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    };
+
+    var scheduler = new Scheduler();
+
+    // Default configuration options
+    var defaultOptions = {
+        surfaceType: 'convex_squircle',
+        bezelWidth: 30,
+        glassThickness: 150,
+        refractiveIndex: 1.5,
+        dispersion: 0,
+        refractionScale: 1.5,
+        specularOpacity: 1,
+        specularThickness: 1.5,
+        fresnel: false,
+        lightAngle: 60,
+        lightIntensity: 1,
+        motion: false,
+        motionConfig: { maxTilt: 25, lightRange: 45, parallax: 3 },
+        blur: 0.5,
+        tint: null,
+        saturation: 1.3,
+        brightness: 1,
+        contrast: 1,
+        frost: 0,
+        borderRadius: 'auto',
+        shape: null,
+        applyToChildren: true,
+        draggable: false,
+        axis: null,
+        bounds: 'parent',
+        elasticity: 0.3,
+        step: null,
+        pointerTypes: ['mouse', 'pen', 'touch'],
+        keyboard: true,
+        keyboardConfig: { step: 10, largeStep: 50, announce: null },
+        momentum: false,
+        momentumConfig: { friction: 4, bounce: 0.5 },
+        snap: null,
+        snapConfig: { radius: Infinity, margin: 0 },
+        springAnimation: true,
+        useBackdropFilter: 'auto',
+        reducedMotion: 'auto',
+        reducedTransparency: 'auto',
+        forcedColors: 'auto',
+        springConfig: { stiffness: 400, damping: 25 },
+        width: 'auto',
+        height: 'auto',
+        autoResize: true,
+        resizeThrottle: 100,
+        syncContent: 'auto',
+        suspendOffscreen: true,
+        useWorker: false,
+        cache: true,
+        onDragStart: null,
+        onDrag: null,
+        onDragEnd: null,
+        onSettle: null,
+        onSnap: null
+    };
+
+    // Option callbacks called for each event, before `on` handlers and the DOM event
+    var eventCallbacks = {
+        dragstart: 'onDragStart',
+        drag: 'onDrag',
+        dragend: 'onDragEnd',
+        snap: 'onSnap',
+        settle: 'onSettle'
+    };
+
+    // Springs that lift the glass while it is held
+    var liftSprings = ['scale', 'shadowOffsetX', 'shadowOffsetY', 'shadowBlur', 'shadowAlpha', 'refractionBoost'];
+
+    // Rejection for a motion cut short by a newer motion, a drag or destroy()
+    var createAbortError = function () {
+        return new DOMException('LiquidGlass: Motion interrupted', 'AbortError');
+    };
+
+    // Colour and texture stages that sit between the displacement and the highlight
+    var appearanceOptions = ['blur', 'tint', 'saturation', 'brightness', 'contrast', 'frost'];
+
+    // Numeric options animateOptions() writes into the filter every frame
+    var tweenedOptions = ['refractionScale', 'specularOpacity', 'lightIntensity'].concat(appearanceOptions);
+
+    // Numeric options that shape the maps; a transition steps through a few of them
+    var tweenedMapOptions = ['bezelWidth', 'glassThickness', 'refractiveIndex', 'specularThickness', 'dispersion'];
+
+    // Intermediate map sets per transition, kept small so the map cache holds them
+    var mapTweenSteps = 6;
+
+    // Valid range of tweened options, [0, Infinity] unless listed; a spring's overshoot stops at the edge
+    var tweenedRanges = {
+        specularOpacity: [0, 1],
+        frost: [0, 1],
+        refractiveIndex: [1, Infinity]
+    };
+
+    function clampTweened(key, value) {
+        var range = tweenedRanges[key] || [0, Infinity];
+        return Math.max(range[0], Math.min(range[1], value));
+    }
+
+    // CSS timing keywords for `{ duration, easing }` transitions, read like named surfaces
+    var easings = {
+        linear: function (t) { return t; },
+        ease: createSurface('cubic-bezier(0.25, 0.1, 0.25, 1)'),
+        'ease-in': createSurface('cubic-bezier(0.42, 0, 1, 1)'),
+        'ease-out': createSurface('cubic-bezier(0, 0, 0.58, 1)'),
+        'ease-in-out': createSurface('cubic-bezier(0.42, 0, 0.58, 1)')
+    };
+
+    // Options applied inside the filter; changing only these skips map generation
+    var filterOnlyOptions = [
+        'lightAngle',
+        'lightIntensity',
+        'motion',
+        'motionConfig',
+        'reducedMotion',
+        'reducedTransparency',
+        'forcedColors'
+    ].concat(appearanceOptions);
+
+    /**
+     * LiquidGlass class - Apply liquid glass effect to any element
+     */
+    function LiquidGlass(element, options) {
+        var self = this;
+
+        // Get element
+        this.element = typeof element === 'string'
+            ? document.querySelector(element)
+            : element;
+
+        if (!this.element) {
+            console.error('LiquidGlass: Element not found');
+            return;
+        }
+
+        // Merge options with defaults
+        this.options = {};
+        for (var key in defaultOptions) {
+            this.options[key] = defaultOptions[key];
+        }
+        for (var key in options) {
+            this.options[key] = options[key];
+        }
+
+        // Generate unique ID for this instance
+        this.id = 'lg-' + (++instanceCounter);
+
+        // State
+        this.state = {
+            isDragging: false,
+            pointerId: null,
+            keyboardMove: false,
+            dragStart: { x: 0, y: 0 },
+            dragOffset: { x: 0, y: 0 },
+            velocityX: 0,
+            velocityY: 0,
+            lastX: 0,
+            lastY: 0,
+            lastTime: 0,
+            glide: null,
+            snap: null,
+            move: false,
+            pressed: false,
+            scaleTarget: null,
+            tween: null,
+            settlePending: false,
+            maximumDisplacement: 0
+        };
+
+        // Springs for animation. The secondary effects are softer than the
+        // glass itself, in proportion so presets keep them stable.
+        var springConfig = this._getSpringConfig();
+        var stiffness = springConfig.stiffness;
+        var damping = springConfig.damping;
+        var mass = springConfig.mass;
+        this.springs = {
+            scale: new Spring(0.85, stiffness, damping, mass),
+            scaleX: new Spring(1, stiffness, damping * 1.2, mass),
+            scaleY: new Spring(1, stiffness, damping * 1.2, mass),
+            shadowOffsetX: new Spring(0, stiffness, damping * 1.2, mass),
+            shadowOffsetY: new Spring(4, stiffness, damping * 1.2, mass),
+            shadowBlur: new Spring(12, stiffness, damping * 1.2, mass),
+            shadowAlpha: new Spring(0.15, stiffness * 0.75, damping, mass),
+            refractionBoost: new Spring(0.8, stiffness * 0.75, damping * 0.72, mass),
+            lightAngle: new Spring(
+                typeof this.options.lightAngle === 'number' ? this.options.lightAngle : defaultOptions.lightAngle,
+                stiffness * 0.5,
+                damping,
+                mass
+            ),
+            tiltX: new Spring(0, stiffness * 0.375, damping * 0.8, mass),
+            tiltY: new Spring(0, stiffness * 0.375, damping * 0.8, mass),
+            position: new Spring2D(0, 0, stiffness, damping, mass)
+        };
+
+        // Filter primitives by id suffix, looked up again once replaced
+        this.nodes = new Map();
+        this.useBackdropFilter = false;
+        this.backdropFilterSupported = false;
+
+        // Resolved accessibility preferences, see _updatePreferences
+        this.preferences = { reducedMotion: false, reducedTransparency: false, forcedColors: false };
+
+        // Set while off-screen or in a background tab, see _updateSuspended
+        this.suspended = false;
+        this.suspendedAt = 0;
+
+        // Pending size from the ResizeObserver, applied once per throttle window
+        this.resizeState = {
+            pending: null,
+            timerId: null,
+            lastRun: 0
+        };
+
+        this.contentObserver = null;
+        this.contentSyncFrameId = null;
+
+        // Accessibility attributes added for keyboard dragging
+        this.keyboardAttributes = [];
+
+        // Latest map request; older results are dropped when they arrive
+        this.mapJobId = 0;
+
+        // Handlers added with on() and once(), by event type
+        this.listeners = new Map();
+
+        // Pending animate() promises and the springs each one waits for
+        this.motions = new Set();
+
+        // Bound event handlers
+        this._onPointerDown = function (e) { self._handlePointerDown(e); };
+        this._onPointerMove = function (e) { self._handlePointerMove(e); };
+        this._onPointerUp = function (e) { self._handlePointerUp(e); };
+        this._onPointerCancel = function (e) { self._handlePointerCancel(e); };
+        this._onKeyDown = function (e) { self._handleKeyDown(e); };
+        this._onBlur = function () { self._handleBlur(); };
+        this._onResize = function () { self._handleResize(); };
+        this._onContentInput = function (e) { self._handleContentInput(e); };
+
+        // Initialize
+        this._init();
+    }
+
+    LiquidGlass.prototype._init = function () {
+        this._detectBackdropFilterSupport();
+        preferenceWatcher.observe(this);
+        this.preferences = this._resolvePreferences();
+        this._setupDOM();
+        this._updateFilter();
+        this._updateLight(true);
+        this._updateMotion();
+        this._setupEventListeners();
+        this._setupContentSync();
+
+        if (this.options.autoResize) {
+            resizeWatcher.observe(this);
+        }
+
+        if (this.options.springAnimation) {
+            this.springs.scale.value = 0.85;
+            this.springs.scale.target = 0.85;
+            this._startAnimationLoop();
+        }
+
+        this._emit('init');
+
+        // A page opened in a background tab sends no visibilitychange until shown,
+        // so check now that init has been announced
+        if (this.options.suspendOffscreen) {
+            visibilityWatcher.observe(this);
+            this._updateSuspended();
+        }
+    };
+
+    LiquidGlass.prototype._detectBackdropFilterSupport = function () {
+        var isChromium = !!window.chrome;
+        var testEl = document.createElement('div');
+        testEl.style.backdropFilter = 'url(#test)';
+        var supportsBackdropFilterUrl = testEl.style.backdropFilter.indexOf('url') !== -1;
+
+        this.backdropFilterSupported = isChromium && supportsBackdropFilterUrl;
+
+        if (this.options.useBackdropFilter === 'auto') {
+            this.useBackdropFilter = this.backdropFilterSupported;
+        } else {
+            this.useBackdropFilter = this.options.useBackdropFilter;
+        }
+    };
+
+    LiquidGlass.prototype._setupDOM = function () {
+        var el = this.element;
+
+        // Add base class
+        el.classList.add('lg-element');
+
+        // Get dimensions
+        var rect = el.getBoundingClientRect();
+        var width = this.options.width === 'auto' ? rect.width : this.options.width;
+        var height = this.options.height === 'auto' ? rect.height : this.options.height;
+
+        // Get per-corner border radii and the optional custom shape
+        var borderRadius = this.options.borderRadius;
+        var radii = this._measureBorderRadius(width, height);
+        var shape = this._resolveShape(width, height);
+
+        // Store dimensions
+        this.dimensions = { width: width, height: height, borderRadius: radii, shape: shape };
+
+        // Create content clone for fallback mode
+        this.contentClone = document.createElement('div');
+        this.contentClone.className = 'lg-content-clone';
+        this.contentClone.id = this.id + '-clone';
+        this.contentClone.setAttribute('aria-hidden', 'true');
+        this.contentClone.inert = true;
+
+        this.contentCloneInner = document.createElement('div');
+        this.contentCloneInner.className = 'lg-content-clone-inner';
+        this.contentCloneInner.id = this.id + '-clone-inner';
+
+        if (this._clonesContent()) {
+            this._cloneContent();
+        }
+
+        this.contentClone.appendChild(this.contentCloneInner);
+
+        // Create SVG filter
+        this._createSVGFilter(width, height, radii);
+        this._updateClipPath();
+
+        // Create inner element for shadows
+        this.innerElement = document.createElement('div');
+        this.innerElement.className = 'lg-inner';
+        this.innerElement.id = this.id + '-inner';
+
+        // Insert elements
+        el.insertBefore(this.contentClone, el.firstChild);
+        el.insertBefore(this.filterSvg, el.firstChild);
+        el.appendChild(this.innerElement);
+
+        // Apply filter
+        if (this.useBackdropFilter) {
+            el.classList.add('lg-use-backdrop-filter');
+        }
+        this._applyFilterStyle();
+
+        // Apply styles
+        if (this.options.width !== 'auto') {
+            el.style.width = width + 'px';
+        }
+        if (this.options.height !== 'auto') {
+            el.style.height = height + 'px';
+        }
+        if (borderRadius !== 'auto' && borderRadius) {
+            el.style.borderRadius = typeof borderRadius === 'number' ? borderRadius + 'px' : borderRadius;
+        }
+
+        // Initial position update
+        this._updateContentClonePosition();
+    };
+
+    LiquidGlass.prototype._measureBorderRadius = function (width, height) {
+        var borderRadius = this.options.borderRadius;
+
+        if (borderRadius === 'auto') {
+            // Longhands keep each corner's horizontal and vertical radius
+            var style = getComputedStyle(this.element);
+            var longhands = [
+                style.borderTopLeftRadius,
+                style.borderTopRightRadius,
+                style.borderBottomRightRadius,
+                style.borderBottomLeftRadius
+            ];
+
+            if (longhands.some(Boolean)) {
+                var corners = longhands.map(function (value) {
+                    return (value || '0').replace(/^\s+|\s+$/g, '').split(/\s+/);
+                });
+                borderRadius = corners.map(function (c) { return c[0]; }).join(' ') + ' / ' +
+                    corners.map(function (c) { return c[1] !== undefined ? c[1] : c[0]; }).join(' ');
+            } else {
+                borderRadius = style.borderRadius || '0';
+            }
+        }
+
+        return parseBorderRadius(borderRadius, width, height);
+    };
+
+    LiquidGlass.prototype._resolveShape = function (width, height) {
+        var shape = this.options.shape;
+        if (!shape) return null;
+
+        if (typeof shape === 'string') {
+            var clipPath = parseClipPath(shape, width, height);
+            if (clipPath) return { path: clipPath.path, viewBox: null, fillRule: clipPath.fillRule };
+            if (/^\s*[Mm]/.test(shape)) return { path: shape.replace(/^\s+|\s+$/g, ''), viewBox: null, fillRule: 'nonzero' };
+        } else if (shape instanceof Element) {
+            // A <path>, or an <svg> whose paths are merged; the viewBox is stretched to the element
+            var isPath = shape.tagName.toLowerCase() === 'path';
+            var paths = isPath ? [shape] : Array.prototype.slice.call(shape.querySelectorAll('path'));
+            var svg = isPath ? shape.closest('svg') : shape;
+            var viewBoxAttr = svg && svg.getAttribute('viewBox');
+            var viewBox = viewBoxAttr ? viewBoxAttr.replace(/^\s+|\s+$/g, '').split(/[\s,]+/).map(Number) : null;
+
+            return {
+                path: paths.map(function (path) { return path.getAttribute('d') || ''; }).join(' '),
+                viewBox: viewBox && viewBox.length === 4 && viewBox.every(isFinite) ? viewBox : null,
+                fillRule: paths[0] && paths[0].getAttribute('fill-rule') === 'evenodd' ? 'evenodd' : 'nonzero'
+            };
+        } else if (typeof shape.path === 'string') {
+            return {
+                path: shape.path,
+                viewBox: shape.viewBox || null,
+                fillRule: shape.fillRule || 'nonzero'
+            };
+        }
+
+        console.warn('LiquidGlass: Unsupported shape, using the border radius instead:', shape);
+        return null;
+    };
+
+    LiquidGlass.prototype._measureGeometry = function () {
+        var dimensions = this.dimensions;
+        dimensions.borderRadius = this._measureBorderRadius(dimensions.width, dimensions.height);
+        dimensions.shape = this._resolveShape(dimensions.width, dimensions.height);
+        this._updateClipPath();
+    };
+
+    // Custom shapes also clip the element itself
+    LiquidGlass.prototype._updateClipPath = function () {
+        var dimensions = this.dimensions;
+        var shape = dimensions.shape;
+        var clipPath = this.filterSvg.querySelector('clipPath path');
+        var isOwnClip = this.element.style.clipPath.indexOf('#' + this.id + '-clip') !== -1;
+
+        if (shape) {
+            var t = getViewBoxTransform(shape.viewBox, dimensions.width, dimensions.height);
+            clipPath.setAttribute('d', shape.path);
+            clipPath.setAttribute('clip-rule', shape.fillRule);
+            clipPath.setAttribute('transform', 'matrix(' + t.scaleX + ' 0 0 ' + t.scaleY + ' ' + t.translateX + ' ' + t.translateY + ')');
+            this.element.style.clipPath = 'url(#' + this.id + '-clip)';
+        } else {
+            clipPath.setAttribute('d', roundedRectPath(dimensions.width, dimensions.height, dimensions.borderRadius));
+            clipPath.removeAttribute('clip-rule');
+            clipPath.removeAttribute('transform');
+            if (isOwnClip) this.element.style.clipPath = '';
+        }
+    };
+
+    LiquidGlass.prototype._createSVGFilter = function (width, height, radii) {
+        var svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('class', 'lg-filter-svg');
+        svg.setAttribute('id', this.id + '-svg');
+        svg.style.cssText = 'width: 0; height: 0; position: absolute; pointer-events: none;';
+
+        // With dispersion each channel is displaced by its own map, isolated,
+        // and screened back together; without it the graph is a single pass
+        var id = this.id;
+        this.dispersed = this._getChannelIndices() !== null;
+        var channelImage = function (channel) {
+            return '<feImage id="' + id + '-displacement-image-' + channel + '" href="" x="0" y="0" width="' + width + '" height="' + height + '" result="displacement_map_' + channel + '" preserveAspectRatio="none"/>';
+        };
+        var channelPass = function (channel) {
+            return '<feDisplacementMap id="' + id + '-displacement-map-' + channel + '" in="shifted" in2="displacement_map_' + channel + '" scale="50" xChannelSelector="R" yChannelSelector="G" result="displaced_' + channel + '_all"/>';
+        };
+        var isolate = function (channel, values) {
+            return '<feColorMatrix in="displaced_' + channel + '_all" type="matrix" values="' + values + '" result="displaced_' + channel + '"/>';
+        };
+        var channelImages = this.dispersed ? channelImage('r') + channelImage('b') : '';
+        var channelPasses = this.dispersed
+            ? channelPass('r') + channelPass('b') +
+                isolate('r', '1 0 0 0 0  0 0 0 0 0  0 0 0 0 0  0 0 0 1 0') +
+                isolate('g', '0 0 0 0 0  0 1 0 0 0  0 0 0 0 0  0 0 0 1 0') +
+                isolate('b', '0 0 0 0 0  0 0 0 0 0  0 0 1 0 0  0 0 0 1 0') +
+                '<feBlend in="displaced_r" in2="displaced_g" mode="screen" result="displaced_rg"/>' +
+                '<feBlend in="displaced_b" in2="displaced_rg" mode="screen" result="displaced"/>'
+            : '';
+
+        // Noise is costly to render, so the frost stages exist only while used
+        this.frosted = this._needsFrost();
+        var appearance = this._getAppearance();
+        var frostStages = this.frosted
+            ? '<feTurbulence type="fractalNoise" baseFrequency="0.9" numOctaves="3" seed="7" stitchTiles="stitch" result="noise"/>' +
+                '<feColorMatrix id="' + id + '-frost" in="noise" type="matrix" values="' + appearance.grain + '" result="grain"/>' +
+                '<feComposite in="grain" in2="tinted" operator="atop" result="frosted"/>'
+            : '';
+
+        svg.innerHTML = '\
+      <defs>\
+        <filter id="' + this.id + '-filter" x="-50%" y="-50%" width="200%" height="200%" color-interpolation-filters="sRGB">\
+          <feGaussianBlur id="' + this.id + '-blur" in="SourceGraphic" stdDeviation="' + appearance.blur + '" result="blurred"/>\
+          <feImage id="' + this.id + '-displacement-image" href="" x="0" y="0" width="' + width + '" height="' + height + '" result="displacement_map" preserveAspectRatio="none"/>' + channelImages + '\
+          <feOffset id="' + this.id + '-parallax" in="blurred" dx="0" dy="0" result="shifted"/>\
+          <feDisplacementMap id="' + this.id + '-displacement-map" in="shifted" in2="displacement_map" scale="50" xChannelSelector="R" yChannelSelector="G" result="' + (this.dispersed ? 'displaced_g_all' : 'displaced') + '"/>' + channelPasses + '\
+          <feColorMatrix id="' + this.id + '-saturation" in="displaced" type="saturate" values="' + appearance.saturation + '" result="saturated"/>\
+          <feComponentTransfer id="' + this.id + '-tone" in="saturated" result="toned">\
+            <feFuncR type="linear" slope="' + appearance.slope + '" intercept="' + appearance.intercept + '"/>\
+            <feFuncG type="linear" slope="' + appearance.slope + '" intercept="' + appearance.intercept + '"/>\
+            <feFuncB type="linear" slope="' + appearance.slope + '" intercept="' + appearance.intercept + '"/>\
+          </feComponentTransfer>\
+          <feFlood id="' + this.id + '-tint" flood-color="' + appearance.tintColor + '" flood-opacity="' + appearance.tintOpacity + '" result="tint_layer"/>\
+          <feComposite in="tint_layer" in2="toned" operator="atop" result="tinted"/>' + frostStages + '\
+          <feImage id="' + this.id + '-specular-image" href="" x="0" y="0" width="' + width + '" height="' + height + '" result="specular_layer" preserveAspectRatio="none"/>\
+          <feColorMatrix id="' + this.id + '-specular-matrix" in="specular_layer" type="matrix" values="' + getSpecularMatrix((this.springs.lightAngle.value * Math.PI) / 180, this.options.lightIntensity) + '" result="specular_lit"/>\
+          <feComponentTransfer in="specular_lit" result="specular_faded">\
+            <feFuncR type="gamma" exponent="0.5"/>\
+            <feFuncG type="gamma" exponent="0.5"/>\
+            <feFuncB type="gamma" exponent="0.5"/>\
+            <feFuncA id="' + this.id + '-specular-alpha" type="linear" slope="' + this.options.specularOpacity + '"/>\
+          </feComponentTransfer>\
+          <feBlend in="specular_faded" in2="' + (this.frosted ? 'frosted' : 'tinted') + '" mode="screen"/>\
+        </filter>\
+        <clipPath id="' + this.id + '-clip">\
+          <path d="' + roundedRectPath(width, height, radii) + '"/>\
+        </clipPath>\
+      </defs>';
+
+        this.filterSvg = svg;
+    };
+
+    // Whether the filter needs its frost stages: while frost is above 0, or for the whole
+    // of a transition that passes through it
+    LiquidGlass.prototype._needsFrost = function () {
+        return this.options.frost > 0 || !!(this.state.tween && this.state.tween.frosted);
+    };
+
+    // Replace the filter when dispersion or frost switches on or off, keeping the maps already on screen
+    LiquidGlass.prototype._rebuildFilter = function () {
+        var dimensions = this.dimensions;
+        var previous = this.filterSvg;
+
+        this._createSVGFilter(dimensions.width, dimensions.height, dimensions.borderRadius);
+        previous.parentNode.replaceChild(this.filterSvg, previous);
+        this._updateClipPath();
+        this._renderMotion();
+        if (this.appliedMaps) this._applyMaps(this.appliedMaps);
+    };
+
+    // Attribute values for the colour and texture stages
+    LiquidGlass.prototype._getAppearance = function () {
+        var options = this.options;
+        var tint = typeof options.tint === 'string' ? { color: options.tint } : options.tint || { strength: 0 };
+        var strength = tint.strength === undefined ? 0.25 : tint.strength;
+        var grain = Math.max(0, Math.min(1, options.frost));
+
+        // brightness() then contrast(), as in CSS filters
+        return {
+            blur: options.blur,
+            saturation: options.saturation,
+            slope: options.brightness * options.contrast,
+            intercept: 0.5 - 0.5 * options.contrast,
+            tintColor: tint.color === undefined ? '#ffffff' : tint.color,
+            tintOpacity: Math.max(0, Math.min(1, strength)),
+            grain: '1 0 0 0 0  1 0 0 0 0  1 0 0 0 0  0 0 0 0 ' + grain
+        };
+    };
+
+    // Apply blur, tint, saturation, brightness, contrast and frost to the existing filter
+    LiquidGlass.prototype._updateAppearance = function () {
+        var appearance = this._getAppearance();
+
+        var blur = this._node('blur');
+        var saturation = this._node('saturation');
+        var tone = this._node('tone');
+        var tint = this._node('tint');
+        var frost = this._node('frost');
+
+        if (blur) blur.setAttribute('stdDeviation', appearance.blur);
+        if (saturation) saturation.setAttribute('values', appearance.saturation);
+        if (tone) {
+            for (var i = 0; i < tone.children.length; i++) {
+                tone.children[i].setAttribute('slope', appearance.slope);
+                tone.children[i].setAttribute('intercept', appearance.intercept);
+            }
+        }
+        if (tint) {
+            tint.setAttribute('flood-color', appearance.tintColor);
+            tint.setAttribute('flood-opacity', appearance.tintOpacity);
+        }
+        if (frost) frost.setAttribute('values', appearance.grain);
+    };
+
+    LiquidGlass.prototype._imageDataToDataURL = function (imageData) {
+        var canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        var ctx = canvas.getContext('2d');
+        ctx.putImageData(new ImageData(imageData.data, imageData.width, imageData.height), 0, 0);
+        return canvas.toDataURL();
+    };
+
+    LiquidGlass.prototype._getMapParams = function () {
+        var dimensions = this.dimensions;
+        var options = this.options;
+        var surface = this._getSurface();
+        var indices = this._getChannelIndices();
+        var fresnel = this._getFresnel();
+        var profile = function (index) {
+            return calculateDisplacementMap1D(options.glassThickness, options.bezelWidth, surface.fn, index);
+        };
+
+        // The 1D profiles are cheap and need the surface function, so they are always computed here
+        return {
+            width: dimensions.width,
+            height: dimensions.height,
+            borderRadius: dimensions.borderRadius,
+            shape: dimensions.shape,
+            bezelWidth: options.bezelWidth,
+            specularBasis: true,
+            precomputedMap: profile(indices ? indices.g : options.refractiveIndex),
+            precomputedChannels: indices ? { r: profile(indices.r), b: profile(indices.b) } : null,
+            specularThickness: options.specularThickness,
+            fresnel: fresnel && {
+                thickness: fresnel.thickness,
+                falloff: fresnel.falloff,
+                innerRim: fresnel.innerRim,
+                profile: calculateFresnelProfile(surface.fn, indices ? indices.g : options.refractiveIndex, fresnel.falloff)
+            }
+        };
+    };
+
+    // Resolved fresnel option, or null for the plain rim
+    LiquidGlass.prototype._getFresnel = function () {
+        var fresnel = this.options.fresnel;
+        if (!fresnel) return null;
+        if (fresnel === true) fresnel = {};
+
+        return {
+            thickness: fresnel.thickness === undefined ? this.options.bezelWidth : fresnel.thickness,
+            falloff: fresnel.falloff === undefined ? 5 : fresnel.falloff,
+            innerRim: fresnel.innerRim === undefined ? 0 : fresnel.innerRim
+        };
+    };
+
+    // Refractive index per colour channel, or null without dispersion
+    LiquidGlass.prototype._getChannelIndices = function () {
+        return getChannelIndices(this.options.refractiveIndex, this.options.dispersion);
+    };
+
+    LiquidGlass.prototype._generateMapsSync = function (params) {
+        var maps = generateMaps(params);
+
+        return {
+            displacementUrl: this._imageDataToDataURL(maps.displacement),
+            specularUrl: this._imageDataToDataURL(maps.specular),
+            channelUrls: maps.channels
+                ? { r: this._imageDataToDataURL(maps.channels.r), b: this._imageDataToDataURL(maps.channels.b) }
+                : null,
+            maximumDisplacement: maps.maximumDisplacement
+        };
+    };
+
+    // Resolve the configured surface, falling back to the default profile
+    LiquidGlass.prototype._getSurface = function () {
+        var surface = resolveSurface(this.options.surfaceType);
+        if (surface) return surface;
+
+        if (this.invalidSurfaceType !== this.options.surfaceType) {
+            this.invalidSurfaceType = this.options.surfaceType;
+            if (typeof this.options.surfaceType === 'string') {
+                console.error('LiquidGlass: Unknown surfaceType "' + this.options.surfaceType + '", using "' + defaultOptions.surfaceType + '"');
+            }
+        }
+        return resolveSurface(defaultOptions.surfaceType);
+    };
+
+    LiquidGlass.prototype._getMapCacheKey = function () {
+        var dimensions = this.dimensions;
+        var options = this.options;
+
+        var shape = dimensions.shape;
+        var indices = this._getChannelIndices();
+        var fresnel = this._getFresnel();
+
+        // A custom shape replaces the radii
+        var outline = shape
+            ? shape.fillRule + ' ' + (shape.viewBox ? shape.viewBox.join(',') : '') + ' ' + shape.path
+            : CORNERS.map(function (corner) {
+                var radius = dimensions.borderRadius[corner];
+                return radius.x.toFixed(2) + ',' + radius.y.toFixed(2);
+            }).join(' ');
+
+        return [
+            Math.max(1, Math.floor(dimensions.width)),
+            Math.max(1, Math.floor(dimensions.height)),
+            outline,
+            this._getSurface().key,
+            options.bezelWidth,
+            options.glassThickness,
+            options.refractiveIndex,
+            indices ? indices.r + ',' + indices.g + ',' + indices.b : '',
+            options.specularThickness,
+            fresnel ? fresnel.thickness + ',' + fresnel.falloff + ',' + fresnel.innerRim : ''
+        ].join('|');
+    };
+
+    LiquidGlass.prototype._updateFilter = function (updateScale) {
+        var self = this;
+        if (updateScale === undefined) updateScale = true;
+
+        var jobId = ++this.mapJobId;
+        var useCache = this.options.cache;
+        var key = useCache ? this._getMapCacheKey() : null;
+        var cached = useCache ? mapCache.get(key) : null;
+        var maps;
+
+        if (cached) {
+            this._applyMaps(cached, updateScale);
+        } else if (this.options.useWorker && mapWorker.isSupported()) {
+            var params = this._getMapParams();
+
+            // Elements with the same shape share one in-flight job
+            var shared = useCache ? mapCache.getPending(key) : null;
+            var request = shared || mapWorker.generate(this.id, params);
+            if (useCache) mapCache.track(key, request);
+
+            // The previous map stays on screen until the worker answers
+            request.then(
+                function (result) {
+                    if (jobId !== self.mapJobId || !self.element) return;
+
+                    // A shared job was superseded by its owner, so ask again
+                    if (!result) {
+                        if (shared) self._updateFilter(updateScale);
+                        return;
+                    }
+
+                    self._applyMaps(result, updateScale);
+                },
+                function () {
+                    if (jobId !== self.mapJobId || !self.element) return;
+
+                    var fallback = self._generateMapsSync(params);
+                    if (useCache) mapCache.set(key, fallback);
+                    self._applyMaps(fallback, updateScale);
+                }
+            );
+        } else {
+            maps = this._generateMapsSync(this._getMapParams());
+            if (useCache) mapCache.set(key, maps);
+            this._applyMaps(maps, updateScale);
+        }
+
+        var specularAlpha = this._node('specular-alpha');
+        if (specularAlpha) specularAlpha.setAttribute('slope', this.options.specularOpacity);
+
+        this._updateContentClonePosition();
+    };
+
+    LiquidGlass.prototype._applyMaps = function (maps, updateScale) {
+        this.appliedMaps = maps;
+        this.state.maximumDisplacement = maps.maximumDisplacement;
+
+        var displacementImage = this._node('displacement-image');
+        var specularImage = this._node('specular-image');
+
+        if (displacementImage) displacementImage.setAttribute('href', maps.displacementUrl);
+        if (specularImage) specularImage.setAttribute('href', maps.specularUrl);
+        if (maps.channelUrls) {
+            var redImage = this._node('displacement-image-r');
+            var blueImage = this._node('displacement-image-b');
+            if (redImage) redImage.setAttribute('href', maps.channelUrls.r);
+            if (blueImage) blueImage.setAttribute('href', maps.channelUrls.b);
+        }
+        if (updateScale !== false) {
+            this._setDisplacementScale(this.state.maximumDisplacement * this.options.refractionScale);
+        }
+    };
+
+    // Set the displacement strength on every channel pass
+    LiquidGlass.prototype._setDisplacementScale = function (scale) {
+        var suffixes = this.dispersed ? ['', '-r', '-b'] : [''];
+        for (var i = 0; i < suffixes.length; i++) {
+            var displacementMap = this._node('displacement-map' + suffixes[i]);
+            if (displacementMap) displacementMap.setAttribute('scale', scale);
+        }
+    };
+
+    // Look up a filter primitive by its id suffix, cached until the filter is rebuilt
+    LiquidGlass.prototype._node = function (name) {
+        var node = this.nodes.get(name);
+        if (!node || !node.isConnected) {
+            node = document.getElementById(this.id + '-' + name);
+            if (node) this.nodes.set(name, node);
+        }
+        return node;
+    };
+
+    // The light only changes a colour matrix over the specular basis map, so maps are never regenerated
+    LiquidGlass.prototype._updateLight = function (immediate) {
+        var followPointer = this.options.lightAngle === 'pointer';
+
+        if (followPointer && !this.suspended) {
+            pointerWatcher.observe(this);
+        } else {
+            pointerWatcher.unobserve(this);
+        }
+        if (!followPointer) {
+            this._setLightTarget(Number(this.options.lightAngle) || 0, immediate);
+        }
+
+        this._renderLight();
+    };
+
+    LiquidGlass.prototype._setLightTarget = function (angle, immediate) {
+        var spring = this.springs.lightAngle;
+
+        // The highlight repeats every 180 degrees, so turn the short way
+        var delta = angle - spring.value;
+        spring.setTarget(spring.value + ((((delta % 180) + 270) % 180) - 90));
+
+        if (immediate || !this.options.springAnimation) {
+            spring.value = spring.target;
+            spring.velocity = 0;
+            this._renderLight();
+        } else {
+            this._startAnimationLoop();
+        }
+    };
+
+    LiquidGlass.prototype._renderLight = function () {
+        var matrix = this._node('specular-matrix');
+        if (matrix) {
+            var degrees = this.springs.lightAngle.value - this.springs.tiltX.value * this._getMotionConfig().lightRange;
+            matrix.setAttribute('values', getSpecularMatrix((degrees * Math.PI) / 180, this.options.lightIntensity));
+        }
+    };
+
+    LiquidGlass.prototype._getMotionConfig = function () {
+        var config = {};
+        var key;
+        for (key in defaultOptions.motionConfig) config[key] = defaultOptions.motionConfig[key];
+        for (key in this.options.motionConfig) config[key] = this.options.motionConfig[key];
+        return config;
+    };
+
+    // Each preference option is 'auto' to follow the media query, or a boolean
+    // to force the behaviour on or off for this instance
+    LiquidGlass.prototype._resolvePreferences = function () {
+        var options = this.options;
+        var resolve = function (name) {
+            return options[name] === 'auto' ? preferenceWatcher.matches(name) : !!options[name];
+        };
+
+        return {
+            reducedMotion: resolve('reducedMotion'),
+            reducedTransparency: resolve('reducedTransparency'),
+            forcedColors: resolve('forcedColors')
+        };
+    };
+
+    // Re-read the preferences, from the shared PreferenceWatcher or setOptions
+    LiquidGlass.prototype._updatePreferences = function () {
+        this.preferences = this._resolvePreferences();
+        this._applyFilterStyle();
+
+        // Springs in flight jump to their targets on the next frame
+        this._startAnimationLoop();
+    };
+
+    // Attach the SVG filter, or leave it off when reduced transparency asks for an
+    // opaque surface or forced colors should show system colours
+    LiquidGlass.prototype._applyFilterStyle = function () {
+        var reducedTransparency = this.preferences.reducedTransparency;
+        var forcedColors = this.preferences.forcedColors;
+        var filter = reducedTransparency || forcedColors || this.suspended ? '' : 'url(#' + this.id + '-filter)';
+
+        if (this.useBackdropFilter) {
+            this.innerElement.style.backdropFilter = filter;
+            this.innerElement.style.webkitBackdropFilter = filter;
+        } else {
+            this.contentClone.style.filter = filter;
+        }
+
+        this.element.classList.toggle('lg-reduced-transparency', reducedTransparency && !forcedColors);
+        this.element.classList.toggle('lg-forced-colors', forcedColors);
+    };
+
+    // Advance a spring by `dt` seconds, or settle it at once for reduced motion
+    LiquidGlass.prototype._stepSpring = function (spring, dt) {
+        return this.preferences.reducedMotion ? spring.jump() : spring.update(dt);
+    };
+
+    // Reduced motion drops the throw; the glass rests where it was released
+    LiquidGlass.prototype._hasMomentum = function () {
+        return this.options.momentum && !this.preferences.reducedMotion;
+    };
+
+    LiquidGlass.prototype._updateMotion = function () {
+        if (this.options.motion && !this.suspended) {
+            motionWatcher.observe(this);
+        } else {
+            motionWatcher.unobserve(this);
+        }
+        if (!this.options.motion) this._tilt(0, 0);
+    };
+
+    // Device tilt in screen degrees: turns the light and shifts the refracted content slightly
+    LiquidGlass.prototype._tilt = function (x, y) {
+        var maxTilt = this._getMotionConfig().maxTilt;
+        var clamp = function (value) { return Math.max(-1, Math.min(1, value / maxTilt)); };
 
-        if (displacementImage) displacementImage.setAttribute('href', displacementUrl);
-        if (specularImage) specularImage.setAttribute('href', specularUrl);
-        if (updateScale && displacementMap) {
-            displacementMap.setAttribute('scale', this.state.maximumDisplacement * this.options.refractionScale);
+        this.springs.tiltX.setTarget(clamp(x));
+        this.springs.tiltY.setTarget(clamp(y));
+
+        if (this.options.springAnimation) {
+            this._startAnimationLoop();
+        } else {
+            this.springs.tiltX.value = this.springs.tiltX.target;
+            this.springs.tiltY.value = this.springs.tiltY.target;
+            this._renderMotion();
         }
-        if (specularAlpha) specularAlpha.setAttribute('slope', this.options.specularOpacity);
-        if (blur) blur.setAttribute('stdDeviation', this.options.blur);
+    };
 
-        this._updateContentClonePosition();
+    LiquidGlass.prototype._renderMotion = function () {
+        var parallax = this._getMotionConfig().parallax;
+        var offset = this._node('parallax');
+        if (offset) {
+            offset.setAttribute('dx', -this.springs.tiltX.value * parallax);
+            offset.setAttribute('dy', -this.springs.tiltY.value * parallax);
+        }
+        this._renderLight();
+    };
+
+    LiquidGlass.prototype._aimLight = function (clientX, clientY) {
+        var rect = this.element.getBoundingClientRect();
+        var dx = clientX - (rect.left + rect.width / 2);
+        var dy = clientY - (rect.top + rect.height / 2);
+        if (dx === 0 && dy === 0) return;
+
+        // Screen y points down; light angles are counter-clockwise
+        this._setLightTarget((Math.atan2(-dy, dx) * 180) / Math.PI);
+    };
+
+    LiquidGlass.prototype._queueResize = function (width, height) {
+        var self = this;
+        width = this.options.width === 'auto' ? Math.round(width) : this.options.width;
+        height = this.options.height === 'auto' ? Math.round(height) : this.options.height;
+
+        if (width === Math.round(this.dimensions.width) && height === Math.round(this.dimensions.height)) {
+            this.resizeState.pending = null;
+            return;
+        }
+
+        this.resizeState.pending = { width: width, height: height };
+        if (this.resizeState.timerId) return;
+
+        var elapsed = performance.now() - this.resizeState.lastRun;
+        var wait = Math.max(0, this.options.resizeThrottle - elapsed);
+
+        this.resizeState.timerId = setTimeout(function () {
+            self.resizeState.timerId = null;
+            self.resizeState.lastRun = performance.now();
+            self._applyResize();
+        }, wait);
+    };
+
+    LiquidGlass.prototype._applyResize = function () {
+        var size = this.resizeState.pending;
+        this.resizeState.pending = null;
+        if (!size || !this.element) return;
+
+        var width = Math.max(1, size.width);
+        var height = Math.max(1, size.height);
+        this.dimensions.width = width;
+        this.dimensions.height = height;
+
+        var suffixes = ['displacement-image', 'displacement-image-r', 'displacement-image-b', 'specular-image'];
+        for (var i = 0; i < suffixes.length; i++) {
+            var image = this._node(suffixes[i]);
+            if (image) {
+                image.setAttribute('width', width);
+                image.setAttribute('height', height);
+            }
+        }
+
+        this._measureGeometry();
+        this._updateFilter();
     };
 
-    LiquidGlass.prototype._updateContentClonePosition = function (force) {
+    // `left` and `top` default to the element's current position
+    LiquidGlass.prototype._updateContentClonePosition = function (left, top) {
         if (this.useBackdropFilter) return;
 
         var rect = this.element.getBoundingClientRect();
         var parentRect = this.element.parentElement ? this.element.parentElement.getBoundingClientRect() : rect;
 
-        var left = parseFloat(this.element.style.left) || 0;
-        var top = parseFloat(this.element.style.top) || 0;
+        if (left === undefined) left = parseFloat(this.element.style.left) || 0;
+        if (top === undefined) top = parseFloat(this.element.style.top) || 0;
+
+        scheduler.write(this.contentCloneInner, 'width', parentRect.width + 'px');
+        scheduler.write(this.contentCloneInner, 'height', parentRect.height + 'px');
+        scheduler.write(this.contentCloneInner, 'transform', 'translate(' + (-left) + 'px, ' + (-top) + 'px)');
+    };
+
+    // Place the glass inside its parent and keep the fallback clone aligned
+    LiquidGlass.prototype._setPosition = function (x, y) {
+        scheduler.write(this.element, 'left', x + 'px');
+        scheduler.write(this.element, 'top', y + 'px');
+        this._updateContentClonePosition(x, y);
+    };
+
+    LiquidGlass.prototype._cloneContent = function () {
+        var fragment = document.createDocumentFragment();
+        var children = this.element.childNodes;
+
+        for (var i = 0; i < children.length; i++) {
+            if (this._isOwnNode(children[i])) continue;
+            fragment.appendChild(children[i].cloneNode(true));
+        }
+
+        // Cloned controls must not join radio groups or form submissions
+        var named = fragment.querySelectorAll('[name]');
+        for (var j = 0; j < named.length; j++) {
+            named[j].removeAttribute('name');
+        }
+
+        this.contentCloneInner.innerHTML = '';
+        this.contentCloneInner.appendChild(fragment);
+        this._syncFormValues();
+    };
+
+    LiquidGlass.prototype._syncFormValues = function () {
+        var selector = 'input, textarea, select';
+        var all = this.element.querySelectorAll(selector);
+        var targets = this.contentCloneInner.querySelectorAll(selector);
+        var sources = [];
+
+        for (var i = 0; i < all.length; i++) {
+            if (!this.contentClone.contains(all[i])) sources.push(all[i]);
+        }
+
+        for (var k = 0; k < sources.length; k++) {
+            var source = sources[k];
+            var target = targets[k];
+            if (!target || target.tagName !== source.tagName) continue;
+
+            if (source.tagName === 'SELECT') {
+                for (var j = 0; j < source.options.length; j++) {
+                    if (target.options[j]) target.options[j].selected = source.options[j].selected;
+                }
+            } else if (source.type === 'checkbox' || source.type === 'radio') {
+                target.checked = source.checked;
+            } else if (source.type !== 'file') {
+                target.value = source.value;
+            }
+        }
+    };
+
+    LiquidGlass.prototype._isOwnNode = function (node) {
+        return node === this.contentClone || node === this.filterSvg || node === this.innerElement;
+    };
+
+    // Whether the fallback clone holds a copy of the content; `syncContent: false` leaves it empty
+    LiquidGlass.prototype._clonesContent = function () {
+        return this.options.applyToChildren && this.options.syncContent !== false;
+    };
+
+    LiquidGlass.prototype._setupContentSync = function () {
+        var self = this;
+        if (this.useBackdropFilter || !this.options.applyToChildren || this.suspended) return;
+        if (this.options.syncContent !== 'auto' || typeof MutationObserver === 'undefined') return;
+
+        this.contentObserver = new MutationObserver(function (mutations) {
+            for (var i = 0; i < mutations.length; i++) {
+                if (self._isContentMutation(mutations[i])) {
+                    self._scheduleContentSync();
+                    return;
+                }
+            }
+        });
+
+        this.contentObserver.observe(this.element, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            characterData: true
+        });
+
+        this.element.addEventListener('input', this._onContentInput, true);
+        this.element.addEventListener('change', this._onContentInput, true);
+    };
+
+    LiquidGlass.prototype._stopContentSync = function () {
+        if (this.contentObserver) this.contentObserver.disconnect();
+        this.contentObserver = null;
+        cancelAnimationFrame(this.contentSyncFrameId);
+        this.contentSyncFrameId = null;
+        this.element.removeEventListener('input', this._onContentInput, true);
+        this.element.removeEventListener('change', this._onContentInput, true);
+    };
+
+    LiquidGlass.prototype._isContentMutation = function (mutation) {
+        var i;
+        if (mutation.target === this.element) {
+            if (mutation.type !== 'childList') return false;
+            for (i = 0; i < mutation.addedNodes.length; i++) {
+                if (!this._isOwnNode(mutation.addedNodes[i])) return true;
+            }
+            for (i = 0; i < mutation.removedNodes.length; i++) {
+                if (!this._isOwnNode(mutation.removedNodes[i])) return true;
+            }
+            return false;
+        }
+
+        var ownNodes = [this.contentClone, this.filterSvg, this.innerElement];
+        for (i = 0; i < ownNodes.length; i++) {
+            if (ownNodes[i] && ownNodes[i].contains(mutation.target)) return false;
+        }
+        return true;
+    };
+
+    LiquidGlass.prototype._scheduleContentSync = function () {
+        var self = this;
+        if (this.contentSyncFrameId) return;
+
+        this.contentSyncFrameId = requestAnimationFrame(function () {
+            self.contentSyncFrameId = null;
+            self.refreshContent();
+        });
+    };
+
+    LiquidGlass.prototype._handleContentInput = function (e) {
+        if (this.contentClone.contains(e.target)) return;
+        this._syncFormValues();
+    };
+
+    LiquidGlass.prototype._setupEventListeners = function () {
+        this._updateDraggable();
+        window.addEventListener('resize', this._onResize);
+    };
+
+    // Add or remove pointer and keyboard dragging to match `draggable` and `keyboard`
+    LiquidGlass.prototype._updateDraggable = function () {
+        var draggable = this.options.draggable;
+
+        if (draggable) {
+            this.element.addEventListener('pointerdown', this._onPointerDown);
+        } else {
+            this.element.removeEventListener('pointerdown', this._onPointerDown);
+
+            // A drag under way is dropped where it is
+            if (this.state.pointerId !== null) {
+                this._releasePointer();
+                this._endDrag();
+            }
+        }
+
+        if (draggable && this.options.keyboard) this._setupKeyboard();
+        else this._removeKeyboard();
+    };
+
+    // Make a draggable element reachable and movable from the keyboard. Attributes the page
+    // already set are left alone; the ones added here are removed again on destroy
+    // or when dragging is turned off.
+    LiquidGlass.prototype._setupKeyboard = function () {
+        // A role description needs a role to describe
+        var attributes = {
+            tabindex: '0',
+            role: 'group',
+            'aria-roledescription': 'draggable',
+            'aria-keyshortcuts': 'ArrowUp ArrowDown ArrowLeft ArrowRight Shift+ArrowUp Shift+ArrowDown Shift+ArrowLeft Shift+ArrowRight Enter Escape'
+        };
+
+        for (var name in attributes) {
+            if (this.element.hasAttribute(name)) continue;
+            this.element.setAttribute(name, attributes[name]);
+            this.keyboardAttributes.push(name);
+        }
+
+        this.element.addEventListener('keydown', this._onKeyDown);
+        this.element.addEventListener('blur', this._onBlur);
+    };
+
+    LiquidGlass.prototype._removeKeyboard = function () {
+        if (this.state.keyboardMove) this._endKeyboardMove();
+
+        this.element.removeEventListener('keydown', this._onKeyDown);
+        this.element.removeEventListener('blur', this._onBlur);
+        for (var i = 0; i < this.keyboardAttributes.length; i++) {
+            this.element.removeAttribute(this.keyboardAttributes[i]);
+        }
+        this.keyboardAttributes = [];
+    };
+
+    LiquidGlass.prototype._getKeyboardConfig = function () {
+        var config = {};
+        var key;
+        for (key in defaultOptions.keyboardConfig) config[key] = defaultOptions.keyboardConfig[key];
+        for (key in this.options.keyboardConfig) config[key] = this.options.keyboardConfig[key];
+        return config;
+    };
+
+    // Arrow keys lift the glass and move it by `step`, or `largeStep` with Shift.
+    // Enter or Space drops it where it is, Escape puts it back.
+    LiquidGlass.prototype._handleKeyDown = function (e) {
+        if (e.target !== this.element || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        var directions = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1]
+        };
+
+        if (directions[e.key]) {
+            // Arrows do not interfere with a pointer drag in progress
+            if (this.state.pointerId !== null) return;
+
+            if (!this.state.keyboardMove) {
+                var rect = this.element.getBoundingClientRect();
+                this.state.keyboardMove = true;
+                this._startDrag(rect.left, rect.top);
+            }
+
+            var config = this._getKeyboardConfig();
+            var distance = e.shiftKey ? config.largeStep : config.step;
+            var direction = directions[e.key];
+
+            // On a `step` grid every press moves at least one cell
+            var step = this._getStep();
+            this._moveBy(direction[0] * Math.max(distance, step[0]), direction[1] * Math.max(distance, step[1]));
+            e.preventDefault();
+        } else if (e.key === 'Escape' && this.state.isDragging) {
+            this._cancelDrag();
+            e.preventDefault();
+        } else if ((e.key === 'Enter' || e.key === ' ') && this.state.keyboardMove) {
+            this._endKeyboardMove();
+            e.preventDefault();
+        }
+    };
+
+    LiquidGlass.prototype._handleBlur = function () {
+        if (this.state.keyboardMove) this._endKeyboardMove();
+    };
+
+    // Move by a fixed distance, constrained like a pointer drag
+    LiquidGlass.prototype._moveBy = function (dx, dy) {
+        var bounds = this._getBounds();
+        if (!bounds) return;
+
+        var axis = this.options.axis;
+        var position = this._constrain(
+            (parseFloat(this.element.style.left) || 0) + (axis === 'y' ? 0 : dx),
+            (parseFloat(this.element.style.top) || 0) + (axis === 'x' ? 0 : dy),
+            bounds
+        );
+        var x = position.x;
+        var y = position.y;
+
+        this.element.style.left = x + 'px';
+        this.element.style.top = y + 'px';
+        this.state.lastTime = performance.now();
+
+        this._emit('drag', {}, [{ x: x, y: y }]);
+
+        this._updateContentClonePosition();
+        this._announce('move', { x: x, y: y });
+    };
+
+    LiquidGlass.prototype._endKeyboardMove = function () {
+        this.state.keyboardMove = false;
+
+        // Key presses carry no throw, so the drop only snaps or clamps
+        this.state.velocityX = 0;
+        this.state.velocityY = 0;
+        this._endDrag();
+
+        var target = this.state.snap || {
+            x: parseFloat(this.element.style.left) || 0,
+            y: parseFloat(this.element.style.top) || 0
+        };
+        this._announce('drop', { x: target.x, y: target.y });
+    };
+
+    // Abandon the current drag and return the glass to where it started
+    LiquidGlass.prototype._cancelDrag = function () {
+        if (!this.state.isDragging) return;
+        if (this.state.pointerId !== null) this._releasePointer();
+
+        var x = this.state.dragStart.x;
+        var y = this.state.dragStart.y;
+        this.element.style.left = x + 'px';
+        this.element.style.top = y + 'px';
+
+        this.state.keyboardMove = false;
+        this.state.isDragging = false;
+        this.state.settlePending = true;
+        this.state.velocityX = 0;
+        this.state.velocityY = 0;
+
+        this._emit('dragend', { cancelled: true });
+
+        this._updateContentClonePosition();
+        this._startAnimationLoop();
+        if (!scheduler.has(this)) this._settle();
+        this._announce('cancel', { x: x, y: y });
+    };
+
+    // Read a keyboard move out through the shared live region.
+    // `type` is 'move', 'drop' or 'cancel'; the position is inside the parent.
+    LiquidGlass.prototype._announce = function (type, position) {
+        var announce = this._getKeyboardConfig().announce;
+        var x = Math.round(position.x);
+        var y = Math.round(position.y);
+
+        var message;
+        if (typeof announce === 'function') {
+            message = announce(type, { x: x, y: y }, this);
+        } else if (type === 'move') {
+            message = 'Moved to ' + x + ', ' + y + '. Press Enter to drop or Escape to cancel.';
+        } else if (type === 'drop') {
+            message = 'Dropped at ' + x + ', ' + y + '.';
+        } else {
+            message = 'Move cancelled. Returned to ' + x + ', ' + y + '.';
+        }
+
+        announcer.announce(message);
+    };
+
+    // Only the pointer that started a drag moves the glass. It is captured by the element,
+    // so the move and up listeners are attached to the element for the length of the drag only.
+    LiquidGlass.prototype._handlePointerDown = function (e) {
+        if (this.state.pointerId !== null) return;
+        if (this.options.pointerTypes.indexOf(e.pointerType) === -1) return;
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+        // A pointer takes over from a keyboard move
+        this.state.keyboardMove = false;
+        this.state.pointerId = e.pointerId;
+        try {
+            this.element.setPointerCapture(e.pointerId);
+        } catch (error) {
+            // The pointer is no longer active; its up event still ends the drag
+        }
+        this._toggleDragListeners(true);
+
+        this._startDrag(e.clientX, e.clientY);
+        e.preventDefault();
+    };
+
+    LiquidGlass.prototype._handlePointerMove = function (e) {
+        if (e.pointerId !== this.state.pointerId) return;
+        this._drag(e.clientX, e.clientY);
+    };
+
+    LiquidGlass.prototype._handlePointerUp = function (e) {
+        if (e.pointerId !== this.state.pointerId) return;
+        this._releasePointer();
+        this._endDrag();
+    };
+
+    LiquidGlass.prototype._handlePointerCancel = function (e) {
+        if (e.pointerId !== this.state.pointerId) return;
+
+        // The browser took over the gesture, so there is no throw to keep
+        this.state.velocityX = 0;
+        this.state.velocityY = 0;
+        this._releasePointer();
+        this._endDrag();
+    };
+
+    LiquidGlass.prototype._toggleDragListeners = function (active) {
+        var method = active ? 'addEventListener' : 'removeEventListener';
+        this.element[method]('pointermove', this._onPointerMove);
+        this.element[method]('pointerup', this._onPointerUp);
+        this.element[method]('pointercancel', this._onPointerCancel);
+        this.element[method]('lostpointercapture', this._onPointerUp);
+    };
+
+    LiquidGlass.prototype._releasePointer = function () {
+        var pointerId = this.state.pointerId;
+        this.state.pointerId = null;
+        this._toggleDragListeners(false);
+
+        if (this.element.hasPointerCapture && this.element.hasPointerCapture(pointerId)) {
+            this.element.releasePointerCapture(pointerId);
+        }
+    };
+
+    LiquidGlass.prototype._handleResize = function () {
+        this._updateContentClonePosition();
+    };
+
+    LiquidGlass.prototype._startDrag = function (clientX, clientY) {
+        // Catching a throw ends it where it is, and the user takes over from code
+        if (this.state.glide) this._stopGlide();
+        if (this.state.snap) this._stopSnap(false);
+        this._abortMotions();
+        this.state.isDragging = true;
+        this.state.settlePending = false;
+        this.state.dragStart.x = parseFloat(this.element.style.left) || 0;
+        this.state.dragStart.y = parseFloat(this.element.style.top) || 0;
+
+        var rect = this.element.getBoundingClientRect();
+        var currentScale = this.springs.scale.value;
+
+        this.state.dragOffset.x = (clientX - rect.left) / currentScale;
+        this.state.dragOffset.y = (clientY - rect.top) / currentScale;
+        this.state.lastX = clientX;
+        this.state.lastY = clientY;
+        this.state.lastTime = performance.now();
+        this.state.velocityX = 0;
+        this.state.velocityY = 0;
+
+        this._emit('dragstart');
+
+        this._startAnimationLoop();
+    };
+
+    LiquidGlass.prototype._drag = function (clientX, clientY) {
+        var parentRect = this.element.parentElement ? this.element.parentElement.getBoundingClientRect() : null;
+        var bounds = this._getBounds();
+        if (!parentRect || !bounds) return;
+
+        var now = performance.now();
+        var dt = Math.max(1, now - this.state.lastTime) / 1000;
+
+        this.state.velocityX = (clientX - this.state.lastX) / dt;
+        this.state.velocityY = (clientY - this.state.lastY) / dt;
+        this.state.lastX = clientX;
+        this.state.lastY = clientY;
+        this.state.lastTime = now;
+
+        var newX = clientX - parentRect.left - this.state.dragOffset.x;
+        var newY = clientY - parentRect.top - this.state.dragOffset.y;
+
+        // A locked axis stays where the drag started and throws nothing
+        var axis = this.options.axis;
+        var elasticity = this.options.elasticity;
+        if (axis === 'x') {
+            newY = this.state.dragStart.y;
+            this.state.velocityY = 0;
+        } else if (axis === 'y') {
+            newX = this.state.dragStart.x;
+            this.state.velocityX = 0;
+        }
+
+        var step = this._getStep();
+        if (step[0] > 0) newX = bounds.minX + Math.round((newX - bounds.minX) / step[0]) * step[0];
+        if (step[1] > 0) newY = bounds.minY + Math.round((newY - bounds.minY) / step[1]) * step[1];
+
+        // Elastic boundaries: `elasticity` of the overshoot follows the pointer
+        var rubberBand = function (value, min, max) {
+            if (value < min) return min + (value - min) * elasticity;
+            if (value > max) return max + (value - max) * elasticity;
+            return value;
+        };
+        newX = rubberBand(newX, bounds.minX, bounds.maxX);
+        newY = rubberBand(newY, bounds.minY, bounds.maxY);
+
+        this.element.style.left = newX + 'px';
+        this.element.style.top = newY + 'px';
+
+        this._emit('drag', {}, [{ x: newX, y: newY }]);
+
+        this._updateContentClonePosition();
+    };
+
+    LiquidGlass.prototype._endDrag = function () {
+        if (!this.state.isDragging) return;
+        this.state.isDragging = false;
+        this.state.settlePending = true;
+
+        // A pointer that stopped before lifting throws nothing
+        if (performance.now() - this.state.lastTime > 100) {
+            this.state.velocityX = 0;
+            this.state.velocityY = 0;
+        }
+
+        // A throw would leave the `step` grid, so stepped glass only snaps or clamps
+        var step = this._getStep();
+        if (this.options.snap && this._startSnap()) return;
+        if (this._hasMomentum() && !step[0] && !step[1] && this._startGlide()) return;
+
+        var bounds = this._getBounds();
+        if (bounds) {
+            var position = this._constrain(
+                parseFloat(this.element.style.left) || 0,
+                parseFloat(this.element.style.top) || 0,
+                bounds
+            );
+
+            this.element.style.left = position.x + 'px';
+            this.element.style.top = position.y + 'px';
+        }
+
+        this._emit('dragend');
+
+        this._updateContentClonePosition();
+        this._startAnimationLoop();
+        if (!scheduler.has(this)) this._settle();
+    };
+
+    // The range of left/top positions the glass can rest at, in its parent's coordinates.
+    // `bounds` is 'parent', 'viewport', an element or selector whose box the glass stays inside,
+    // or a { left, top, right, bottom } rect in the parent's coordinates. Returns null without a parent.
+    LiquidGlass.prototype._getBounds = function () {
+        var parentRect = this.element.parentElement ? this.element.parentElement.getBoundingClientRect() : null;
+        if (!parentRect) return null;
+
+        var bounds = this.options.bounds;
+        var area = { left: 0, top: 0, right: parentRect.width, bottom: parentRect.height };
+
+        if (bounds === 'viewport') {
+            area = {
+                left: -parentRect.left,
+                top: -parentRect.top,
+                right: window.innerWidth - parentRect.left,
+                bottom: window.innerHeight - parentRect.top
+            };
+        } else if ((typeof bounds === 'string' && bounds !== 'parent') || bounds instanceof Element) {
+            // A selector that matches nothing leaves the parent as the bounds
+            var boundsElement = typeof bounds === 'string' ? document.querySelector(bounds) : bounds;
+            if (boundsElement) {
+                var rect = boundsElement.getBoundingClientRect();
+                area = {
+                    left: rect.left - parentRect.left,
+                    top: rect.top - parentRect.top,
+                    right: rect.right - parentRect.left,
+                    bottom: rect.bottom - parentRect.top
+                };
+            }
+        } else if (bounds && typeof bounds === 'object') {
+            area = {
+                left: bounds.left !== undefined ? bounds.left : area.left,
+                top: bounds.top !== undefined ? bounds.top : area.top,
+                right: bounds.right !== undefined ? bounds.right : area.right,
+                bottom: bounds.bottom !== undefined ? bounds.bottom : area.bottom
+            };
+        }
+
+        // An area smaller than the glass pins it to the top-left corner
+        return {
+            minX: area.left,
+            minY: area.top,
+            maxX: Math.max(area.left, area.right - this.dimensions.width),
+            maxY: Math.max(area.top, area.bottom - this.dimensions.height)
+        };
+    };
+
+    // `step` as an [x, y] grid pitch; 0 on an axis that moves freely
+    LiquidGlass.prototype._getStep = function () {
+        var step = [].concat(this.options.step || 0);
+        return [step[0] || 0, step.length > 1 ? step[1] : step[0] || 0];
+    };
+
+    // Clamp a position inside the bounds, keeping it on the `step` grid
+    LiquidGlass.prototype._constrain = function (x, y, bounds) {
+        var step = this._getStep();
+        var fit = function (value, min, max, pitch) {
+            if (pitch > 0) {
+                value = min + Math.round((value - min) / pitch) * pitch;
+                max = min + Math.floor((max - min) / pitch) * pitch;
+            }
+            return Math.max(min, Math.min(value, max));
+        };
+
+        return {
+            x: fit(x, bounds.minX, bounds.maxX, step[0]),
+            y: fit(y, bounds.minY, bounds.maxY, step[1])
+        };
+    };
+
+    LiquidGlass.prototype._getSpringConfig = function () {
+        return resolveSpringConfig(this.options.springConfig);
+    };
+
+    LiquidGlass.prototype._getMomentumConfig = function () {
+        var config = {};
+        var key;
+        for (key in defaultOptions.momentumConfig) config[key] = defaultOptions.momentumConfig[key];
+        for (key in this.options.momentumConfig) config[key] = this.options.momentumConfig[key];
+        return config;
+    };
+
+    // Keep the released glass moving with its throw velocity. Friction slows it down and a spring
+    // pulls it back inside the bounds, so a fast throw bounces off the edge.
+    // Returns false when there is no parent to glide in.
+    LiquidGlass.prototype._startGlide = function () {
+        var bounds = this._getBounds();
+        if (!bounds) return false;
+
+        var config = this._getMomentumConfig();
+        var stiffness = this._getSpringConfig().stiffness;
+
+        // bounce is the restitution, the share of speed kept after hitting an edge.
+        // A damped spring returns with exp(-πζ / √(1 - ζ²)) of its speed.
+        var restitution = Math.max(0, Math.min(0.99, config.bounce));
+        var log = Math.log(restitution);
+        var dampingRatio = restitution > 0 ? -log / Math.sqrt(Math.PI * Math.PI + log * log) : 1;
+
+        var x = parseFloat(this.element.style.left) || 0;
+        var y = parseFloat(this.element.style.top) || 0;
+        this.state.glide = {
+            x: x,
+            y: y,
+            minX: bounds.minX,
+            minY: bounds.minY,
+            maxX: bounds.maxX,
+            maxY: bounds.maxY,
+            friction: config.friction,
+            stiffness: stiffness,
+            damping: 2 * dampingRatio * Math.sqrt(stiffness),
+            // Released past an edge: ease back without bouncing
+            returning: {
+                x: x !== Math.max(bounds.minX, Math.min(x, bounds.maxX)),
+                y: y !== Math.max(bounds.minY, Math.min(y, bounds.maxY))
+            }
+        };
+
+        scheduler.observe(this);
+        return true;
+    };
+
+    // Advance the throw by one step and end it once the glass rests inside the bounds
+    LiquidGlass.prototype._glide = function (dt) {
+        var self = this;
+        var glide = this.state.glide;
+        var axes = [
+            ['x', 'velocityX', glide.minX, glide.maxX],
+            ['y', 'velocityY', glide.minY, glide.maxY]
+        ];
+
+        substep(dt, function (h) {
+            var decay = Math.exp(-glide.friction * h);
+            for (var j = 0; j < axes.length; j++) {
+                var axis = axes[j][0];
+                var velocityKey = axes[j][1];
+                var velocity = self.state[velocityKey] * decay;
+                var overshoot = glide[axis] - Math.max(axes[j][2], Math.min(glide[axis], axes[j][3]));
+                if (overshoot === 0) {
+                    glide.returning[axis] = false;
+                } else {
+                    var damping = glide.returning[axis] ? 2 * Math.sqrt(glide.stiffness) : glide.damping;
+                    velocity -= (glide.stiffness * overshoot + damping * velocity) * h;
+                }
+
+                glide[axis] += velocity * h;
+                self.state[velocityKey] = velocity;
+            }
+        });
 
-        this.contentCloneInner.style.width = parentRect.width + 'px';
-        this.contentCloneInner.style.height = parentRect.height + 'px';
-        this.contentCloneInner.style.transform = 'translate(' + (-left) + 'px, ' + (-top) + 'px)';
-    };
+        var resting = true;
+        for (var i = 0; i < axes.length; i++) {
+            var overshoot = glide[axes[i][0]] - Math.max(axes[i][2], Math.min(glide[axes[i][0]], axes[i][3]));
+            if (Math.abs(this.state[axes[i][1]]) > 5 || Math.abs(overshoot) > 0.5) resting = false;
+        }
 
-    LiquidGlass.prototype._setupEventListeners = function () {
-        if (this.options.draggable) {
-            this.element.addEventListener('mousedown', this._onMouseDown);
-            this.element.addEventListener('touchstart', this._onTouchStart, { passive: false });
-            document.addEventListener('mousemove', this._onMouseMove);
-            document.addEventListener('touchmove', this._onTouchMove, { passive: false });
-            document.addEventListener('mouseup', this._onMouseUp);
-            document.addEventListener('touchend', this._onTouchEnd);
+        if (resting) {
+            glide.x = Math.max(glide.minX, Math.min(glide.x, glide.maxX));
+            glide.y = Math.max(glide.minY, Math.min(glide.y, glide.maxY));
         }
 
-        window.addEventListener('resize', this._onResize);
-    };
+        this._setPosition(glide.x, glide.y);
 
-    LiquidGlass.prototype._handleMouseDown = function (e) {
-        this._startDrag(e.clientX, e.clientY);
-        e.preventDefault();
+        if (resting) {
+            this.state.velocityX = 0;
+            this.state.velocityY = 0;
+            this._stopGlide();
+        }
     };
 
-    LiquidGlass.prototype._handleTouchStart = function (e) {
-        this._startDrag(e.touches[0].clientX, e.touches[0].clientY);
-        e.preventDefault();
+    LiquidGlass.prototype._stopGlide = function () {
+        this.state.glide = null;
+        this._emit('dragend');
     };
 
-    LiquidGlass.prototype._handleMouseMove = function (e) {
-        if (!this.state.isDragging) return;
-        this._drag(e.clientX, e.clientY);
-        e.preventDefault();
+    LiquidGlass.prototype._getSnapConfig = function () {
+        var config = {};
+        var key;
+        for (key in defaultOptions.snapConfig) config[key] = defaultOptions.snapConfig[key];
+        for (key in this.options.snapConfig) config[key] = this.options.snapConfig[key];
+        return config;
     };
 
-    LiquidGlass.prototype._handleTouchMove = function (e) {
-        if (!this.state.isDragging) return;
-        this._drag(e.touches[0].clientX, e.touches[0].clientY);
-        e.preventDefault();
-    };
+    // Candidate resting positions from the snap option: { x, y } points, 'edges', 'corners',
+    // { grid } or a callback. Positions are the element's top-left corner inside its parent;
+    // edges, corners and grids are laid out inside the drag bounds.
+    LiquidGlass.prototype._getSnapTargets = function (x, y, bounds) {
+        var self = this;
+        var margin = this._getSnapConfig().margin;
+        var left = bounds.minX + margin;
+        var top = bounds.minY + margin;
+        var right = Math.max(left, bounds.maxX - margin);
+        var bottom = Math.max(top, bounds.maxY - margin);
+        var clampedX = Math.max(left, Math.min(x, right));
+        var clampedY = Math.max(top, Math.min(y, bottom));
+        var targets = [];
+
+        var entries = Array.isArray(this.options.snap) ? this.options.snap : [this.options.snap];
+        entries.forEach(function (entry, index) {
+            if (typeof entry === 'function') {
+                var candidates = [].concat(entry({ x: x, y: y, minX: bounds.minX, minY: bounds.minY, maxX: bounds.maxX, maxY: bounds.maxY }, self) || []);
+                for (var i = 0; i < candidates.length; i++) {
+                    var target = { type: 'custom' };
+                    for (var key in candidates[i]) target[key] = candidates[i][key];
+                    targets.push(target);
+                }
+            } else if (entry === 'edges') {
+                targets.push(
+                    { type: 'edge', edge: 'left', x: left, y: clampedY },
+                    { type: 'edge', edge: 'right', x: right, y: clampedY },
+                    { type: 'edge', edge: 'top', x: clampedX, y: top },
+                    { type: 'edge', edge: 'bottom', x: clampedX, y: bottom }
+                );
+            } else if (entry === 'corners') {
+                targets.push(
+                    { type: 'corner', corner: 'top-left', x: left, y: top },
+                    { type: 'corner', corner: 'top-right', x: right, y: top },
+                    { type: 'corner', corner: 'bottom-left', x: left, y: bottom },
+                    { type: 'corner', corner: 'bottom-right', x: right, y: bottom }
+                );
+            } else if (entry && entry.grid) {
+                var grid = [].concat(entry.grid);
+                var columnWidth = grid[0];
+                var rowHeight = grid.length > 1 ? grid[1] : grid[0];
+                var column = Math.max(0, Math.min(Math.round((x - left) / columnWidth), Math.floor((right - left) / columnWidth)));
+                var row = Math.max(0, Math.min(Math.round((y - top) / rowHeight), Math.floor((bottom - top) / rowHeight)));
+                targets.push({ type: 'grid', column: column, row: row, x: left + column * columnWidth, y: top + row * rowHeight });
+            } else if (entry && typeof entry.x === 'number' && typeof entry.y === 'number' && isFinite(entry.x) && isFinite(entry.y)) {
+                targets.push({ type: 'point', index: index, x: entry.x, y: entry.y });
+            } else {
+                console.warn('LiquidGlass: Unsupported snap target:', entry);
+            }
+        });
 
-    LiquidGlass.prototype._handleMouseUp = function () {
-        this._endDrag();
+        return targets;
     };
 
-    LiquidGlass.prototype._handleTouchEnd = function () {
-        this._endDrag();
-    };
+    // Spring the released glass to the nearest snap target inside the magnetic radius. With momentum
+    // the throw picks the target and carries into the spring. Returns false when no target is in reach.
+    LiquidGlass.prototype._startSnap = function () {
+        var bounds = this._getBounds();
+        if (!bounds) return false;
+
+        var x = parseFloat(this.element.style.left) || 0;
+        var y = parseFloat(this.element.style.top) || 0;
+        var momentum = this._hasMomentum();
+
+        // Aim for where the throw would come to rest
+        var aimX = x;
+        var aimY = y;
+        if (momentum) {
+            var friction = this._getMomentumConfig().friction;
+            aimX += this.state.velocityX / friction;
+            aimY += this.state.velocityY / friction;
+        }
 
-    LiquidGlass.prototype._handleResize = function () {
-        this._updateContentClonePosition(true);
-    };
+        var targets = this._getSnapTargets(aimX, aimY, bounds);
 
-    LiquidGlass.prototype._startDrag = function (clientX, clientY) {
-        this.state.isDragging = true;
+        // A locked axis keeps its coordinate; only the free one docks
+        for (var j = 0; j < targets.length; j++) {
+            if (this.options.axis === 'x') targets[j].y = y;
+            else if (this.options.axis === 'y') targets[j].x = x;
+        }
 
-        var rect = this.element.getBoundingClientRect();
-        var currentScale = this.springs.scale.value;
+        var target = null;
+        var nearest = this._getSnapConfig().radius;
+        for (var i = 0; i < targets.length; i++) {
+            var distance = Math.sqrt(Math.pow(targets[i].x - aimX, 2) + Math.pow(targets[i].y - aimY, 2));
+            if (distance <= nearest) {
+                target = targets[i];
+                nearest = distance;
+            }
+        }
+        if (!target) return false;
 
-        this.state.dragOffset.x = (clientX - rect.left) / currentScale;
-        this.state.dragOffset.y = (clientY - rect.top) / currentScale;
-        this.state.lastX = clientX;
-        this.state.lastY = clientY;
-        this.state.lastTime = performance.now();
-        this.state.velocityX = 0;
-        this.state.velocityY = 0;
+        var position = this.springs.position;
+        if (momentum) position.reset(x, y, this.state.velocityX, this.state.velocityY);
+        else position.reset(x, y);
+        position.setTarget(target.x, target.y);
+        this.state.snap = target;
 
-        if (this.options.onDragStart) {
-            this.options.onDragStart(this);
-        }
+        this._emit('snap', { target: target }, [target]);
 
-        this._startAnimationLoop();
+        // With momentum, dragend waits until the glass is docked
+        if (!momentum) this._emit('dragend');
+
+        scheduler.observe(this);
+        return true;
     };
 
-    LiquidGlass.prototype._drag = function (clientX, clientY) {
-        var parentRect = this.element.parentElement ? this.element.parentElement.getBoundingClientRect() : null;
-        if (!parentRect) return;
+    // Move along the position spring; returns whether it has settled
+    LiquidGlass.prototype._stepPosition = function (dt) {
+        var position = this.springs.position;
+        var point = this._stepSpring(position, dt);
 
-        var now = performance.now();
-        var dt = Math.max(1, now - this.state.lastTime) / 1000;
+        // The squish follows the motion
+        this.state.velocityX = position.velocityX;
+        this.state.velocityY = position.velocityY;
 
-        this.state.velocityX = (clientX - this.state.lastX) / dt;
-        this.state.velocityY = (clientY - this.state.lastY) / dt;
-        this.state.lastX = clientX;
-        this.state.lastY = clientY;
-        this.state.lastTime = now;
+        this._setPosition(point.x, point.y);
 
-        var newX = clientX - parentRect.left - this.state.dragOffset.x;
-        var newY = clientY - parentRect.top - this.state.dragOffset.y;
+        return position.isSettled();
+    };
 
-        var maxX = parentRect.width - this.dimensions.width;
-        var maxY = parentRect.height - this.dimensions.height;
+    LiquidGlass.prototype._renderSnap = function (dt) {
+        if (this._stepPosition(dt)) this._stopSnap(true);
+    };
 
-        // Elastic boundaries
-        if (newX < 0) newX = newX * 0.3;
-        else if (newX > maxX) newX = maxX + (newX - maxX) * 0.3;
+    // Finish a programmatic move exactly on its target
+    LiquidGlass.prototype._stopMove = function () {
+        this._setPosition(this.springs.position.targetX, this.springs.position.targetY);
 
-        if (newY < 0) newY = newY * 0.3;
-        else if (newY > maxY) newY = maxY + (newY - maxY) * 0.3;
+        this.state.velocityX = 0;
+        this.state.velocityY = 0;
+        this.state.move = false;
+    };
 
-        this.element.style.left = newX + 'px';
-        this.element.style.top = newY + 'px';
+    // End docking, either on the target or wherever a new drag caught it
+    LiquidGlass.prototype._stopSnap = function (docked) {
+        var position = this.springs.position;
+        if (docked) this._setPosition(this.state.snap.x, this.state.snap.y);
 
-        if (this.options.onDrag) {
-            this.options.onDrag(this, { x: newX, y: newY });
-        }
+        position.reset(position.x, position.y);
+        position.setTarget(position.x, position.y);
+        this.state.velocityX = 0;
+        this.state.velocityY = 0;
+        this.state.snap = null;
 
-        this._updateContentClonePosition();
+        if (this._hasMomentum()) this._emit('dragend');
     };
 
-    LiquidGlass.prototype._endDrag = function () {
-        if (!this.state.isDragging) return;
-        this.state.isDragging = false;
+    // Fire onSettle once the glass is at rest after a drag
+    LiquidGlass.prototype._settle = function () {
+        if (!this.state.settlePending) return;
+        this.state.settlePending = false;
+        this._emit('settle');
+    };
 
-        var parentRect = this.element.parentElement ? this.element.parentElement.getBoundingClientRect() : null;
-        if (parentRect) {
-            var currentX = parseFloat(this.element.style.left) || 0;
-            var currentY = parseFloat(this.element.style.top) || 0;
+    // Advance the spring physics by `dt` seconds, called by the shared scheduler.
+    // Returns whether another frame is needed.
+    LiquidGlass.prototype._stepFrame = function (dt) {
+        // Motion started while suspended waits here for _resume()
+        if (this.suspended) return false;
+        if (this.state.tween) this._stepTween(dt);
 
-            var maxX = parentRect.width - this.dimensions.width;
-            var maxY = parentRect.height - this.dimensions.height;
+        // Without springAnimation the glass keeps its own size and shadow
+        if (this.options.springAnimation) {
+            this._stepLift(dt);
+        } else {
+            var self = this;
+            liftSprings.concat(['scaleX', 'scaleY']).forEach(function (name) { self.springs[name].jump(); });
+            this._setDisplacementScale(this.state.maximumDisplacement * this.options.refractionScale);
+        }
 
-            currentX = Math.max(0, Math.min(currentX, maxX));
-            currentY = Math.max(0, Math.min(currentY, maxY));
+        if (!this.springs.lightAngle.isSettled()) {
+            this._stepSpring(this.springs.lightAngle, dt);
+            this._renderLight();
+        }
 
-            this.element.style.left = currentX + 'px';
-            this.element.style.top = currentY + 'px';
+        if (!this.springs.tiltX.isSettled() || !this.springs.tiltY.isSettled()) {
+            this._stepSpring(this.springs.tiltX, dt);
+            this._stepSpring(this.springs.tiltY, dt);
+            this._renderMotion();
         }
 
-        if (this.options.onDragEnd) {
-            this.options.onDragEnd(this);
+        if (this.state.snap) {
+            this._renderSnap(dt);
+        } else if (this.state.move) {
+            if (this._stepPosition(dt)) this._stopMove();
+        } else if (this.state.glide) {
+            this._glide(dt);
+        } else if (!this.state.isDragging) {
+            // The leftover velocity only drives the squish, which reduced motion turns off
+            var decay = this.preferences.reducedMotion ? 0 : Math.pow(0.95, dt * 60);
+            this.state.velocityX *= decay;
+            this.state.velocityY *= decay;
         }
 
-        this._updateContentClonePosition();
-        this._startAnimationLoop();
-    };
+        this._resolveMotions();
 
-    LiquidGlass.prototype._animationLoop = function () {
-        var self = this;
-        var dt = Math.min(0.032, 1 / 60);
+        var allSettled = !this.state.glide && !this.state.snap && !this.state.move && !this.state.tween;
+        for (var key in this.springs) {
+            if (!this.springs[key].isSettled()) {
+                allSettled = false;
+                break;
+            }
+        }
+        allSettled = allSettled && Math.abs(this.state.velocityX) < 1 && Math.abs(this.state.velocityY) < 1;
+
+        if (allSettled) this._settle();
+        return !allSettled;
+    };
 
-        if (this.state.isDragging) {
+    // Lift the glass while it is held and squish it along its velocity
+    LiquidGlass.prototype._stepLift = function (dt) {
+        if (this.state.isDragging || this.state.pressed) {
             this.springs.scale.setTarget(1.0);
             this.springs.shadowOffsetX.setTarget(4);
             this.springs.shadowOffsetY.setTarget(16);
@@ -663,13 +4188,16 @@
             this.springs.shadowAlpha.setTarget(0.15);
             this.springs.refractionBoost.setTarget(0.8);
         }
+        if (this.state.scaleTarget !== null) {
+            this.springs.scale.setTarget(this.state.scaleTarget);
+        }
 
         var velocityMagnitude = Math.sqrt(
             this.state.velocityX * this.state.velocityX + this.state.velocityY * this.state.velocityY
         );
         var squishAmount = Math.min(0.15, velocityMagnitude / 3000);
 
-        if (velocityMagnitude > 50) {
+        if (velocityMagnitude > 50 && !this.preferences.reducedMotion) {
             var vxNorm = this.state.velocityX / velocityMagnitude;
             var vyNorm = this.state.velocityY / velocityMagnitude;
             this.springs.scaleX.setTarget(
@@ -683,62 +4211,419 @@
             this.springs.scaleY.setTarget(1);
         }
 
-        var scale = this.springs.scale.update(dt);
-        var scaleX = this.springs.scaleX.update(dt);
-        var scaleY = this.springs.scaleY.update(dt);
-        var shadowOffsetX = this.springs.shadowOffsetX.update(dt);
-        var shadowOffsetY = this.springs.shadowOffsetY.update(dt);
-        var shadowBlur = this.springs.shadowBlur.update(dt);
-        var shadowAlpha = this.springs.shadowAlpha.update(dt);
-        var refractionBoost = this.springs.refractionBoost.update(dt);
+        var scale = this._stepSpring(this.springs.scale, dt);
+        var scaleX = this._stepSpring(this.springs.scaleX, dt);
+        var scaleY = this._stepSpring(this.springs.scaleY, dt);
+        var shadowOffsetX = this._stepSpring(this.springs.shadowOffsetX, dt);
+        var shadowOffsetY = this._stepSpring(this.springs.shadowOffsetY, dt);
+        var shadowBlur = this._stepSpring(this.springs.shadowBlur, dt);
+        var shadowAlpha = this._stepSpring(this.springs.shadowAlpha, dt);
+        var refractionBoost = this._stepSpring(this.springs.refractionBoost, dt);
 
-        this.element.style.transform = 'scale(' + (scale * scaleX) + ', ' + (scale * scaleY) + ')';
+        scheduler.write(this.element, 'transform', 'scale(' + (scale * scaleX) + ', ' + (scale * scaleY) + ')');
 
         var insetAlpha = shadowAlpha * 0.6;
-        this.innerElement.style.boxShadow =
+        scheduler.write(this.innerElement, 'boxShadow',
             shadowOffsetX + 'px ' + shadowOffsetY + 'px ' + shadowBlur + 'px rgba(0, 0, 0, ' + shadowAlpha + '), ' +
             'inset ' + (shadowOffsetX * 0.3) + 'px ' + (shadowOffsetY * 0.4) + 'px 16px rgba(0, 0, 0, ' + insetAlpha + '), ' +
-            'inset ' + (-shadowOffsetX * 0.3) + 'px ' + (-shadowOffsetY * 0.4) + 'px 16px rgba(255, 255, 255, ' + (insetAlpha * 0.8) + ')';
+            'inset ' + (-shadowOffsetX * 0.3) + 'px ' + (-shadowOffsetY * 0.4) + 'px 16px rgba(255, 255, 255, ' + (insetAlpha * 0.8) + ')');
 
         var dynamicRefractionScale = this.options.refractionScale * refractionBoost;
-        var displacementMap = document.getElementById(this.id + '-displacement-map');
-        if (displacementMap) {
-            displacementMap.setAttribute('scale', this.state.maximumDisplacement * dynamicRefractionScale);
+        this._setDisplacementScale(this.state.maximumDisplacement * dynamicRefractionScale);
+    };
+
+    // Only the spring effects depend on springAnimation. Glides, docking, option
+    // transitions and motions observe the scheduler directly, so they run with it off
+    LiquidGlass.prototype._startAnimationLoop = function () {
+        if (this.options.springAnimation) scheduler.observe(this);
+    };
+
+    // Suspend or resume to match the page and viewport, from the shared VisibilityWatcher or setOptions
+    LiquidGlass.prototype._updateSuspended = function () {
+        var reason = this.options.suspendOffscreen ? visibilityWatcher.reason(this) : null;
+
+        if (reason && !this.suspended) this._suspend(reason);
+        else if (!reason && this.suspended) this._resume();
+    };
+
+    // Stop animating, detach the filter and, in fallback mode, drop the cloned
+    // content. Spring, motion and transition state is kept for _resume().
+    LiquidGlass.prototype._suspend = function (reason) {
+        this.suspended = true;
+        this.suspendedAt = scheduler.now();
+
+        scheduler.unobserve(this);
+        pointerWatcher.unobserve(this);
+        motionWatcher.unobserve(this);
+        this._applyFilterStyle();
+
+        if (!this.useBackdropFilter) {
+            this._stopContentSync();
+            this.contentCloneInner.replaceChildren();
         }
 
-        if (!this.state.isDragging) {
-            this.state.velocityX *= 0.95;
-            this.state.velocityY *= 0.95;
+        this._emit('suspend', { reason: reason });
+    };
+
+    LiquidGlass.prototype._resume = function () {
+        this.suspended = false;
+
+        // A timed transition picks up where it stopped
+        if (this.state.tween) this.state.tween.start += scheduler.now() - this.suspendedAt;
+
+        this._applyFilterStyle();
+        if (!this.useBackdropFilter) {
+            this.refreshContent();
+            this._setupContentSync();
+            this._updateContentClonePosition();
         }
 
-        var allSettled = true;
-        for (var key in this.springs) {
-            if (!this.springs[key].isSettled()) {
-                allSettled = false;
+        this._updateLight();
+        this._updateMotion();
+        // Motion that waited carries on; otherwise only the springs need frames
+        var state = this.state;
+        if (state.tween || state.move || state.glide || state.snap || this.motions.size > 0) scheduler.observe(this);
+        else this._startAnimationLoop();
+
+        this._emit('resume');
+    };
+
+    LiquidGlass.prototype.setOptions = function (newOptions) {
+        // Options set directly win over a running transition
+        var tween = this.state.tween;
+        if (tween) {
+            for (var tweened in newOptions) {
+                delete tween.from[tweened];
+                delete tween.to[tweened];
+            }
+            tween.mapKeys = tween.mapKeys.filter(function (mapKey) { return mapKey in tween.to; });
+        }
+
+        for (var key in newOptions) {
+            this.options[key] = newOptions[key];
+        }
+        if ('borderRadius' in newOptions || 'shape' in newOptions) {
+            this._measureGeometry();
+        }
+        var appearanceChanged = false;
+        for (var option in newOptions) {
+            if (appearanceOptions.indexOf(option) !== -1) appearanceChanged = true;
+        }
+        if ((this._getChannelIndices() !== null) !== this.dispersed || this._needsFrost() !== this.frosted) {
+            this._rebuildFilter();
+        } else if (appearanceChanged) {
+            this._updateAppearance();
+        }
+        if ('lightAngle' in newOptions || 'lightIntensity' in newOptions) {
+            this._updateLight();
+        }
+        if ('motion' in newOptions || 'motionConfig' in newOptions) {
+            this._updateMotion();
+        }
+        for (var preference in preferenceQueries) {
+            if (preference in newOptions) {
+                this._updatePreferences();
                 break;
             }
         }
-        allSettled = allSettled && Math.abs(this.state.velocityX) < 1 && Math.abs(this.state.velocityY) < 1;
+        if ('draggable' in newOptions || 'keyboard' in newOptions) {
+            this._updateDraggable();
+        }
+        if ('syncContent' in newOptions) {
+            this._stopContentSync();
+            if (this._clonesContent()) {
+                // Catch up on changes made while syncing was off
+                this.refreshContent();
+                this._setupContentSync();
+            } else {
+                this.contentCloneInner.replaceChildren();
+            }
+        }
+        if ('suspendOffscreen' in newOptions) {
+            if (this.options.suspendOffscreen) visibilityWatcher.observe(this);
+            else visibilityWatcher.unobserve(this);
+            this._updateSuspended();
+        }
 
-        if (!allSettled) {
-            this.animationFrameId = requestAnimationFrame(function () { self._animationLoop(); });
-        } else {
-            this.animationFrameId = null;
+        var filterOnly = true;
+        for (var name in newOptions) {
+            if (filterOnlyOptions.indexOf(name) === -1) filterOnly = false;
         }
+        if (!filterOnly) this._updateFilter();
+
+        this._emit('update', { changed: Object.keys(newOptions) });
     };
 
-    LiquidGlass.prototype._startAnimationLoop = function () {
+    /**
+     * Transition options instead of jumping to them. Numeric filter options
+     * change every frame; options that shape the maps step through a few
+     * intermediate maps. Everything else is applied at once.
+     * @param {Object} newOptions - Options to transition to
+     * @param {string|Object} [transition] - Spring preset name or `{ stiffness, damping, mass }`
+     *   (`springConfig` by default), or `{ duration, easing }` with milliseconds and a CSS
+     *   timing keyword, `'cubic-bezier(...)'` string or function of progress
+     * @returns {Promise<LiquidGlass>} Resolves when the transition ends; rejects with an
+     *   AbortError when a newer transition or destroy() interrupts it
+     */
+    LiquidGlass.prototype.animateOptions = function (newOptions, transition) {
         var self = this;
-        if (!this.animationFrameId && this.options.springAnimation) {
-            this.animationFrameId = requestAnimationFrame(function () { self._animationLoop(); });
+        transition = transition || {};
+        var from = {};
+        var to = {};
+        var immediate = {};
+        var key;
+
+        // A transition under way hands its remaining targets to the new one
+        var previous = this.state.tween;
+        if (previous) {
+            this.state.tween = null;
+            previous.reject(createAbortError());
+            for (key in previous.to) {
+                if (!(key in newOptions)) to[key] = previous.to[key];
+            }
+        }
+
+        for (key in newOptions) {
+            var value = newOptions[key];
+            var tweened = tweenedOptions.indexOf(key) !== -1 || tweenedMapOptions.indexOf(key) !== -1;
+            var numeric = typeof value === 'number' && isFinite(value) &&
+                typeof this.options[key] === 'number' && isFinite(this.options[key]);
+            if (tweened && numeric) {
+                to[key] = value;
+            } else {
+                immediate[key] = value;
+            }
+        }
+        for (key in to) from[key] = this.options[key];
+
+        if (Object.keys(immediate).length > 0) this.setOptions(immediate);
+        if (Object.keys(to).length === 0) return Promise.resolve(this);
+
+        var spring = null;
+        var easing = null;
+        if (transition.duration !== undefined) {
+            easing = createSurface(transition.easing !== undefined ? transition.easing : 'ease', easings);
+            if (!easing) {
+                console.warn('LiquidGlass: Unknown easing "' + transition.easing + '", using ease');
+                easing = easings.ease;
+            }
+        } else {
+            var config = resolveSpringConfig(transition, this._getSpringConfig());
+            spring = new Spring(0, config.stiffness, config.damping, config.mass);
+            spring.setTarget(1);
         }
+
+        return new Promise(function (resolve, reject) {
+            self.state.tween = {
+                from: from,
+                to: to,
+                mapKeys: Object.keys(to).filter(function (name) { return tweenedMapOptions.indexOf(name) !== -1; }),
+                mapStep: 0,
+                spring: spring,
+                easing: easing,
+                duration: Math.max(0, transition.duration || 0),
+                start: scheduler.now(),
+                frosted: Math.max(from.frost || 0, to.frost || 0) > 0,
+                resolve: resolve,
+                reject: reject
+            };
+            if (self._needsFrost() !== self.frosted) self._rebuildFilter();
+
+            scheduler.observe(self);
+        });
     };
 
-    LiquidGlass.prototype.setOptions = function (newOptions) {
-        for (var key in newOptions) {
-            this.options[key] = newOptions[key];
+    // Advance the option transition by one frame
+    LiquidGlass.prototype._stepTween = function (dt) {
+        var tween = this.state.tween;
+        var progress;
+        var done;
+        var key;
+
+        if (tween.spring) {
+            progress = this._stepSpring(tween.spring, dt);
+            done = tween.spring.isSettled();
+        } else {
+            var elapsed = tween.duration > 0 ? (scheduler.now() - tween.start) / tween.duration : 1;
+            done = elapsed >= 1 || this.preferences.reducedMotion;
+            progress = tween.easing(Math.max(0, elapsed));
         }
-        this._updateFilter();
+
+        if (done) {
+            this.state.tween = null;
+            this.setOptions(tween.to);
+            tween.resolve(this);
+            return;
+        }
+
+        var values = {};
+        for (key in tween.to) {
+            if (tween.mapKeys.indexOf(key) === -1) {
+                values[key] = clampTweened(key, tween.from[key] + (tween.to[key] - tween.from[key]) * progress);
+            }
+        }
+
+        // Maps only move between fixed steps, so a transition back reuses them from the cache
+        var mapStep = Math.round(Math.max(0, Math.min(1, progress)) * mapTweenSteps);
+        var mapsChanged = tween.mapKeys.length > 0 && mapStep !== tween.mapStep;
+        if (mapsChanged) {
+            tween.mapStep = mapStep;
+            for (var i = 0; i < tween.mapKeys.length; i++) {
+                key = tween.mapKeys[i];
+                values[key] = tween.from[key] + (tween.to[key] - tween.from[key]) * (mapStep / mapTweenSteps);
+            }
+        }
+
+        var appearanceChanged = false;
+        for (key in values) {
+            this.options[key] = values[key];
+            if (appearanceOptions.indexOf(key) !== -1) appearanceChanged = true;
+        }
+        if ((this._getChannelIndices() !== null) !== this.dispersed || this._needsFrost() !== this.frosted) {
+            this._rebuildFilter();
+        } else if (appearanceChanged) {
+            this._updateAppearance();
+        }
+        if ('lightIntensity' in values) this._renderLight();
+        if ('specularOpacity' in values) {
+            var specularAlpha = this._node('specular-alpha');
+            if (specularAlpha) specularAlpha.setAttribute('slope', values.specularOpacity);
+        }
+        // The loop applies refractionScale along with the lift
+        if (mapsChanged) this._updateFilter(false);
+    };
+
+    LiquidGlass.prototype.setLight = function (light) {
+        light = light || {};
+        if (light.angle !== undefined) this.options.lightAngle = light.angle;
+        if (light.intensity !== undefined) this.options.lightIntensity = light.intensity;
+        this._updateLight();
+    };
+
+    /**
+     * Animate position, scale and the pressed look together
+     * @param {Object} target
+     * @param {number} [target.x] - Left position inside the parent, in pixels
+     * @param {number} [target.y] - Top position inside the parent, in pixels
+     * @param {number|null} [target.scale] - Scale to hold, or null to follow the pressed state again
+     * @param {boolean} [target.pressed] - Lift the glass as if it were held
+     * @param {string|Object} [target.spring] - Preset name or `{ stiffness, damping, mass }` for position
+     *   and scale, `springConfig` by default
+     * @returns {Promise<LiquidGlass>} Resolves once the springs settle; rejects with an
+     *   AbortError when a newer motion, a drag or destroy() interrupts it
+     */
+    LiquidGlass.prototype.animate = function (target) {
+        target = target || {};
+        var moving = target.x !== undefined || target.y !== undefined;
+        if (moving && this.state.isDragging) return Promise.reject(createAbortError());
+
+        var config = resolveSpringConfig(target.spring, this._getSpringConfig());
+        var names = [];
+
+        if (moving) {
+            if (this.state.glide) this._stopGlide();
+            if (this.state.snap) this._stopSnap(false);
+
+            var position = this.springs.position;
+            if (!this.state.move) {
+                position.reset(parseFloat(this.element.style.left) || 0, parseFloat(this.element.style.top) || 0);
+                position.setTarget(position.x, position.y);
+            }
+
+            // A move already under way carries its velocity into the new one
+            position.setTarget(
+                target.x !== undefined ? target.x : position.targetX,
+                target.y !== undefined ? target.y : position.targetY
+            );
+            position.configure(config);
+            this.state.move = true;
+            names.push('position');
+        }
+
+        if (target.pressed !== undefined) {
+            this.state.pressed = !!target.pressed;
+            this.state.scaleTarget = null;
+            names = names.concat(liftSprings);
+        }
+
+        if (target.scale !== undefined) {
+            this.state.scaleTarget = target.scale;
+            this.springs.scale.configure(config);
+            if (names.indexOf('scale') === -1) names.push('scale');
+        }
+
+        return this._trackMotion(names);
+    };
+
+    // Spring the glass to a left/top position inside its parent; `options.spring` as in animate()
+    LiquidGlass.prototype.moveTo = function (x, y, options) {
+        return this.animate({ x: x, y: y, spring: options && options.spring });
+    };
+
+    // Spring the glass to a scale and hold it there, or pass null to follow the pressed state again
+    LiquidGlass.prototype.scaleTo = function (scale, options) {
+        return this.animate({ scale: scale, spring: options && options.spring });
+    };
+
+    // Lift the glass as if it were being held
+    LiquidGlass.prototype.press = function () {
+        return this.animate({ pressed: true });
+    };
+
+    // Let the glass rest again after press()
+    LiquidGlass.prototype.release = function () {
+        return this.animate({ pressed: false });
+    };
+
+    // Wait for the named springs to settle. A newer motion on any of the same springs
+    // interrupts the older one.
+    LiquidGlass.prototype._trackMotion = function (names) {
+        var self = this;
+        this.motions.forEach(function (motion) {
+            var overlaps = motion.springs.some(function (name) { return names.indexOf(name) !== -1; });
+            if (overlaps) {
+                self.motions.delete(motion);
+                motion.reject(createAbortError());
+            }
+        });
+
+        return new Promise(function (resolve, reject) {
+            self.motions.add({ springs: names, resolve: resolve, reject: reject });
+
+            scheduler.observe(self);
+        });
+    };
+
+    LiquidGlass.prototype._resolveMotions = function () {
+        var self = this;
+        this.motions.forEach(function (motion) {
+            var settled = motion.springs.every(function (name) { return self.springs[name].isSettled(); });
+            if (settled) {
+                self.motions.delete(motion);
+                motion.resolve(self);
+            }
+        });
+    };
+
+    // Reject every pending motion and hand the glass back to the user
+    LiquidGlass.prototype._abortMotions = function () {
+        this.motions.forEach(function (motion) {
+            motion.reject(createAbortError());
+        });
+        this.motions.clear();
+
+        this.state.move = false;
+        this.state.pressed = false;
+        this.state.scaleTarget = null;
+
+        var config = this._getSpringConfig();
+        this.springs.scale.configure(config);
+        this.springs.position.configure(config);
+    };
+
+    LiquidGlass.prototype.refreshContent = function () {
+        if (!this.contentCloneInner || !this._clonesContent() || this.suspended) return;
+        this._cloneContent();
     };
 
     LiquidGlass.prototype.getOptions = function () {
@@ -749,31 +4634,144 @@
         return result;
     };
 
+    /**
+     * Listen for an instance event. Handlers get the same detail object as
+     * the bubbling `lg:<type>` CustomEvent dispatched on the element.
+     * @param {string} type - 'init', 'dragstart', 'drag', 'dragend', 'snap', 'settle', 'update',
+     *   'suspend', 'resume' or 'destroy'
+     * @param {Function} handler - Called with the event detail
+     * @returns {LiquidGlass} This instance, for chaining
+     */
+    LiquidGlass.prototype.on = function (type, handler) {
+        type = type.replace(/^lg:/, '');
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(handler);
+        return this;
+    };
+
+    // Remove a handler added with on() or once(), or every handler for the type
+    LiquidGlass.prototype.off = function (type, handler) {
+        type = type.replace(/^lg:/, '');
+        var handlers = this.listeners.get(type);
+        if (!handlers) return this;
+
+        handlers.forEach(function (entry) {
+            if (!handler || entry === handler || entry.handler === handler) handlers.delete(entry);
+        });
+        return this;
+    };
+
+    // Listen for the next event of a type only
+    LiquidGlass.prototype.once = function (type, handler) {
+        var self = this;
+        var wrapper = function (detail) {
+            self.off(type, wrapper);
+            handler.call(self, detail);
+        };
+        wrapper.handler = handler;
+        return this.on(type, wrapper);
+    };
+
+    // Notify the option callback, on() handlers and DOM listeners of an event. `extra` is added
+    // to the detail object; `callbackArgs` follow the instance in the option callback.
+    LiquidGlass.prototype._emit = function (type, extra, callbackArgs) {
+        var self = this;
+
+        // Inside a frame, wait until its positions have been written. `destroy` cannot
+        // wait: the element is released before the frame ends
+        if (scheduler.writes && type !== 'destroy') {
+            scheduler.defer(function () {
+                if (self.element) self._emit(type, extra, callbackArgs);
+            });
+            return;
+        }
+
+        // A throwing handler must not keep the others from running
+        var callback = this.options[eventCallbacks[type]];
+        if (callback) {
+            try {
+                callback.apply(null, [this].concat(callbackArgs || []));
+            } catch (error) {
+                console.error('LiquidGlass: Error in ' + type + ' handler', error);
+            }
+        }
+
+        var detail = {
+            instance: this,
+            x: parseFloat(this.element.style.left) || 0,
+            y: parseFloat(this.element.style.top) || 0,
+            velocityX: this.state.velocityX,
+            velocityY: this.state.velocityY,
+            options: this.getOptions()
+        };
+        for (var key in extra) detail[key] = extra[key];
+
+        var handlers = [];
+        if (this.listeners.has(type)) {
+            this.listeners.get(type).forEach(function (handler) { handlers.push(handler); });
+        }
+        handlers.forEach(function (handler) {
+            try {
+                handler.call(self, detail);
+            } catch (error) {
+                console.error('LiquidGlass: Error in ' + type + ' handler', error);
+            }
+        });
+
+        this.element.dispatchEvent(new CustomEvent('lg:' + type, { bubbles: true, detail: detail }));
+    };
+
     LiquidGlass.prototype.destroy = function () {
+        // Announce while the element and handlers are still in place
+        this._emit('destroy');
+        this.listeners.clear();
+
         // Cancel animation
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
+        scheduler.unobserve(this);
+        this._abortMotions();
+        if (this.state.tween) {
+            this.state.tween.reject(createAbortError());
+            this.state.tween = null;
         }
 
         // Remove event listeners
-        if (this.options.draggable) {
-            this.element.removeEventListener('mousedown', this._onMouseDown);
-            this.element.removeEventListener('touchstart', this._onTouchStart);
-            document.removeEventListener('mousemove', this._onMouseMove);
-            document.removeEventListener('touchmove', this._onTouchMove);
-            document.removeEventListener('mouseup', this._onMouseUp);
-            document.removeEventListener('touchend', this._onTouchEnd);
+        if (this.state.pointerId !== null) this._releasePointer();
+        this.element.removeEventListener('pointerdown', this._onPointerDown);
+        this.element.removeEventListener('keydown', this._onKeyDown);
+        this.element.removeEventListener('blur', this._onBlur);
+        for (var i = 0; i < this.keyboardAttributes.length; i++) {
+            this.element.removeAttribute(this.keyboardAttributes[i]);
         }
 
         window.removeEventListener('resize', this._onResize);
+        pointerWatcher.unobserve(this);
+        motionWatcher.unobserve(this);
+        preferenceWatcher.unobserve(this);
+        visibilityWatcher.unobserve(this);
+
+        // Stop observing size changes
+        resizeWatcher.unobserve(this);
+        clearTimeout(this.resizeState.timerId);
+
+        // Drop any queued map job
+        this.mapJobId++;
+        if (this.options.useWorker) mapWorker.cancel(this.id);
+
+        // Stop syncing the fallback clone
+        this._stopContentSync();
 
         // Remove DOM elements
         if (this.contentClone) this.contentClone.remove();
         if (this.filterSvg) this.filterSvg.remove();
         if (this.innerElement) this.innerElement.remove();
 
+        // Remove the shape clip
+        if (this.element.style.clipPath.indexOf('#' + this.id + '-clip') !== -1) {
+            this.element.style.clipPath = '';
+        }
+
         // Remove classes
-        this.element.classList.remove('lg-element', 'lg-use-backdrop-filter');
+        this.element.classList.remove('lg-element', 'lg-use-backdrop-filter', 'lg-reduced-transparency', 'lg-forced-colors');
 
         // Clear references
         this.element = null;
@@ -793,6 +4791,63 @@
         return instances;
     };
 
+    LiquidGlass.registerSurface = function (name, surface) {
+        var fn = createSurface(surface);
+
+        if (typeof name !== 'string' || !name || !fn) {
+            console.error('LiquidGlass: Cannot register surface "' + name + '", expected a name and a function or description');
+            return false;
+        }
+        if (!checkSurface(fn, '"' + name + '"')) return false;
+
+        var replacing = Object.prototype.hasOwnProperty.call(SurfaceEquations, name);
+        SurfaceEquations[name] = fn;
+
+        // Cached maps for the old profile share its name
+        if (replacing) mapCache.clear();
+        return true;
+    };
+
+    LiquidGlass.clearCache = function () {
+        mapCache.clear();
+    };
+
+    LiquidGlass.configureCache = function (config) {
+        if (config && typeof config.maxBytes === 'number' && config.maxBytes >= 0) {
+            mapCache.setBudget(config.maxBytes);
+        }
+    };
+
+    LiquidGlass.getCacheStats = function () {
+        return mapCache.getStats();
+    };
+
+    // Stop every instance's animations on their current frame
+    LiquidGlass.pauseAnimations = function () {
+        scheduler.pause();
+    };
+
+    LiquidGlass.resumeAnimations = function () {
+        scheduler.resume();
+    };
+
+    // Drive animations from your own clock, e.g. for deterministic tests: `now()` in
+    // milliseconds, and optionally `requestFrame(callback)` and `cancelFrame(id)`.
+    // null restores performance.now() and requestAnimationFrame.
+    LiquidGlass.setAnimationClock = function (clock) {
+        scheduler.setClock(clock);
+    };
+
+    // Step all animating instances by one frame now, even while paused
+    LiquidGlass.advanceFrame = function () {
+        scheduler.frame();
+    };
+
+    // Call from a click or touch handler on iOS; otherwise the next tap asks automatically
+    LiquidGlass.requestMotionPermission = function () {
+        return motionWatcher.requestPermission();
+    };
+
     LiquidGlass.autoInit = function () {
         var elements = document.querySelectorAll('[data-liquid-glass]');
         var instances = [];
@@ -806,10 +4861,25 @@
             if (el.dataset.lgBezel) options.bezelWidth = parseFloat(el.dataset.lgBezel);
             if (el.dataset.lgThickness) options.glassThickness = parseFloat(el.dataset.lgThickness);
             if (el.dataset.lgRefraction) options.refractionScale = parseFloat(el.dataset.lgRefraction);
+            if (el.dataset.lgDispersion) {
+                var values = el.dataset.lgDispersion.trim().split(/[\s,]+/).map(parseFloat);
+                options.dispersion = values.length === 3 ? values : values[0];
+            }
+            if (el.dataset.lgFresnel) options.fresnel = el.dataset.lgFresnel === 'true';
             if (el.dataset.lgSpecular) options.specularOpacity = parseFloat(el.dataset.lgSpecular);
+            if (el.dataset.lgLight) options.lightAngle = el.dataset.lgLight === 'pointer' ? 'pointer' : parseFloat(el.dataset.lgLight);
             if (el.dataset.lgBlur) options.blur = parseFloat(el.dataset.lgBlur);
+            if (el.dataset.lgTint) options.tint = el.dataset.lgTint;
+            if (el.dataset.lgSaturation) options.saturation = parseFloat(el.dataset.lgSaturation);
+            if (el.dataset.lgFrost) options.frost = parseFloat(el.dataset.lgFrost);
             if (el.dataset.lgRadius) options.borderRadius = el.dataset.lgRadius;
+            if (el.dataset.lgShape) options.shape = el.dataset.lgShape;
+            if (el.dataset.lgMotion) options.motion = el.dataset.lgMotion === 'true';
             if (el.dataset.lgDraggable) options.draggable = el.dataset.lgDraggable === 'true';
+            if (el.dataset.lgAxis) options.axis = el.dataset.lgAxis;
+            if (el.dataset.lgBounds) options.bounds = el.dataset.lgBounds;
+            if (el.dataset.lgKeyboard) options.keyboard = el.dataset.lgKeyboard === 'true';
+            if (el.dataset.lgSnap) options.snap = el.dataset.lgSnap;
             if (el.dataset.lgChildren) options.applyToChildren = el.dataset.lgChildren !== 'false';
 
             instances.push(new LiquidGlass(el, options));
@@ -822,6 +4892,8 @@
     return {
         LiquidGlass: LiquidGlass,
         Spring: Spring,
-        SurfaceEquations: SurfaceEquations
+        Spring2D: Spring2D,
+        SurfaceEquations: SurfaceEquations,
+        LiquidGlassCore: LiquidGlassCore
     };
 });
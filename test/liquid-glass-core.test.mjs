@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateSync } from 'node:zlib';
+import {
+    SurfaceEquations,
+    parseClipPath,
+    flattenPath,
+    getViewBoxTransform,
+    generateMaps,
+    encodePNG,
+} from '../liquid-glass-core.js';
+
+const mapParams = {
+    width: 40,
+    height: 30,
+    borderRadius: 10,
+    bezelWidth: 8,
+    glassThickness: 100,
+    refractiveIndex: 1.5,
+    surfaceFn: SurfaceEquations.convex_squircle,
+};
+
+// Undo the per-row PNG filters (None, Sub, Up, Average, Paeth) on 8-bit RGBA rows
+function unfilter(raw, width, height) {
+    const stride = width * 4;
+    const out = new Uint8Array(stride * height);
+    for (let y = 0; y < height; y++) {
+        const type = raw[y * (stride + 1)];
+        for (let i = 0; i < stride; i++) {
+            const value = raw[y * (stride + 1) + 1 + i];
+            const a = i >= 4 ? out[y * stride + i - 4] : 0;
+            const b = y > 0 ? out[(y - 1) * stride + i] : 0;
+            const c = i >= 4 && y > 0 ? out[(y - 1) * stride + i - 4] : 0;
+            const p = a + b - c;
+            const paeth = Math.abs(p - a) <= Math.abs(p - b) && Math.abs(p - a) <= Math.abs(p - c)
+                ? a
+                : Math.abs(p - b) <= Math.abs(p - c) ? b : c;
+            const predictor = [0, a, b, (a + b) >> 1, paeth][type];
+            out[y * stride + i] = (value + predictor) & 0xff;
+        }
+    }
+    return out;
+}
+
+const pixel = (image, x, y) => Array.from(image.data.slice((y * image.width + x) * 4, (y * image.width + x) * 4 + 4));
+
+test('parseClipPath resolves percentages against the element box', () => {
+    assert.deepEqual(parseClipPath('polygon(0 0, 100% 0, 50% 100%)', 200, 100), {
+        path: 'M 0 0 L 200 0 L 100 100 Z',
+        fillRule: 'nonzero',
+    });
+    assert.equal(parseClipPath('polygon(evenodd, 0 0, 10px 0, 0 10px)', 20, 20).fillRule, 'evenodd');
+});
+
+test('parseClipPath turns inset() with round into arcs', () => {
+    const { path } = parseClipPath('inset(10px round 5px)', 200, 100);
+    assert.match(path, /^M 15 10 H 185 A 5 5 0 0 1 190 15 V 85/);
+});
+
+test('parseClipPath returns null for values that are not basic shapes', () => {
+    assert.equal(parseClipPath('none', 200, 100), null);
+    assert.equal(parseClipPath('url(#clip)', 200, 100), null);
+});
+
+test('flattenPath splits subpaths and expands relative commands', () => {
+    assert.deepEqual(flattenPath('M0 0 L10 0 L10 10 Z M20 20 h5 v5 z'), [
+        [[0, 0], [10, 0], [10, 10]],
+        [[20, 20], [25, 20], [25, 25]],
+    ]);
+});
+
+test('flattenPath stretches a viewBox onto the element', () => {
+    const transform = getViewBoxTransform([0, 0, 1, 1], 200, 100);
+    assert.deepEqual(flattenPath('M0 0 L1 0 L1 1 Z', transform), [[[0, 0], [200, 0], [200, 100]]]);
+});
+
+test('flattenPath samples curves into several points ending on the endpoint', () => {
+    const [points] = flattenPath('M0 0 Q 10 10 20 0 Z');
+    assert.ok(points.length > 3);
+    assert.deepEqual(points.at(-1), [20, 0]);
+    assert.ok(points.every(([, y]) => y >= 0 && y <= 5));
+});
+
+test('generateMaps leaves the flat centre neutral and pushes the edges in opposite directions', () => {
+    const { displacement, specular, maximumDisplacement } = generateMaps(mapParams);
+
+    assert.equal(displacement.width, 40);
+    assert.equal(displacement.height, 30);
+    assert.equal(displacement.data.length, 40 * 30 * 4);
+    assert.equal(specular.data.length, 40 * 30 * 4);
+    assert.ok(maximumDisplacement > 0);
+
+    assert.deepEqual(pixel(displacement, 20, 15), [128, 128, 0, 255]);
+    assert.ok(pixel(displacement, 1, 15)[0] > 128);
+    assert.ok(pixel(displacement, 38, 15)[0] < 128);
+    assert.equal(pixel(specular, 20, 15)[3], 0);
+});
+
+test('generateMaps refracts the bezel of glass whose radius is smaller than the bezel', () => {
+    const { displacement } = generateMaps({ ...mapParams, borderRadius: 4 });
+    assert.notEqual(pixel(displacement, 1, 15)[0], 128);
+});
+
+test('generateMaps is deterministic', () => {
+    assert.deepEqual(generateMaps(mapParams).displacement.data, generateMaps(mapParams).displacement.data);
+});
+
+test('encodePNG writes a PNG that zlib can inflate back to the pixels', () => {
+    const data = [255, 0, 0, 255, 0, 255, 0, 128, 0, 0, 255, 0, 10, 20, 30, 40];
+    const png = Buffer.from(encodePNG({ width: 2, height: 2, data }));
+
+    assert.deepEqual([...png.subarray(0, 8)], [137, 80, 78, 71, 13, 10, 26, 10]);
+
+    const chunks = {};
+    for (let offset = 8; offset < png.length;) {
+        const length = png.readUInt32BE(offset);
+        const type = png.toString('latin1', offset + 4, offset + 8);
+        chunks[type] = png.subarray(offset + 8, offset + 8 + length);
+        offset += length + 12;
+    }
+
+    assert.equal(chunks.IHDR.readUInt32BE(0), 2);
+    assert.equal(chunks.IHDR.readUInt32BE(4), 2);
+    assert.ok('IEND' in chunks);
+
+    // Each row starts with its filter type byte
+    const raw = inflateSync(chunks.IDAT);
+    assert.equal(raw.length, 2 * (1 + 2 * 4));
+    assert.deepEqual([...unfilter(raw, 2, 2)], data);
+});
+
+test('encodePNG round-trips a generated map', () => {
+    const { displacement } = generateMaps(mapParams);
+    const png = Buffer.from(encodePNG(displacement));
+
+    // IHDR is the first chunk; the map is small enough for a single IDAT
+    const idatOffset = png.indexOf('IDAT', 0, 'latin1');
+    const idat = png.subarray(idatOffset + 4, idatOffset + 4 + png.readUInt32BE(idatOffset - 4));
+    const pixels = unfilter(inflateSync(idat), displacement.width, displacement.height);
+
+    assert.deepEqual([...pixels], [...displacement.data]);
+});
@@ -0,0 +1,169 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scheduler } from '../liquid-glass-scheduler.js';
+
+// A clock whose frames only run when the test pumps them
+function createClock() {
+    const clock = {
+        time: 0,
+        queue: [],
+        now: () => clock.time,
+        requestFrame: (callback) => clock.queue.push(callback),
+        cancelFrame: (id) => {
+            clock.queue[id - 1] = null;
+        },
+        pump(ms = 16) {
+            const pending = clock.queue.filter(Boolean);
+            clock.queue = [];
+            clock.time += ms;
+            for (const callback of pending) callback();
+            return pending.length;
+        },
+    };
+    return clock;
+}
+
+// Stand-in for a LiquidGlass instance that wants `frames` more frames
+function createStepper(frames, onStep = () => {}) {
+    return {
+        dts: [],
+        _stepFrame(dt) {
+            this.dts.push(dt);
+            onStep(dt);
+            return this.dts.length < frames;
+        },
+    };
+}
+
+test('one frame request steps every observed instance', () => {
+    const scheduler = new Scheduler();
+    const clock = createClock();
+    scheduler.setClock(clock);
+
+    const a = createStepper(3);
+    const b = createStepper(3);
+    scheduler.observe(a);
+    scheduler.observe(b);
+
+    assert.equal(clock.queue.length, 1);
+    assert.equal(clock.pump(), 1);
+    assert.equal(a.dts.length, 1);
+    assert.equal(b.dts.length, 1);
+});
+
+test('dt is 1/60 s on the first frame, then the clock time between frames', () => {
+    const scheduler = new Scheduler();
+    const clock = createClock();
+    scheduler.setClock(clock);
+
+    const stepper = createStepper(3);
+    scheduler.observe(stepper);
+    clock.pump(16);
+    clock.pump(20);
+    clock.pump(1000);
+
+    assert.equal(stepper.dts[0], 1 / 60);
+    assert.equal(stepper.dts[1], 0.02);
+    // A long gap counts as one slow frame
+    assert.equal(stepper.dts[2], 0.1);
+});
+
+test('settled instances are dropped and no further frame is requested', () => {
+    const scheduler = new Scheduler();
+    const clock = createClock();
+    scheduler.setClock(clock);
+
+    const stepper = createStepper(2);
+    scheduler.observe(stepper);
+    clock.pump();
+    assert.ok(scheduler.has(stepper));
+    clock.pump();
+
+    assert.equal(scheduler.has(stepper), false);
+    assert.equal(clock.pump(), 0);
+});
+
+test('style writes land after every instance has stepped, then deferred callbacks run', () => {
+    const scheduler = new Scheduler();
+    const clock = createClock();
+    scheduler.setClock(clock);
+
+    const element = { style: {} };
+    const seen = [];
+    scheduler.observe(createStepper(1, () => {
+        scheduler.write(element, 'left', '10px');
+        scheduler.defer(() => seen.push(`deferred ${element.style.left}`));
+    }));
+    scheduler.observe(createStepper(1, () => seen.push(`step ${element.style.left ?? 'unset'}`)));
+    clock.pump();
+
+    assert.deepEqual(seen, ['step unset', 'deferred 10px']);
+
+    // Between frames writes and deferred callbacks happen at once
+    scheduler.write(element, 'top', '5px');
+    assert.equal(element.style.top, '5px');
+    let ran = false;
+    scheduler.defer(() => (ran = true));
+    assert.ok(ran);
+});
+
+test('pause holds every instance and resume carries on without a jump', () => {
+    const scheduler = new Scheduler();
+    const clock = createClock();
+    scheduler.setClock(clock);
+
+    const stepper = createStepper(Infinity);
+    scheduler.observe(stepper);
+    clock.pump();
+    scheduler.pause();
+    assert.equal(clock.pump(5000), 0);
+
+    scheduler.resume();
+    clock.pump(16);
+    assert.deepEqual(stepper.dts, [1 / 60, 1 / 60]);
+});
+
+test('an instance that throws is dropped without stalling the others', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const scheduler = new Scheduler();
+    const clock = createClock();
+    scheduler.setClock(clock);
+
+    const broken = createStepper(Infinity, () => {
+        throw new Error('broken');
+    });
+    const healthy = createStepper(3);
+    scheduler.observe(broken);
+    scheduler.observe(healthy);
+    clock.pump();
+    clock.pump();
+    clock.pump();
+
+    assert.equal(broken.dts.length, 1);
+    assert.equal(healthy.dts.length, 3);
+    assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('a throwing deferred callback does not keep writes, later callbacks or the next frame from running', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const scheduler = new Scheduler();
+    const clock = createClock();
+    scheduler.setClock(clock);
+
+    const element = { style: {} };
+    let ran = false;
+    const stepper = createStepper(2, () => {
+        scheduler.defer(() => {
+            throw new Error('broken');
+        });
+        scheduler.defer(() => (ran = true));
+        scheduler.write(element, 'left', `${stepper.dts.length}px`);
+    });
+    scheduler.observe(stepper);
+    clock.pump();
+
+    assert.ok(ran);
+    assert.equal(element.style.left, '1px');
+    assert.equal(clock.pump(), 1);
+    assert.equal(element.style.left, '2px');
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Instances need a DOM; without jsdom installed these tests are skipped
+const jsdom = await import('jsdom').catch(() => null);
+
+// A jsdom page is hidden, like a background tab, unless pretendToBeVisual is set.
+// jsdom has no canvas, so the maps are encoded to placeholder URLs
+function setupDOM(html) {
+    const { window } = new jsdom.JSDOM(`<!doctype html><body>${html}</body>`);
+    window.HTMLCanvasElement.prototype.getContext = () => ({ putImageData() {} });
+    window.HTMLCanvasElement.prototype.toDataURL = () => 'data:,';
+    globalThis.ImageData ??= class ImageData {
+        constructor(data, width, height) {
+            Object.assign(this, { data, width, height });
+        }
+    };
+    for (const name of ['window', 'document', 'navigator', 'Node', 'Element', 'HTMLElement', 'CustomEvent', 'MutationObserver']) {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    }
+    globalThis.getComputedStyle = window.getComputedStyle.bind(window);
+    globalThis.requestAnimationFrame = (callback) => setTimeout(() => callback(performance.now()), 16);
+    globalThis.cancelAnimationFrame = (id) => clearTimeout(id);
+    return window;
+}
+
+test('an instance created in a hidden tab reports init before suspend', { skip: !jsdom && 'needs jsdom' }, async () => {
+    setupDOM('<div id="glass"></div>');
+    const { default: LiquidGlass } = await import('../liquid-glass.js');
+
+    const element = document.getElementById('glass');
+    const events = [];
+    element.addEventListener('lg:init', () => events.push('init'));
+    element.addEventListener('lg:suspend', (e) => events.push(`suspend ${e.detail.reason}`));
+
+    assert.equal(document.hidden, true);
+    const glass = new LiquidGlass(element);
+
+    assert.deepEqual(events, ['init', 'suspend hidden']);
+    assert.ok(glass.suspended);
+    glass.destroy();
+});